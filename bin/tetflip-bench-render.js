@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * tetflip-bench-render - CPU cost and GPU allocations of Renderer.render
+ *
+ * Usage:
+ *   node bin/tetflip-bench-render.js
+ *   node bin/tetflip-bench-render.js --sizes 32,64 --frames 50 --particles 200000
+ *
+ * Renders regular box meshes of n x n x n cubes (five tets each) with random
+ * particles into a recording device that stands in for WebGPU: no GPU work
+ * happens, so the timings are the renderer's own per-frame CPU cost. Each
+ * mesh is drawn in three cases: static with default colours, static with
+ * per-node colours, and with its topology changed every frame (as while the
+ * mesh adapts). Reports milliseconds, new buffers and bind groups, and
+ * uploaded megabytes per frame, after a first frame that allocates.
+ */
+
+import { Renderer } from '../src/renderer.js';
+import { TetrahedralMesh } from '../src/mesh.js';
+
+function parseArgs(argv) {
+    const args = { sizes: [16, 32, 48], frames: 20, particles: 100000 };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--sizes':
+                args.sizes = argv[++i].split(',').map((size) => parseInt(size, 10));
+                break;
+            case '--frames':
+                args.frames = parseInt(argv[++i], 10);
+                break;
+            case '--particles':
+                args.particles = parseInt(argv[++i], 10);
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    if (!args.sizes.every((size) => Number.isInteger(size) && size > 0)) {
+        throw new Error(`Invalid mesh sizes: ${argv[argv.indexOf('--sizes') + 1]}`);
+    }
+    if (!Number.isInteger(args.frames) || args.frames < 1) {
+        throw new Error(`Invalid frame count: ${args.frames}`);
+    }
+    if (!Number.isInteger(args.particles) || args.particles < 0) {
+        throw new Error(`Invalid particle count: ${args.particles}`);
+    }
+    return args;
+}
+
+function printUsage() {
+    console.log([
+        'Usage: tetflip-bench-render [--sizes <list>] [--frames <n>] [--particles <n>]',
+        '',
+        '  --sizes      Comma-separated cubes per side of the benchmark meshes (default 16,32,48)',
+        '  --frames     Frames timed per case (default 20)',
+        '  --particles  Particles drawn as points (default 100000)'
+    ].join('\n'));
+}
+
+function createRecordingDevice() {
+    // Just enough of GPUDevice for the renderer, counting what it creates
+    const counts = { buffers: 0, bindGroups: 0, uploadedBytes: 0 };
+    const resource = (descriptor) => ({
+        ...descriptor,
+        destroy() {},
+        createView: () => ({}),
+        getBindGroupLayout: () => ({})
+    });
+    const pass = new Proxy({}, { get: () => () => {} });
+    
+    const device = {
+        counts,
+        createBuffer: (descriptor) => {
+            counts.buffers++;
+            return resource(descriptor);
+        },
+        createBindGroup: (descriptor) => {
+            counts.bindGroups++;
+            return resource(descriptor);
+        },
+        createTexture: (descriptor) => resource({ width: descriptor.size[0], height: descriptor.size[1], ...descriptor }),
+        createShaderModule: resource,
+        createBindGroupLayout: resource,
+        createPipelineLayout: resource,
+        createRenderPipelineAsync: async (descriptor) => resource(descriptor),
+        createCommandEncoder: () => ({
+            beginRenderPass: () => pass,
+            copyTextureToTexture: () => {},
+            finish: () => ({})
+        }),
+        queue: {
+            writeBuffer: (buffer, offset, data) => {
+                counts.uploadedBytes += data.byteLength;
+            },
+            submit: () => {}
+        }
+    };
+    return device;
+}
+
+function installWebGpuGlobals() {
+    // The enums and navigator.gpu that the renderer reads
+    globalThis.GPUBufferUsage ??= { MAP_READ: 1, MAP_WRITE: 2, COPY_SRC: 4, COPY_DST: 8, INDEX: 16, VERTEX: 32, UNIFORM: 64 };
+    globalThis.GPUTextureUsage ??= { COPY_SRC: 1, COPY_DST: 2, TEXTURE_BINDING: 4, STORAGE_BINDING: 8, RENDER_ATTACHMENT: 16 };
+    globalThis.GPUShaderStage ??= { VERTEX: 1, FRAGMENT: 2, COMPUTE: 4 };
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { gpu: { getPreferredCanvasFormat: () => 'bgra8unorm' } },
+        configurable: true
+    });
+}
+
+function randomParticles(count) {
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < positions.length; i++) {
+        positions[i] = Math.random();
+    }
+    return { positions, count };
+}
+
+function timeFrames(device, frames, draw) {
+    // Per-frame averages of draw() after one untimed first frame
+    draw();
+    const before = { ...device.counts };
+    const start = performance.now();
+    for (let f = 0; f < frames; f++) {
+        draw();
+    }
+    const elapsed = performance.now() - start;
+    
+    return {
+        ms: elapsed / frames,
+        buffers: (device.counts.buffers - before.buffers) / frames,
+        bindGroups: (device.counts.bindGroups - before.bindGroups) / frames,
+        uploadedMB: (device.counts.uploadedBytes - before.uploadedBytes) / frames / 1e6
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        printUsage();
+        return;
+    }
+    
+    installWebGpuGlobals();
+    const particles = randomParticles(args.particles);
+    
+    console.log('mesh      tets       edges      case      ms/frame  buffers  bind groups  MB uploaded');
+    for (const size of args.sizes) {
+        const device = createRecordingDevice();
+        const canvas = {
+            width: 1280,
+            height: 720,
+            getContext: () => ({ configure() {}, getCurrentTexture: () => ({ width: 1280, height: 720, createView: () => ({}) }) })
+        };
+        const renderer = new Renderer(canvas, device);
+        await renderer.initialize();
+        
+        const mesh = new TetrahedralMesh([0, 0, 0], [1, 1, 1]);
+        await mesh.initialize([size, size, size]);
+        const nodeValues = new Float32Array(mesh.nodeCount).map(Math.random);
+        const mappedScalars = { particles: null, nodes: nodeValues, min: 0, max: 1, colormap: 'viridis' };
+        
+        const cases = {
+            static: () => renderer.render(particles, mesh, null),
+            mapped: () => renderer.render(particles, mesh, null, null, mappedScalars),
+            adapting: () => {
+                mesh.invalidateTopology();
+                renderer.render(particles, mesh, null);
+            }
+        };
+        
+        for (const [name, draw] of Object.entries(cases)) {
+            const result = timeFrames(device, args.frames, draw);
+            console.log(`${size}^3`.padEnd(10) + String(mesh.tetCount).padEnd(11) +
+                        String(mesh.getEdges().length / 2).padEnd(11) + name.padEnd(10) +
+                        result.ms.toFixed(2).padStart(8) + result.buffers.toFixed(1).padStart(9) +
+                        result.bindGroups.toFixed(1).padStart(13) + result.uploadedMB.toFixed(2).padStart(13));
+        }
+    }
+}
+
+main().catch((error) => {
+    console.error(`tetflip-bench-render: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * tetflip-headless - Batch TETFLIP simulations from the command line
+ *
+ * Usage:
+ *   node bin/tetflip-headless.js --config examples/headless_dam_break.json --steps 200 --out output/run1
+ *   node bin/tetflip-headless.js --scene examples/scenes/double_dam_break.json --steps 100
+ *   node bin/tetflip-headless.js --config examples/headless_step_channel.json --out output/step_channel
+ *
+ * Writes <out>/stats.csv (one row per step) and <out>/final_state.json; with
+ * --export-every <n>, every n-th step's particles, mesh and surface go to
+ * <out>/frames (see exporters.js). --mesh (or config.mesh) simulates in a
+ * Gmsh or TetGen domain instead of the scene's box (see mesh_import.js)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { HeadlessRunner } from '../src/headless.js';
+import { importMesh } from '../src/mesh_import.js';
+
+const STAT_COLUMNS = [
+    'step', 'time', 'dt', 'particleCount', 'nodeCount', 'tetCount', 'liquidNodes',
+    'maxSpeed', 'pressureIterations', 'pressureResidual', 'pressureDivergence', 'viscosityIterations', 'stepMs'
+];
+
+function parseArgs(argv) {
+    const args = {
+        config: null, scene: null, mesh: null, steps: null, seed: null, exportEvery: null, exportFormats: null,
+        out: 'output', quiet: false
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--config':
+            case '-c':
+                args.config = argv[++i];
+                break;
+            case '--scene':
+            case '-s':
+                args.scene = argv[++i];
+                break;
+            case '--mesh':
+            case '-m':
+                args.mesh = argv[++i];
+                break;
+            case '--steps':
+            case '-n':
+                args.steps = parseInt(argv[++i], 10);
+                break;
+            case '--seed':
+                args.seed = Number(argv[++i]);
+                break;
+            case '--export-every':
+                args.exportEvery = parseInt(argv[++i], 10);
+                break;
+            case '--export-formats':
+                args.exportFormats = argv[++i].split(',');
+                break;
+            case '--out':
+            case '-o':
+                args.out = argv[++i];
+                break;
+            case '--quiet':
+            case '-q':
+                args.quiet = true;
+                break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    return args;
+}
+
+function readMeshFiles(meshPath) {
+    // { filename: text } for importMesh(): a .msh file, or both files of a
+    // TetGen pair when either one is named
+    const extension = path.extname(meshPath).toLowerCase();
+    const paths = extension === '.node' || extension === '.ele'
+        ? ['.node', '.ele'].map((pairExtension) => meshPath.slice(0, -extension.length) + pairExtension)
+        : [meshPath];
+    return Object.fromEntries(paths.map((file) => [path.basename(file), fs.readFileSync(file, 'utf8')]));
+}
+
+function printUsage() {
+    console.log([
+        'Usage: tetflip-headless [--config <file>] [--scene <file>] [--mesh <file>] [--steps <n>] [--seed <n>]',
+        '                        [--export-every <n>] [--export-formats <list>] [--out <dir>] [--quiet]',
+        '',
+        '  --config, -c  JSON configuration (scene, parameters, adaptivity, steps)',
+        '  --scene,  -s  JSON scene description (overrides config.scene)',
+        '  --mesh,   -m  Gmsh .msh, or TetGen .node or .ele with its pair beside it (overrides config.mesh)',
+        '  --steps,  -n  Number of steps to run (overrides config.steps, default 100)',
+        '  --seed        Random seed (overrides config.parameters.seed and the scene\'s)',
+        '  --export-every    Write frame files every n steps to <out>/frames (overrides config.export.every)',
+        '  --export-formats  Comma-separated ply,vtk,vtu,obj (overrides config.export.formats, default all)',
+        '  --out,    -o  Output directory (default: output)',
+        '  --quiet,  -q  Do not print per-step progress'
+    ].join('\n'));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        printUsage();
+        return;
+    }
+    
+    const config = args.config
+        ? JSON.parse(fs.readFileSync(args.config, 'utf8'))
+        : {};
+    
+    // Scenes may be given inline or as a path relative to the config file
+    if (args.scene) {
+        config.scene = JSON.parse(fs.readFileSync(args.scene, 'utf8'));
+    } else if (typeof config.scene === 'string') {
+        const scenePath = path.resolve(path.dirname(args.config), config.scene);
+        config.scene = JSON.parse(fs.readFileSync(scenePath, 'utf8'));
+    }
+    // Meshes likewise: a path relative to the config file, or on the command line
+    if (args.mesh) {
+        config.mesh = importMesh(readMeshFiles(args.mesh));
+    } else if (typeof config.mesh === 'string') {
+        config.mesh = importMesh(readMeshFiles(path.resolve(path.dirname(args.config), config.mesh)));
+    }
+    if (args.seed !== null) {
+        config.parameters = { ...config.parameters, seed: args.seed };
+    }
+    const steps = args.steps ?? config.steps ?? 100;
+    if (!Number.isInteger(steps) || steps < 0) {
+        throw new Error(`Invalid step count: ${steps}`);
+    }
+    const exportEvery = args.exportEvery ?? (config.export && config.export.every) ?? 0;
+    const exportFormats = args.exportFormats ?? (config.export && config.export.formats);
+    if (!Number.isInteger(exportEvery) || exportEvery < 0) {
+        throw new Error(`Invalid export interval: ${exportEvery}`);
+    }
+    const framesPath = path.join(args.out, 'frames');
+    
+    fs.mkdirSync(args.out, { recursive: true });
+    const statsPath = path.join(args.out, 'stats.csv');
+    const statsFile = fs.openSync(statsPath, 'w');
+    fs.writeSync(statsFile, STAT_COLUMNS.join(',') + '\n');
+    
+    const runner = new HeadlessRunner(config);
+    await runner.initialize();
+    if (exportEvery > 0) {
+        runner.writeFrame(framesPath, exportFormats);
+    }
+    
+    try {
+        runner.run(steps, (stats) => {
+            fs.writeSync(statsFile, STAT_COLUMNS.map((column) => stats[column]).join(',') + '\n');
+            if (exportEvery > 0 && stats.step % exportEvery === 0) {
+                runner.writeFrame(framesPath, exportFormats);
+            }
+            
+            if (!args.quiet) {
+                console.log(`step ${stats.step}/${steps}  t=${stats.time.toFixed(3)}s  ` +
+                            `tets=${stats.tetCount}  cg=${stats.pressureIterations}  ` +
+                            `${stats.stepMs.toFixed(1)} ms`);
+            }
+        });
+    } finally {
+        fs.closeSync(statsFile);
+    }
+    
+    const statePath = path.join(args.out, 'final_state.json');
+    fs.writeFileSync(statePath, JSON.stringify(runner.getFinalState()));
+    
+    console.log(`Wrote ${statsPath} and ${statePath}` + (exportEvery > 0 ? `; frames in ${framesPath}` : ''));
+}
+
+main().catch((error) => {
+    console.error(`tetflip-headless: ${error.message}`);
+    process.exit(1);
+});
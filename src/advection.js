@@ -0,0 +1,72 @@
+/**
+ * Particle advection schemes
+ *
+ * 'euler' moves each particle with its own (FLIP) velocity. The Runge-Kutta
+ * schemes integrate dx/dt = u(x) through the projected mesh velocity field,
+ * sampled by barycentric interpolation at the intermediate positions:
+ *   rk2 - midpoint, rk3 - Ralston's third-order method, rk4 - classic RK4
+ * Intermediate positions are clamped to the domain; the final position is
+ * kept inside it by the collision step.
+ */
+
+export const ADVECTION_SCHEMES = ['euler', 'rk2', 'rk3', 'rk4'];
+
+// Butcher tableaus: stage i samples x + dt Σ_j a[i][j] k_j; x += dt Σ_i b[i] k_i
+const TABLEAUS = {
+    rk2: { a: [[], [1 / 2]], b: [0, 1] },
+    rk3: { a: [[], [1 / 2], [0, 3 / 4]], b: [2 / 9, 3 / 9, 4 / 9] },
+    rk4: { a: [[], [1 / 2], [0, 1 / 2], [0, 0, 1]], b: [1 / 6, 1 / 3, 1 / 3, 1 / 6] }
+};
+
+export function advectParticles(mesh, particles, dt, scheme = 'euler') {
+    // particles: { positions, velocities, tetIndices, count }, updated in place
+    const { positions, velocities, tetIndices, count } = particles;
+    
+    if (scheme === 'euler') {
+        for (let p = 0; p < count * 3; p++) {
+            positions[p] += velocities[p] * dt;
+        }
+        return;
+    }
+    
+    const tableau = TABLEAUS[scheme];
+    if (!tableau) {
+        throw new Error(`Unknown advection scheme: ${scheme}`);
+    }
+    
+    const stages = tableau.b.length;
+    const k = new Float64Array(stages * 3);
+    const sample = new Float64Array(3);
+    
+    for (let p = 0; p < count; p++) {
+        const x = positions[p * 3], y = positions[p * 3 + 1], z = positions[p * 3 + 2];
+        let hint = tetIndices[p];
+        
+        for (let s = 0; s < stages; s++) {
+            let sx = x, sy = y, sz = z;
+            for (let j = 0; j < s; j++) {
+                const a = tableau.a[s][j] * dt;
+                sx += a * k[j * 3];
+                sy += a * k[j * 3 + 1];
+                sz += a * k[j * 3 + 2];
+            }
+            
+            const tetIndex = mesh.sampleVelocity(sx, sy, sz, sample, hint);
+            if (tetIndex >= 0) {
+                hint = tetIndex;
+            } else {
+                // Not located: reuse the previous stage, or the particle's
+                // own velocity for the first one
+                sample.set(s === 0 ? velocities.subarray(p * 3, p * 3 + 3) : k.subarray(s * 3 - 3, s * 3));
+            }
+            k.set(sample, s * 3);
+        }
+        
+        for (let s = 0; s < stages; s++) {
+            const b = tableau.b[s] * dt;
+            positions[p * 3 + 0] += b * k[s * 3];
+            positions[p * 3 + 1] += b * k[s * 3 + 1];
+            positions[p * 3 + 2] += b * k[s * 3 + 2];
+        }
+    }
+}
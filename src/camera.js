@@ -0,0 +1,154 @@
+/**
+ * Camera - Orbit camera around a target point
+ *
+ * The eye sits `distance` away from `target` in the direction given by yaw
+ * (about +y; 0 looks down -z) and pitch (elevation, kept short of the
+ * poles), with +y up. Zoom limits, pan steps and clip planes scale with the
+ * domain passed to setDomain, which also defines the default view that
+ * reset() returns to. getState() and setState() round-trip the view as
+ * plain JSON in simulation units.
+ */
+
+// Default eye distance and zoom limits, in domain sizes
+const HOME_DISTANCE = 2.5;
+const MIN_DISTANCE = 0.1;
+const MAX_DISTANCE = 10;
+
+// Clip planes, in domain sizes
+const NEAR = 0.01;
+const FAR = 100;
+
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+export class Camera {
+    constructor() {
+        this.target = [0, 0, 0];
+        this.yaw = 0;
+        this.pitch = 0;
+        this.distance = 5;
+        this.fov = Math.PI / 4;
+        
+        // Longest side of the domain and its bounds (see setDomain)
+        this.domainSize = 2;
+        this.domain = null;
+        this.home = this.getState();
+    }
+    
+    setDomain(min, max) {
+        // Scale to a new domain and look at it from the front; a domain
+        // equal to the current one keeps the view
+        if (this.domain && [0, 1, 2].every((a) => this.domain.min[a] === min[a] && this.domain.max[a] === max[a])) {
+            return;
+        }
+        this.domain = { min: [...min], max: [...max] };
+        this.domainSize = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+        this.home = {
+            target: [0, 1, 2].map((a) => (min[a] + max[a]) / 2),
+            yaw: 0,
+            pitch: 0,
+            distance: HOME_DISTANCE * this.domainSize
+        };
+        this.reset();
+    }
+    
+    reset() {
+        this.setState(this.home);
+    }
+    
+    frame(min, max) {
+        // Center on the box min-max from the current direction, close
+        // enough for its bounding sphere to fill the view
+        const radius = Math.max(0.5 * Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]),
+            0.05 * this.domainSize);
+        this.target = [0, 1, 2].map((a) => (min[a] + max[a]) / 2);
+        this.setDistance(radius / Math.sin(this.fov / 2));
+    }
+    
+    orbit(deltaYaw, deltaPitch) {
+        this.yaw = (this.yaw + deltaYaw) % (2 * Math.PI);
+        this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch + deltaPitch));
+    }
+    
+    pan(dx, dy) {
+        // Slide the view by dx right and dy down, in viewport heights at
+        // the target's depth (the scene follows the pointer)
+        const height = 2 * this.distance * Math.tan(this.fov / 2);
+        const { right, up } = this.getBasis();
+        for (let a = 0; a < 3; a++) {
+            this.target[a] += (up[a] * dy - right[a] * dx) * height;
+        }
+    }
+    
+    zoom(factor) {
+        // Scale the eye's distance to the target (factor < 1 moves closer)
+        this.setDistance(this.distance * factor);
+    }
+    
+    setDistance(distance) {
+        this.distance = Math.max(MIN_DISTANCE * this.domainSize, Math.min(MAX_DISTANCE * this.domainSize, distance));
+    }
+    
+    getBasis() {
+        // Unit vectors of the view: right, up, and back (target to eye)
+        const cosPitch = Math.cos(this.pitch);
+        const back = [cosPitch * Math.sin(this.yaw), Math.sin(this.pitch), cosPitch * Math.cos(this.yaw)];
+        const right = [Math.cos(this.yaw), 0, -Math.sin(this.yaw)];
+        const up = [
+            back[1] * right[2] - back[2] * right[1],
+            back[2] * right[0] - back[0] * right[2],
+            back[0] * right[1] - back[1] * right[0]
+        ];
+        return { right, up, back };
+    }
+    
+    getEye() {
+        const { back } = this.getBasis();
+        return [0, 1, 2].map((a) => this.target[a] + this.distance * back[a]);
+    }
+    
+    getViewMatrix() {
+        // World to view space (column-major; the camera looks down -z)
+        const { right, up, back } = this.getBasis();
+        const eye = this.getEye();
+        const dot = (v) => v[0] * eye[0] + v[1] * eye[1] + v[2] * eye[2];
+        return new Float32Array([
+            right[0], up[0], back[0], 0,
+            right[1], up[1], back[1], 0,
+            right[2], up[2], back[2], 0,
+            -dot(right), -dot(up), -dot(back), 1
+        ]);
+    }
+    
+    getProjectionMatrix(aspect) {
+        // Perspective projection to WebGPU clip space (depth 0 to 1)
+        const f = 1.0 / Math.tan(this.fov / 2);
+        const near = NEAR * this.domainSize;
+        const far = FAR * this.domainSize;
+        const rangeInv = 1.0 / (near - far);
+        return new Float32Array([
+            f / aspect, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, far * rangeInv, -1,
+            0, 0, near * far * rangeInv, 0
+        ]);
+    }
+    
+    getState() {
+        return { target: [...this.target], yaw: this.yaw, pitch: this.pitch, distance: this.distance };
+    }
+    
+    setState(state) {
+        // Restore a view from getState(); throws on malformed states
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        if (!state || !Array.isArray(state.target) || state.target.length !== 3 || !state.target.every(isNumber) ||
+            !isNumber(state.yaw) || !isNumber(state.pitch) || !isNumber(state.distance) || state.distance <= 0) {
+            throw new Error('Invalid camera state: expected { target: [x, y, z], yaw, pitch, distance > 0 }');
+        }
+        
+        this.target = [...state.target];
+        this.yaw = 0;
+        this.pitch = 0;
+        this.orbit(state.yaw, state.pitch);
+        this.setDistance(state.distance);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Camera controls - Mouse, touch and keyboard input for a Camera
+ *
+ *   drag                  orbit (left button or one finger)
+ *   right or shift drag   pan
+ *   wheel                 zoom
+ *   two fingers           pinch to zoom, twist to orbit, move together to pan
+ *   arrow keys            orbit (with shift: pan)
+ *   + / -                 zoom
+ *   F / R                 frame the liquid (onFrame) / reset the view
+ * Keys reach the element only while it has focus, so it needs a tabindex.
+ */
+
+const ORBIT_SPEED = 0.01;           // radians per pixel
+const WHEEL_ZOOM = 0.001;           // log distance per wheel pixel
+const KEY_ORBIT = Math.PI / 36;
+const KEY_PAN = 0.05;               // viewport heights
+const KEY_ZOOM = 1.1;
+
+export class CameraControls {
+    constructor(camera, element, { onFrame = null } = {}) {
+        this.camera = camera;
+        this.element = element;
+        this.onFrame = onFrame;
+        
+        // Active pointers: id → { x, y }, and whether a single one pans
+        this.pointers = new Map();
+        this.panning = false;
+        
+        this.attach();
+    }
+    
+    attach() {
+        const element = this.element;
+        
+        element.addEventListener('pointerdown', (e) => {
+            element.setPointerCapture(e.pointerId);
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.panning = this.pointers.size === 1 && (e.button === 2 || e.shiftKey);
+        });
+        
+        element.addEventListener('pointermove', (e) => {
+            const pointer = this.pointers.get(e.pointerId);
+            if (!pointer) return;
+            
+            const previous = [...this.pointers.values()].map((p) => ({ ...p }));
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+            
+            if (this.pointers.size === 1) {
+                this.drag(pointer.x - previous[0].x, pointer.y - previous[0].y);
+            } else if (this.pointers.size === 2) {
+                this.gesture(previous, [...this.pointers.values()]);
+            }
+        });
+        
+        const release = (e) => {
+            this.pointers.delete(e.pointerId);
+            this.panning = false;
+        };
+        element.addEventListener('pointerup', release);
+        element.addEventListener('pointercancel', release);
+        
+        element.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.camera.zoom(Math.exp(e.deltaY * WHEEL_ZOOM));
+        }, { passive: false });
+        
+        // Right-drag pans instead of opening the menu
+        element.addEventListener('contextmenu', (e) => e.preventDefault());
+        
+        element.addEventListener('keydown', (e) => {
+            if (this.handleKey(e.key, e.shiftKey)) {
+                e.preventDefault();
+            }
+        });
+    }
+    
+    drag(dx, dy) {
+        // One pointer moved by dx, dy pixels
+        if (this.panning) {
+            const height = this.element.clientHeight || 1;
+            this.camera.pan(dx / height, dy / height);
+        } else {
+            this.camera.orbit(-dx * ORBIT_SPEED, dy * ORBIT_SPEED);
+        }
+    }
+    
+    gesture(previous, current) {
+        // Two pointers: spread zooms, twist orbits, the midpoint pans
+        const measure = ([a, b]) => ({
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            spread: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        });
+        const before = measure(previous);
+        const after = measure(current);
+        const height = this.element.clientHeight || 1;
+        
+        if (before.spread > 0 && after.spread > 0) {
+            this.camera.zoom(before.spread / after.spread);
+        }
+        let twist = after.angle - before.angle;
+        twist = Math.atan2(Math.sin(twist), Math.cos(twist));
+        this.camera.orbit(-twist, 0);
+        this.camera.pan((after.x - before.x) / height, (after.y - before.y) / height);
+    }
+    
+    handleKey(key, shift) {
+        // Apply a navigation key; false if the key is not one
+        const camera = this.camera;
+        switch (key) {
+            case 'ArrowLeft':
+                shift ? camera.pan(-KEY_PAN, 0) : camera.orbit(KEY_ORBIT, 0);
+                break;
+            case 'ArrowRight':
+                shift ? camera.pan(KEY_PAN, 0) : camera.orbit(-KEY_ORBIT, 0);
+                break;
+            case 'ArrowUp':
+                shift ? camera.pan(0, -KEY_PAN) : camera.orbit(0, -KEY_ORBIT);
+                break;
+            case 'ArrowDown':
+                shift ? camera.pan(0, KEY_PAN) : camera.orbit(0, KEY_ORBIT);
+                break;
+            case '+':
+            case '=':
+                camera.zoom(1 / KEY_ZOOM);
+                break;
+            case '-':
+                camera.zoom(KEY_ZOOM);
+                break;
+            case 'f':
+            case 'F':
+                if (!this.onFrame) return false;
+                this.onFrame();
+                break;
+            case 'r':
+            case 'R':
+                camera.reset();
+                break;
+            default:
+                return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Checkpoint files - Versioned binary container for simulator snapshots
+ *
+ * Layout:
+ *   bytes 0-3    magic "TFCP"
+ *   bytes 4-7    format version (uint32, little endian)
+ *   bytes 8-11   header length in bytes (uint32, little endian)
+ *   header       UTF-8 JSON; header.arrays lists the payloads as
+ *                { name, type, offset, length } (length in elements)
+ *   payloads     raw little-endian typed arrays from the first 8-byte
+ *                boundary after the header; offsets are in bytes from there
+ *                and 8-byte aligned
+ * The simulator decides what goes into the header and the arrays, see
+ * TetFlipSimulator.saveCheckpoint.
+ */
+
+export const CHECKPOINT_VERSION = 1;
+
+const MAGIC = 'TFCP';
+const PREAMBLE_BYTES = 12;
+const ALIGNMENT = 8;
+
+const ARRAY_TYPES = { Float32Array, Float64Array, Int32Array, Uint32Array, Uint8Array };
+
+// Payloads are copied byte for byte, so the host must be little endian
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+export class CheckpointError extends Error {
+    constructor(message) {
+        super(`Invalid checkpoint: ${message}`);
+        this.name = 'CheckpointError';
+    }
+}
+
+export function encodeCheckpoint(header, arrays) {
+    // header: JSON-serialisable object; arrays: { name: TypedArray }.
+    // Returns an ArrayBuffer
+    if (!LITTLE_ENDIAN) {
+        throw new CheckpointError('checkpoints require a little-endian host');
+    }
+    
+    const entries = Object.entries(arrays).map(([name, array]) => {
+        const type = array.constructor.name;
+        if (ARRAY_TYPES[type] !== array.constructor) {
+            throw new CheckpointError(`${name}: unsupported array type ${type}`);
+        }
+        return { name, type, array };
+    });
+    
+    let payloadBytes = 0;
+    const table = entries.map(({ name, type, array }) => {
+        const offset = payloadBytes;
+        payloadBytes = align(payloadBytes + array.byteLength);
+        return { name, type, offset, length: array.length };
+    });
+    
+    const headerBytes = new TextEncoder().encode(JSON.stringify({ ...header, arrays: table }));
+    const payloadStart = align(PREAMBLE_BYTES + headerBytes.length);
+    const buffer = new ArrayBuffer(payloadStart + payloadBytes);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    
+    for (let i = 0; i < MAGIC.length; i++) {
+        bytes[i] = MAGIC.charCodeAt(i);
+    }
+    view.setUint32(4, CHECKPOINT_VERSION, true);
+    view.setUint32(8, headerBytes.length, true);
+    bytes.set(headerBytes, PREAMBLE_BYTES);
+    
+    entries.forEach(({ array }, i) => {
+        bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), payloadStart + table[i].offset);
+    });
+    
+    return buffer;
+}
+
+export function decodeCheckpoint(data) {
+    // data: ArrayBuffer or typed array view. Returns { version, header,
+    // arrays }, with each array copied out of the file
+    if (!LITTLE_ENDIAN) {
+        throw new CheckpointError('checkpoints require a little-endian host');
+    }
+    
+    const bytes = ArrayBuffer.isView(data)
+        ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+        : new Uint8Array(data);
+    if (bytes.length < PREAMBLE_BYTES || String.fromCharCode(...bytes.subarray(0, 4)) !== MAGIC) {
+        throw new CheckpointError('not a checkpoint file');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = view.getUint32(4, true);
+    if (version < 1 || version > CHECKPOINT_VERSION) {
+        throw new CheckpointError(`unsupported format version ${version} (expected at most ${CHECKPOINT_VERSION})`);
+    }
+    
+    const headerLength = view.getUint32(8, true);
+    if (PREAMBLE_BYTES + headerLength > bytes.length) {
+        throw new CheckpointError('truncated header');
+    }
+    
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(bytes.subarray(PREAMBLE_BYTES, PREAMBLE_BYTES + headerLength)));
+    } catch (error) {
+        throw new CheckpointError(`header is not valid JSON (${error.message})`);
+    }
+    if (!header || typeof header !== 'object' || !Array.isArray(header.arrays)) {
+        throw new CheckpointError('header has no array table');
+    }
+    
+    const payloadStart = align(PREAMBLE_BYTES + headerLength);
+    const arrays = {};
+    for (const { name, type, offset, length } of header.arrays) {
+        const ArrayType = ARRAY_TYPES[type];
+        if (!ArrayType) {
+            throw new CheckpointError(`${name}: unsupported array type ${type}`);
+        }
+        const byteLength = length * ArrayType.BYTES_PER_ELEMENT;
+        const start = payloadStart + offset;
+        if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0 ||
+            start + byteLength > bytes.length) {
+            throw new CheckpointError(`${name}: payload out of bounds`);
+        }
+        
+        const copy = new ArrayType(length);
+        new Uint8Array(copy.buffer).set(bytes.subarray(start, start + byteLength));
+        arrays[name] = copy;
+    }
+    
+    delete header.arrays;
+    return { version, header, arrays };
+}
+
+function align(offset) {
+    return Math.ceil(offset / ALIGNMENT) * ALIGNMENT;
+}
@@ -0,0 +1,54 @@
+/**
+ * Colour maps - Scalar-to-colour ramps for the renderer and its legend
+ *
+ *   viridis, plasma  perceptually uniform sequential maps (matplotlib)
+ *   coolwarm         diverging blue-white-red (Moreland), for signed values
+ *   rainbow          blue-cyan-green-yellow-red
+ *   grayscale        black to white
+ * Each map is a list of evenly spaced stops, linearly interpolated in RGB.
+ */
+
+const STOPS = {
+    viridis: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725'],
+    plasma: ['#0d0887', '#4c02a1', '#7e03a8', '#a92395', '#cc4778', '#e56b5d', '#f89441', '#fdc328', '#f0f921'],
+    coolwarm: ['#3b4cc0', '#6282ea', '#8db0fe', '#b8d0f9', '#dddddd', '#f5c4ad', '#f49a7b', '#de604d', '#b40426'],
+    rainbow: ['#334dff', '#00e6ff', '#33ff4d', '#fff21a', '#ff331a'],
+    grayscale: ['#000000', '#ffffff']
+};
+
+export const COLORMAPS = Object.fromEntries(Object.entries(STOPS).map(([name, stops]) => [
+    name,
+    stops.map((hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255))
+]));
+
+export const COLORMAP_NAMES = Object.keys(COLORMAPS);
+
+export function sampleColormap(name, t, out = [0, 0, 0]) {
+    // Colour of t in [0, 1] (clamped; NaN maps to 0), written to out
+    const stops = COLORMAPS[name];
+    if (!stops) {
+        throw new Error(`Unknown colour map: ${name}`);
+    }
+    
+    const s = (t > 0 ? Math.min(t, 1) : 0) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(s));
+    const f = s - i;
+    for (let c = 0; c < 3; c++) {
+        out[c] = stops[i][c] + f * (stops[i + 1][c] - stops[i][c]);
+    }
+    return out;
+}
+
+export function colormapGradient(name) {
+    // CSS linear-gradient (left to right) for legends
+    const stops = COLORMAPS[name];
+    if (!stops) {
+        throw new Error(`Unknown colour map: ${name}`);
+    }
+    
+    const parts = stops.map((rgb, i) => {
+        const [r, g, b] = rgb.map((c) => Math.round(c * 255));
+        return `rgb(${r}, ${g}, ${b}) ${(100 * i / (stops.length - 1)).toFixed(1)}%`;
+    });
+    return `linear-gradient(to right, ${parts.join(', ')})`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Exporters - Simulation data in formats read by post-processing tools
+ * (ParaView, Houdini, Blender)
+ *
+ *   ply - particles as an ASCII PLY point cloud (x, y, z, vx, vy, vz)
+ *   vtk - particles as a legacy ASCII VTK polydata with a velocity vector
+ *   vtu - the tetrahedral mesh as a VTK XML unstructured grid with node
+ *         velocity and pressure
+ *   obj - the reconstructed liquid surface as a Wavefront OBJ with normals
+ * The exporters return file contents as strings. exportFrame() gathers them
+ * for the current step under numbered names (particles_000042.ply, ...),
+ * which ParaView opens as a time series; the browser zips a frame (zip.js)
+ * and the headless runner writes it to disk.
+ */
+
+export const EXPORT_FORMATS = ['ply', 'vtk', 'vtu', 'obj'];
+
+// VTK cell type of a linear tetrahedron
+const VTK_TETRA = 10;
+
+export function exportParticlesPLY(particles, comment = '') {
+    // particles: { positions, velocities, count }
+    const { positions, velocities, count } = particles;
+    const lines = [
+        'ply',
+        'format ascii 1.0',
+        ...(comment ? [`comment ${comment}`] : []),
+        `element vertex ${count}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property float vx',
+        'property float vy',
+        'property float vz',
+        'end_header'
+    ];
+    
+    for (let p = 0; p < count; p++) {
+        lines.push(`${formatVector(positions, p)} ${formatVector(velocities, p)}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function exportParticlesVTK(particles, title = 'TETFLIP particles') {
+    // Legacy VTK polydata: one vertex cell per particle, so that ParaView
+    // draws the points without a glyph filter
+    const { positions, velocities, count } = particles;
+    const lines = [
+        '# vtk DataFile Version 3.0',
+        title.replace(/\n/g, ' ').slice(0, 255),
+        'ASCII',
+        'DATASET POLYDATA',
+        `POINTS ${count} float`
+    ];
+    
+    for (let p = 0; p < count; p++) {
+        lines.push(formatVector(positions, p));
+    }
+    lines.push(`VERTICES ${count} ${count * 2}`);
+    for (let p = 0; p < count; p++) {
+        lines.push(`1 ${p}`);
+    }
+    lines.push(`POINT_DATA ${count}`, 'VECTORS velocity float');
+    for (let p = 0; p < count; p++) {
+        lines.push(formatVector(velocities, p));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function exportMeshVTU(mesh, pressure = null) {
+    // Unstructured grid of the tetrahedra. pressure: one value per node, or
+    // null to write zeros (e.g. before the first pressure solve)
+    const nodeCount = mesh.nodeCount;
+    const tetCount = mesh.getTetrahedraCount();
+    const nodes = mesh.getNodes();
+    const velocities = mesh.getNodeVelocities();
+    const tetrahedra = mesh.getTetrahedra();
+    
+    const points = [];
+    const nodeVelocities = [];
+    const pressures = [];
+    for (let i = 0; i < nodeCount; i++) {
+        points.push(formatVector(nodes, i));
+        nodeVelocities.push(formatVector(velocities, i));
+        pressures.push(pressure ? formatNumber(pressure[i]) : '0');
+    }
+    
+    const connectivity = [];
+    const offsets = [];
+    for (let t = 0; t < tetCount; t++) {
+        connectivity.push(`${tetrahedra[t * 4]} ${tetrahedra[t * 4 + 1]} ${tetrahedra[t * 4 + 2]} ${tetrahedra[t * 4 + 3]}`);
+        offsets.push((t + 1) * 4);
+    }
+    
+    const dataArray = (attributes, values) =>
+        `        <DataArray ${attributes} format="ascii">\n${values.join('\n')}\n        </DataArray>`;
+    
+    return [
+        '<?xml version="1.0"?>',
+        '<VTKFile type="UnstructuredGrid" version="0.1" byte_order="LittleEndian">',
+        '  <UnstructuredGrid>',
+        `    <Piece NumberOfPoints="${nodeCount}" NumberOfCells="${tetCount}">`,
+        '      <PointData Vectors="velocity" Scalars="pressure">',
+        dataArray('type="Float32" Name="velocity" NumberOfComponents="3"', nodeVelocities),
+        dataArray('type="Float32" Name="pressure"', pressures),
+        '      </PointData>',
+        '      <Points>',
+        dataArray('type="Float32" Name="points" NumberOfComponents="3"', points),
+        '      </Points>',
+        '      <Cells>',
+        dataArray('type="Int32" Name="connectivity"', connectivity),
+        dataArray('type="Int32" Name="offsets"', offsets),
+        dataArray('type="UInt8" Name="types"', new Array(tetCount).fill(VTK_TETRA)),
+        '      </Cells>',
+        '    </Piece>',
+        '  </UnstructuredGrid>',
+        '</VTKFile>',
+        ''
+    ].join('\n');
+}
+
+export function exportSurfaceOBJ(surface, name = 'surface') {
+    // surface: { positions, normals, indices } triangle mesh, e.g. from
+    // SurfaceReconstructor or an obstacle's getSurface()
+    const { positions, normals, indices } = surface;
+    const vertexCount = positions.length / 3;
+    const lines = [`o ${name.replace(/\s+/g, '_')}`];
+    
+    for (let i = 0; i < vertexCount; i++) {
+        lines.push(`v ${formatVector(positions, i)}`);
+    }
+    if (normals) {
+        for (let i = 0; i < vertexCount; i++) {
+            lines.push(`vn ${formatVector(normals, i)}`);
+        }
+    }
+    for (let f = 0; f < indices.length; f += 3) {
+        // OBJ indices are 1-based
+        const a = indices[f] + 1, b = indices[f + 1] + 1, c = indices[f + 2] + 1;
+        lines.push(normals ? `f ${a}//${a} ${b}//${b} ${c}//${c}` : `f ${a} ${b} ${c}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function exportFrame(simulator, formats = EXPORT_FORMATS) {
+    // Files of the current step as [{ name, data }]. The surface is left out
+    // when there is no liquid to reconstruct
+    for (const format of formats) {
+        if (!EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+    
+    const step = simulator.stepCount;
+    const suffix = String(step).padStart(6, '0');
+    const time = simulator.getSimulationTime();
+    const title = `TETFLIP ${simulator.getScene().name}, step ${step}, t = ${time.toFixed(4)} s`;
+    const files = [];
+    
+    if (formats.includes('ply')) {
+        files.push({ name: `particles_${suffix}.ply`, data: exportParticlesPLY(simulator.getParticles(), title) });
+    }
+    if (formats.includes('vtk')) {
+        files.push({ name: `particles_${suffix}.vtk`, data: exportParticlesVTK(simulator.getParticles(), title) });
+    }
+    if (formats.includes('vtu')) {
+        files.push({ name: `mesh_${suffix}.vtu`, data: exportMeshVTU(simulator.mesh, simulator.getPressureField()) });
+    }
+    if (formats.includes('obj')) {
+        const surface = simulator.getSurface();
+        if (surface && surface.indices.length > 0) {
+            files.push({ name: `surface_${suffix}.obj`, data: exportSurfaceOBJ(surface, 'liquid_surface') });
+        }
+    }
+    
+    return files;
+}
+
+function formatNumber(value) {
+    // Nine significant digits round-trip a 32-bit float
+    return String(Number(value.toPrecision(9)));
+}
+
+function formatVector(values, i) {
+    return `${formatNumber(values[i * 3])} ${formatNumber(values[i * 3 + 1])} ${formatNumber(values[i * 3 + 2])}`;
+}
@@ -0,0 +1,132 @@
+/**
+ * Liquid / air / solid classification of the mesh, and velocity
+ * extrapolation from the liquid into the surrounding air
+ *
+ * Classification follows particle occupancy:
+ *   tetrahedra - solid if all four nodes are solid, liquid if they contain a
+ *                particle, air otherwise
+ *   nodes      - solid if inside an obstacle, liquid if they belong to a
+ *                liquid tetrahedron, air otherwise
+ * The particles' implicit function φ (see SurfaceReconstructor) is kept with
+ * the classification; the pressure solve uses it to place the free surface
+ * along liquid-air edges.
+ */
+
+export const AIR = 0;
+export const LIQUID = 1;
+export const SOLID = 2;
+
+export function classifyMesh(mesh, particles, phi, solid = null) {
+    // Returns { nodes, tets, phi, liquidNodeCount, liquidTetCount }. The
+    // particles' tetIndices must be current (e.g. right after P2G)
+    const nodeCount = mesh.nodeCount;
+    const tetCount = mesh.getTetrahedraCount();
+    const tetrahedra = mesh.getTetrahedra();
+    
+    const nodes = new Uint8Array(nodeCount);
+    if (solid) {
+        for (let i = 0; i < nodeCount; i++) {
+            if (solid.nodes[i]) nodes[i] = SOLID;
+        }
+    }
+    
+    const tets = new Uint8Array(tetCount);
+    for (let t = 0; t < tetCount; t++) {
+        let allSolid = true;
+        for (let k = 0; k < 4 && allSolid; k++) {
+            allSolid = nodes[tetrahedra[t * 4 + k]] === SOLID;
+        }
+        if (allSolid) {
+            tets[t] = SOLID;
+        }
+    }
+    
+    let liquidTetCount = 0;
+    for (let p = 0; p < particles.count; p++) {
+        const t = particles.tetIndices[p];
+        if (t >= 0 && tets[t] === AIR) {
+            tets[t] = LIQUID;
+            liquidTetCount++;
+        }
+    }
+    
+    let liquidNodeCount = 0;
+    for (let t = 0; t < tetCount; t++) {
+        if (tets[t] !== LIQUID) continue;
+        for (let k = 0; k < 4; k++) {
+            const n = tetrahedra[t * 4 + k];
+            if (nodes[n] === AIR) {
+                nodes[n] = LIQUID;
+                liquidNodeCount++;
+            }
+        }
+    }
+    
+    return { nodes, tets, phi, liquidNodeCount, liquidTetCount };
+}
+
+export function extrapolateVelocities(mesh, velocities, nodeTypes, layers = 3) {
+    // Breadth-first, one ring of air nodes per layer: each air node next to
+    // known nodes takes the average velocity of those neighbours. Known nodes
+    // start as the liquid nodes; solid nodes are left untouched. Returns the
+    // number of nodes updated
+    const nodeCount = mesh.nodeCount;
+    const { offsets, indices } = mesh.getAdjacency().nodeNeighbors;
+    
+    const known = new Uint8Array(nodeCount);
+    const queued = new Uint8Array(nodeCount);
+    let front = [];
+    for (let i = 0; i < nodeCount; i++) {
+        if (nodeTypes[i] === LIQUID) {
+            known[i] = 1;
+        }
+    }
+    for (let i = 0; i < nodeCount; i++) {
+        if (nodeTypes[i] !== AIR) continue;
+        for (let s = offsets[i]; s < offsets[i + 1]; s++) {
+            if (known[indices[s]]) {
+                front.push(i);
+                break;
+            }
+        }
+    }
+    
+    let updated = 0;
+    for (let layer = 0; layer < layers && front.length > 0; layer++) {
+        // Average over neighbours known before this layer, then mark the layer
+        for (const i of front) {
+            let vx = 0, vy = 0, vz = 0;
+            let count = 0;
+            for (let s = offsets[i]; s < offsets[i + 1]; s++) {
+                const j = indices[s];
+                if (!known[j]) continue;
+                vx += velocities[j * 3 + 0];
+                vy += velocities[j * 3 + 1];
+                vz += velocities[j * 3 + 2];
+                count++;
+            }
+            velocities[i * 3 + 0] = vx / count;
+            velocities[i * 3 + 1] = vy / count;
+            velocities[i * 3 + 2] = vz / count;
+        }
+        
+        for (const i of front) {
+            known[i] = 1;
+        }
+        updated += front.length;
+        
+        const next = [];
+        for (const i of front) {
+            for (let s = offsets[i]; s < offsets[i + 1]; s++) {
+                const j = indices[s];
+                if (!known[j] && !queued[j] && nodeTypes[j] === AIR) {
+                    queued[j] = 1;
+                    next.push(j);
+                }
+            }
+        }
+        front = next;
+    }
+    
+    return updated;
+}
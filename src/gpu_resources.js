@@ -0,0 +1,66 @@
+/**
+ * GPU resources - Named, growable GPU buffers reused from frame to frame
+ *
+ * upload(name, data, usage) writes data to the start of the buffer called
+ * name, creating it on first use and replacing it only when data no longer
+ * fits: capacity then doubles, so a steadily growing particle count or mesh
+ * reallocates a logarithmic number of times, and the outgrown buffer is
+ * destroyed. Buffers never shrink; destroy() releases them all. `stats`
+ * counts allocations and uploaded bytes for profiling.
+ */
+
+const MIN_CAPACITY = 256;
+
+export class GpuResources {
+    constructor(device) {
+        this.device = device;
+        
+        // name → { buffer, capacity, usage }
+        this.buffers = new Map();
+        
+        this.stats = { allocations: 0, allocatedBytes: 0, uploadedBytes: 0 };
+    }
+    
+    upload(name, data, usage) {
+        // The buffer name with the typed array data at offset 0 (its
+        // byteLength must be a multiple of 4); COPY_DST is added to usage
+        let entry = this.buffers.get(name);
+        if (!entry || entry.capacity < data.byteLength || entry.usage !== usage) {
+            let capacity = entry && entry.usage === usage ? entry.capacity : MIN_CAPACITY;
+            while (capacity < data.byteLength) {
+                capacity *= 2;
+            }
+            
+            if (entry) {
+                entry.buffer.destroy();
+            }
+            entry = {
+                buffer: this.device.createBuffer({ size: capacity, usage: usage | GPUBufferUsage.COPY_DST }),
+                capacity,
+                usage
+            };
+            this.buffers.set(name, entry);
+            this.stats.allocations++;
+            this.stats.allocatedBytes += capacity;
+        }
+        
+        if (data.byteLength > 0) {
+            this.device.queue.writeBuffer(entry.buffer, 0, data);
+            this.stats.uploadedBytes += data.byteLength;
+        }
+        return entry.buffer;
+    }
+    
+    get(name) {
+        // The buffer name as last uploaded, or null
+        const entry = this.buffers.get(name);
+        return entry ? entry.buffer : null;
+    }
+    
+    destroy() {
+        for (const { buffer } of this.buffers.values()) {
+            buffer.destroy();
+        }
+        this.buffers.clear();
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * HeadlessRunner - Runs TetFlipSimulator without a GPU device or DOM
+ * Used by the Node command-line entry point (bin/tetflip-headless.js)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { TetFlipSimulator } from './simulator.js';
+import { exportFrame } from './exporters.js';
+
+export class HeadlessRunner {
+    constructor(config = {}) {
+        this.config = config;
+        this.simulator = null;
+    }
+    
+    async initialize() {
+        // config.scene is a scene description object (see scene.js); without
+        // one the default dam break is used. config.mesh is an optional
+        // domain from mesh_import.js replacing the scene's box
+        this.simulator = new TetFlipSimulator();
+        await this.simulator.initialize(this.config.scene || null);
+        
+        // An imported mesh or a seed in the parameters replaces the scene's,
+        // so the mesh and particles are built again with them
+        const parameters = this.config.parameters || {};
+        if (this.config.mesh || parameters.seed !== undefined) {
+            if (this.config.mesh) {
+                this.simulator.setImportedMesh(this.config.mesh);
+            }
+            if (parameters.seed !== undefined) {
+                this.simulator.setSeed(parameters.seed);
+            }
+            await this.simulator.reset();
+        }
+        
+        this.applyConfig(this.config);
+        return this.simulator;
+    }
+    
+    applyConfig(config) {
+        // Map the configuration file onto the simulator's setters
+        const simulator = this.simulator;
+        const parameters = config.parameters || {};
+        
+        if (parameters.timeStep !== undefined) simulator.setTimeStep(parameters.timeStep);
+        if (parameters.gravity !== undefined) simulator.setGravity(parameters.gravity);
+        if (parameters.viscosity !== undefined) simulator.setViscosity(parameters.viscosity);
+        if (parameters.surfaceTension !== undefined) simulator.setSurfaceTension(parameters.surfaceTension);
+        if (parameters.flipRatio !== undefined) simulator.setFlipRatio(parameters.flipRatio);
+        if (parameters.advection !== undefined) simulator.setAdvectionScheme(parameters.advection);
+        if (parameters.transfer !== undefined) simulator.setTransferMode(parameters.transfer);
+        
+        if (config.adaptivity) {
+            simulator.setAdaptivity(config.adaptivity);
+        }
+        if (config.cfl) {
+            simulator.setCfl(config.cfl);
+        }
+    }
+    
+    run(steps, onStep = null) {
+        // Advance the simulation, reporting statistics after every step
+        const history = [];
+        
+        for (let i = 0; i < steps; i++) {
+            const start = performance.now();
+            this.simulator.step();
+            
+            const stats = this.simulator.getStatistics();
+            stats.stepMs = performance.now() - start;
+            history.push(stats);
+            
+            if (onStep) {
+                onStep(stats);
+            }
+        }
+        
+        return history;
+    }
+    
+    writeFrame(directory, formats) {
+        // Write the current step's export files (see exporters.js) into
+        // directory. Returns the written paths
+        fs.mkdirSync(directory, { recursive: true });
+        return exportFrame(this.simulator, formats).map(({ name, data }) => {
+            const file = path.join(directory, name);
+            fs.writeFileSync(file, data);
+            return file;
+        });
+    }
+    
+    getFinalState() {
+        // Plain-object snapshot of the simulation state, suitable for JSON
+        const simulator = this.simulator;
+        const particles = simulator.getParticles();
+        const mesh = simulator.mesh;
+        
+        return {
+            simulationTime: simulator.getSimulationTime(),
+            step: simulator.stepCount,
+            particles: {
+                count: particles.count,
+                positions: Array.from(particles.positions.subarray(0, particles.count * 3)),
+                velocities: Array.from(particles.velocities.subarray(0, particles.count * 3))
+            },
+            mesh: {
+                nodeCount: mesh.nodeCount,
+                tetCount: mesh.tetCount,
+                nodes: Array.from(mesh.getNodes()),
+                tetrahedra: Array.from(mesh.getTetrahedra()),
+                nodeVelocities: Array.from(mesh.getNodeVelocities())
+            }
+        };
+    }
+}
@@ -1,16 +1,34 @@
 import { TetFlipSimulator } from './simulator.js';
 import { Renderer } from './renderer.js';
+import { CameraControls } from './camera_controls.js';
+import { isValidSeed } from './random.js';
+import { exportFrame } from './exporters.js';
+import { createZip } from './zip.js';
+import { importMesh } from './mesh_import.js';
+import { SCALAR_FIELDS, computeScalarField } from './scalar_fields.js';
+import { colormapGradient } from './colormaps.js';
+
+// Longest wall-clock interval simulated per frame, so that a stalled tab does
+// not trigger a burst of substeps
+const MAX_FRAME_TIME = 1 / 30;
 
 class App {
     constructor() {
         this.canvas = document.getElementById('renderCanvas');
         this.simulator = null;
         this.renderer = null;
+        this.cameraControls = null;
         this.isRunning = false;
         this.lastFrameTime = 0;
         this.frameCount = 0;
         this.fps = 0;
         
+        // Scalar colouring (see scalar_fields.js); min and max are the fixed
+        // range used when autoRange is off
+        this.colorMapping = { field: 'none', colormap: 'viridis', autoRange: true, min: 0, max: 1 };
+        this.lastScalars = null;
+        this.legendKey = '';
+        
         this.init();
     }
     
@@ -37,9 +55,15 @@ class App {
             
             await this.simulator.initialize();
             await this.renderer.initialize();
+            this.cameraControls = new CameraControls(this.renderer.camera, this.canvas, {
+                onFrame: () => this.frameLiquid()
+            });
             
             // Setup UI event listeners
             this.setupEventListeners();
+            this.setupSceneDrop();
+            this.syncControls();
+            this.syncRenderer();
             
             // Update initial statistics
             this.updateStats();
@@ -58,6 +82,32 @@ class App {
         document.getElementById('startBtn').addEventListener('click', () => this.start());
         document.getElementById('pauseBtn').addEventListener('click', () => this.pause());
         document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+        document.getElementById('saveCheckpointBtn').addEventListener('click', () => this.saveCheckpoint());
+        document.getElementById('exportFrameBtn').addEventListener('click', () => this.exportFrame());
+        document.getElementById('loadCheckpointBtn').addEventListener('click', () => {
+            document.getElementById('checkpointFile').click();
+        });
+        document.getElementById('checkpointFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                await this.loadCheckpoint(await file.arrayBuffer());
+            }
+        });
+        document.getElementById('frameLiquidBtn').addEventListener('click', () => this.frameLiquid());
+        document.getElementById('resetViewBtn').addEventListener('click', () => this.renderer.camera.reset());
+        document.getElementById('saveViewBtn').addEventListener('click', () => this.saveView());
+        document.getElementById('restoreViewBtn').addEventListener('click', () => this.restoreView());
+        document.getElementById('importMeshBtn').addEventListener('click', () => {
+            document.getElementById('meshFile').click();
+        });
+        document.getElementById('meshFile').addEventListener('change', async (e) => {
+            const files = Array.from(e.target.files);
+            e.target.value = '';
+            if (files.length > 0) {
+                await this.loadMesh(files);
+            }
+        });
         
         // Parameter sliders
         document.getElementById('timeStepSlider').addEventListener('input', (e) => {
@@ -84,9 +134,57 @@ class App {
             }
         });
         
+        document.getElementById('surfaceTensionSlider').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('surfaceTensionValue').textContent = value.toFixed(2);
+            if (this.simulator) {
+                this.simulator.setSurfaceTension(value);
+            }
+        });
+        
+        document.getElementById('flipRatioSlider').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('flipRatioValue').textContent = value.toFixed(2);
+            if (this.simulator) {
+                this.simulator.setFlipRatio(value);
+            }
+        });
+        
+        document.getElementById('adaptiveTimeStep').addEventListener('change', (e) => {
+            if (this.simulator) {
+                this.simulator.setCfl({ enabled: e.target.checked });
+            }
+        });
+        
+        document.getElementById('adaptiveMesh').addEventListener('change', (e) => {
+            if (this.simulator) {
+                this.simulator.setAdaptivity({ enabled: e.target.checked });
+            }
+        });
+        
+        document.getElementById('refinementSlider').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('refinementValue').textContent = value.toFixed(2);
+            if (this.simulator) {
+                this.simulator.setAdaptivity({ sizing: { minEdgeLength: value } });
+            }
+        });
+        
         document.getElementById('particleCountSlider').addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
             document.getElementById('particleCountValue').textContent = value;
+            if (this.simulator) {
+                this.simulator.setParticleCount(value);
+            }
+        });
+        
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            const value = Number(e.target.value);
+            if (this.simulator && isValidSeed(value)) {
+                this.simulator.setSeed(value);
+            } else if (this.simulator) {
+                e.target.value = this.simulator.seed;
+            }
         });
         
         // Rendering options
@@ -96,6 +194,26 @@ class App {
             }
         });
         
+        document.getElementById('particleMode').addEventListener('change', (e) => {
+            if (this.renderer) {
+                this.renderer.setParticleMode(e.target.value);
+            }
+        });
+        
+        document.getElementById('fluidSmoothingSlider').addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            document.getElementById('fluidSmoothingValue').textContent = value;
+            if (this.renderer) {
+                this.renderer.setFluidSmoothing(value);
+            }
+        });
+        
+        document.getElementById('showSurface').addEventListener('change', (e) => {
+            if (this.renderer) {
+                this.renderer.setShowSurface(e.target.checked);
+            }
+        });
+        
         document.getElementById('showMesh').addEventListener('change', (e) => {
             if (this.renderer) {
                 this.renderer.setShowMesh(e.target.checked);
@@ -108,11 +226,285 @@ class App {
             }
         });
         
+        document.getElementById('glyphScaleSlider').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            document.getElementById('glyphScaleValue').textContent = value.toFixed(2);
+            if (this.renderer) {
+                this.renderer.setVelocityGlyphs({ scale: value });
+            }
+        });
+        
+        document.getElementById('glyphLattice').addEventListener('change', (e) => {
+            if (this.renderer) {
+                this.renderer.setVelocityGlyphs({ sampling: e.target.checked ? 'lattice' : 'nodes' });
+            }
+        });
+        
+        document.getElementById('glyphDensitySlider').addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            document.getElementById('glyphDensityValue').textContent = value;
+            if (this.renderer) {
+                this.renderer.setVelocityGlyphs({ density: value });
+            }
+        });
+        
+        // Scalar colouring
+        document.getElementById('colorField').addEventListener('change', (e) => {
+            const field = SCALAR_FIELDS[e.target.value];
+            this.colorMapping.field = e.target.value;
+            this.lastScalars = null;
+            if (field) {
+                // Each quantity starts out on the map that suits it
+                this.colorMapping.colormap = field.colormap;
+                document.getElementById('colormap').value = field.colormap;
+            } else {
+                this.updateLegend(null);
+            }
+        });
+        
+        document.getElementById('colormap').addEventListener('change', (e) => {
+            this.colorMapping.colormap = e.target.value;
+        });
+        
+        document.getElementById('autoRange').addEventListener('change', (e) => {
+            const mapping = this.colorMapping;
+            mapping.autoRange = e.target.checked;
+            if (!mapping.autoRange && this.lastScalars) {
+                // Fix the range where it currently is
+                mapping.min = this.lastScalars.min;
+                mapping.max = this.lastScalars.max;
+                document.getElementById('rangeMin').value = mapping.min.toPrecision(3);
+                document.getElementById('rangeMax').value = mapping.max.toPrecision(3);
+            }
+            document.getElementById('rangeMin').disabled = mapping.autoRange;
+            document.getElementById('rangeMax').disabled = mapping.autoRange;
+        });
+        
+        document.getElementById('rangeMin').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (Number.isFinite(value)) {
+                this.colorMapping.min = value;
+            } else {
+                e.target.value = this.colorMapping.min;
+            }
+        });
+        
+        document.getElementById('rangeMax').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (Number.isFinite(value)) {
+                this.colorMapping.max = value;
+            } else {
+                e.target.value = this.colorMapping.max;
+            }
+        });
+        
         // Handle canvas resize
         window.addEventListener('resize', () => this.handleResize());
         this.handleResize();
     }
     
+    setupSceneDrop() {
+        // Load scene descriptions (see scene.js) dropped onto the view
+        const container = this.canvas.parentElement;
+        
+        container.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drag-over');
+        });
+        
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drag-over');
+            }
+        });
+        
+        container.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            container.classList.remove('drag-over');
+            
+            const file = e.dataTransfer.files[0];
+            if (!file) return;
+            
+            let scene;
+            try {
+                scene = JSON.parse(await file.text());
+            } catch (error) {
+                this.showSceneError(`${file.name}: not valid JSON (${error.message})`);
+                return;
+            }
+            await this.loadScene(scene);
+        });
+    }
+    
+    async loadScene(scene) {
+        const wasRunning = this.isRunning;
+        this.pause();
+        
+        try {
+            await this.simulator.reset(scene);
+        } catch (error) {
+            // Invalid scenes leave the current one untouched
+            this.showSceneError(error.message);
+            return;
+        }
+        
+        this.showSceneError(null);
+        this.syncControls();
+        this.syncRenderer();
+        this.updateStats();
+        
+        if (wasRunning) {
+            this.start();
+        }
+    }
+    
+    async loadMesh(files) {
+        // Simulate the current scene in an imported domain: one Gmsh .msh, or
+        // a TetGen .node and .ele pair selected together
+        const texts = {};
+        for (const file of files) {
+            texts[file.name] = await file.text();
+        }
+        
+        let imported;
+        try {
+            imported = importMesh(texts);
+        } catch (error) {
+            // Unreadable meshes leave the current domain untouched
+            this.showSceneError(error.message);
+            return;
+        }
+        
+        const wasRunning = this.isRunning;
+        this.pause();
+        
+        this.simulator.setImportedMesh(imported);
+        await this.simulator.reset();
+        
+        this.showSceneError(null);
+        this.syncControls();
+        this.syncRenderer();
+        this.updateStats();
+        
+        if (wasRunning) {
+            this.start();
+        }
+    }
+    
+    saveCheckpoint() {
+        // Download the current state as <scene>-step<N>.tfc
+        download(this.simulator.saveCheckpoint(), `${this.getFileStem()}.tfc`, 'application/octet-stream');
+    }
+    
+    exportFrame() {
+        // Download the current step's export files as <scene>-step<N>.zip
+        download(createZip(exportFrame(this.simulator)), `${this.getFileStem()}.zip`, 'application/zip');
+    }
+    
+    getFileStem() {
+        const name = this.simulator.getScene().name.replace(/[^\w-]+/g, '_');
+        return `${name}-step${this.simulator.stepCount}`;
+    }
+    
+    async loadCheckpoint(data) {
+        const wasRunning = this.isRunning;
+        this.pause();
+        
+        try {
+            await this.simulator.loadCheckpoint(data);
+        } catch (error) {
+            // Unreadable checkpoints leave the current simulation untouched
+            this.showSceneError(error.message);
+            return;
+        }
+        
+        this.showSceneError(null);
+        this.syncControls();
+        this.syncRenderer();
+        this.updateStats();
+        
+        if (wasRunning) {
+            this.start();
+        }
+    }
+    
+    showSceneError(message) {
+        const element = document.getElementById('sceneError');
+        element.textContent = message || '';
+        element.style.display = message ? 'block' : 'none';
+    }
+    
+    syncControls() {
+        // Reflect scene-defined (or checkpointed) parameters in the controls
+        const simulator = this.simulator;
+        const setSlider = (name, value, digits) => {
+            document.getElementById(`${name}Slider`).value = value;
+            document.getElementById(`${name}Value`).textContent = value.toFixed(digits);
+        };
+        
+        setSlider('timeStep', simulator.timeStep, 3);
+        setSlider('gravity', simulator.gravity[1], 1);
+        setSlider('viscosity', simulator.viscosity, 3);
+        setSlider('surfaceTension', simulator.surfaceTension, 2);
+        setSlider('flipRatio', simulator.flipRatio, 2);
+        setSlider('particleCount', simulator.getParticleCount(), 0);
+        setSlider('refinement', simulator.adaptivity.sizing.minEdgeLength, 2);
+        document.getElementById('adaptiveTimeStep').checked = simulator.cfl.enabled;
+        document.getElementById('adaptiveMesh').checked = simulator.adaptivity.enabled;
+        document.getElementById('seedInput').value = simulator.seed;
+        document.getElementById('sceneName').textContent = simulator.getScene().name;
+    }
+    
+    frameLiquid() {
+        // Point the camera at the particles' bounding box
+        const particles = this.simulator.getParticles();
+        if (!particles || particles.count === 0) return;
+        
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let p = 0; p < particles.count; p++) {
+            for (let a = 0; a < 3; a++) {
+                const value = particles.positions[p * 3 + a];
+                min[a] = Math.min(min[a], value);
+                max[a] = Math.max(max[a], value);
+            }
+        }
+        this.renderer.camera.frame(min, max);
+    }
+    
+    saveView() {
+        // Remember the camera per scene name in the browser's storage
+        localStorage.setItem(this.getViewKey(), JSON.stringify(this.renderer.camera.getState()));
+    }
+    
+    restoreView() {
+        const saved = localStorage.getItem(this.getViewKey());
+        if (!saved) {
+            this.showSceneError(`No saved view for ${this.simulator.getScene().name}`);
+            return;
+        }
+        
+        try {
+            this.renderer.camera.setState(JSON.parse(saved));
+        } catch (error) {
+            this.showSceneError(error.message);
+            return;
+        }
+        this.showSceneError(null);
+    }
+    
+    getViewKey() {
+        return `tetflip-view:${this.simulator.getScene().name}`;
+    }
+    
+    syncRenderer() {
+        // Hand the renderer the scene's domain, obstacles and particle size
+        this.renderer.setDomain(this.simulator.domainMin, this.simulator.domainMax);
+        this.renderer.setObstacles(this.simulator.getObstacleSurfaces());
+        this.renderer.setParticleRadius(this.simulator.getParticleRadius());
+    }
+    
     handleResize() {
         const rect = this.canvas.getBoundingClientRect();
         this.canvas.width = rect.width * window.devicePixelRatio;
@@ -145,6 +537,8 @@ class App {
         
         if (this.simulator) {
             await this.simulator.reset();
+            // The particle count, and with it the particle size, applies on reset
+            this.renderer.setParticleRadius(this.simulator.getParticleRadius());
         }
         
         this.updateStats();
@@ -167,18 +561,22 @@ class App {
             this.fps = Math.round(1 / deltaTime);
         }
         
-        // Step simulation
+        // Advance the simulation by the elapsed wall-clock time
         if (this.simulator) {
-            this.simulator.step();
+            this.simulator.advance(Math.min(deltaTime, MAX_FRAME_TIME));
         }
         
         // Render
         if (this.renderer && this.simulator) {
+            const scalars = this.computeScalars();
             this.renderer.render(
                 this.simulator.getParticles(),
                 this.simulator.getMesh(),
-                this.simulator.getVelocityField()
+                this.simulator.getVelocityField(),
+                this.renderer.showSurface ? this.simulator.getSurface() : null,
+                scalars
             );
+            this.updateLegend(scalars);
         }
         
         // Update statistics
@@ -188,6 +586,48 @@ class App {
         requestAnimationFrame(() => this.animate());
     }
     
+    computeScalars() {
+        // Values and range of the chosen colouring for the renderer, or null
+        // for flat colours. When the field is unavailable (pressure right
+        // after the mesh was adapted) the previous frame's values are kept
+        const mapping = this.colorMapping;
+        if (mapping.field === 'none') return null;
+        
+        const values = computeScalarField(this.simulator, mapping.field);
+        if (values) {
+            this.lastScalars = values;
+        }
+        if (!this.lastScalars) return null;
+        
+        const range = mapping.autoRange ? this.lastScalars : mapping;
+        return { ...this.lastScalars, min: range.min, max: range.max, colormap: mapping.colormap };
+    }
+    
+    updateLegend(scalars) {
+        // Show the colour bar for scalars (hide it for null), touching the
+        // DOM only when the legend changes
+        const legend = document.getElementById('colorLegend');
+        if (!scalars) {
+            this.legendKey = '';
+            legend.style.display = 'none';
+            return;
+        }
+        
+        const field = SCALAR_FIELDS[this.colorMapping.field];
+        const title = field.unit ? `${field.label} (${field.unit})` : field.label;
+        const min = scalars.min.toPrecision(3);
+        const max = scalars.max.toPrecision(3);
+        const key = `${title}|${scalars.colormap}|${min}|${max}`;
+        if (key === this.legendKey) return;
+        
+        this.legendKey = key;
+        document.getElementById('legendTitle').textContent = title;
+        document.getElementById('legendBar').style.background = colormapGradient(scalars.colormap);
+        document.getElementById('legendMin').textContent = min;
+        document.getElementById('legendMax').textContent = max;
+        legend.style.display = 'block';
+    }
+    
     updateStats() {
         document.getElementById('fps').textContent = this.fps;
         
@@ -198,10 +638,27 @@ class App {
                 this.simulator.getTetrahedraCount();
             document.getElementById('simTime').textContent = 
                 this.simulator.getSimulationTime().toFixed(3);
+            document.getElementById('substeps').textContent = this.simulator.lastSubsteps;
+            document.getElementById('stepSize').textContent = this.simulator.dt.toFixed(4);
+            
+            const solve = this.simulator.getPressureSolveStats();
+            if (solve) {
+                document.getElementById('pressureIterations').textContent = solve.iterations;
+                document.getElementById('pressureResidual').textContent = solve.residual.toExponential(1);
+            }
         }
     }
 }
 
+function download(data, filename, type) {
+    // Save data (ArrayBuffer or typed array) through a temporary link
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
 // Initialize app when DOM is loaded
 window.addEventListener('DOMContentLoaded', () => {
     new App();
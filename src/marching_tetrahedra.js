@@ -0,0 +1,197 @@
+/**
+ * Marching tetrahedra - Extracts the zero level set of a scalar field sampled
+ * at the nodes of a tetrahedral mesh
+ *
+ * Surface vertices are shared between tetrahedra through their mesh edge, so
+ * the output is watertight wherever the field is. Triangles face towards
+ * increasing values (outwards for a signed distance field).
+ */
+
+export function marchingTetrahedra(nodes, tetrahedra, tetCount, values, nodeCount = values.length) {
+    const positions = [];
+    const indices = [];
+    const edgeVertices = new Map(); // a * nodeCount + b (a < b) -> vertex index
+    
+    const edgeVertex = (a, b) => {
+        if (a > b) [a, b] = [b, a];
+        const key = a * nodeCount + b;
+        let index = edgeVertices.get(key);
+        
+        if (index === undefined) {
+            const t = values[a] / (values[a] - values[b]);
+            index = positions.length / 3;
+            positions.push(
+                nodes[a * 3] + t * (nodes[b * 3] - nodes[a * 3]),
+                nodes[a * 3 + 1] + t * (nodes[b * 3 + 1] - nodes[a * 3 + 1]),
+                nodes[a * 3 + 2] + t * (nodes[b * 3 + 2] - nodes[a * 3 + 2])
+            );
+            edgeVertices.set(key, index);
+        }
+        return index;
+    };
+    
+    const inside = [];
+    const outside = [];
+    const order = []; // Corner indices of inside, then outside
+    
+    for (let t = 0; t < tetCount; t++) {
+        inside.length = 0;
+        outside.length = 0;
+        for (let i = 0; i < 4; i++) {
+            const n = tetrahedra[t * 4 + i];
+            (values[n] < 0 ? inside : outside).push(n);
+        }
+        if (inside.length === 0 || outside.length === 0) continue;
+        
+        order.length = 0;
+        for (const side of [true, false]) {
+            for (let i = 0; i < 4; i++) {
+                if ((values[tetrahedra[t * 4 + i]] < 0) === side) order.push(i);
+            }
+        }
+        
+        let polygon;
+        if (inside.length === 1) {
+            polygon = outside.map((n) => edgeVertex(inside[0], n));
+        } else if (outside.length === 1) {
+            polygon = inside.map((n) => edgeVertex(n, outside[0]));
+        } else {
+            // Quad; consecutive vertices share a mesh vertex
+            polygon = [
+                edgeVertex(inside[0], outside[0]),
+                edgeVertex(inside[0], outside[1]),
+                edgeVertex(inside[1], outside[1]),
+                edgeVertex(inside[1], outside[0])
+            ];
+        }
+        
+        // Orient from the inside vertices towards the outside ones. The
+        // polygon as built faces that way when the tetrahedron listed as
+        // (inside..., outside...) is positively oriented, so the sign follows
+        // from the tet's orientation and the parity of that reordering, and
+        // not from the polygon itself, which degenerates where the surface
+        // passes through a node
+        let odd = false;
+        for (let a = 0; a < 4; a++) {
+            for (let b = a + 1; b < 4; b++) {
+                if (order[a] > order[b]) odd = !odd;
+            }
+        }
+        const flip = (tetOrientation(nodes, tetrahedra, t) < 0) !== odd;
+        
+        for (let k = 1; k + 1 < polygon.length; k++) {
+            if (flip) {
+                indices.push(polygon[0], polygon[k + 1], polygon[k]);
+            } else {
+                indices.push(polygon[0], polygon[k], polygon[k + 1]);
+            }
+        }
+    }
+    
+    const positionArray = new Float32Array(positions);
+    const indexArray = new Uint32Array(indices);
+    return {
+        positions: positionArray,
+        normals: computeVertexNormals(positionArray, indexArray),
+        indices: indexArray
+    };
+}
+
+export function polygonizeSdf(distance, bounds, resolution = 32) {
+    // Sample a distance function on a regular grid over bounds, split every
+    // cell into 6 tetrahedra around its main diagonal, and extract the surface
+    const size = [0, 1, 2].map((a) => bounds.max[a] - bounds.min[a]);
+    const cell = Math.max(...size) / resolution;
+    
+    // Pad by one cell so closed shapes produce closed surfaces
+    const min = bounds.min.map((v) => v - cell);
+    const counts = size.map((s) => Math.max(1, Math.ceil(s / cell)) + 2);
+    const [nx, ny, nz] = counts;
+    const nodeId = (i, j, k) => (k * (ny + 1) + j) * (nx + 1) + i;
+    
+    const nodeCount = (nx + 1) * (ny + 1) * (nz + 1);
+    const nodes = new Float32Array(nodeCount * 3);
+    const values = new Float32Array(nodeCount);
+    
+    for (let k = 0; k <= nz; k++) {
+        for (let j = 0; j <= ny; j++) {
+            for (let i = 0; i <= nx; i++) {
+                const n = nodeId(i, j, k);
+                const x = min[0] + i * cell;
+                const y = min[1] + j * cell;
+                const z = min[2] + k * cell;
+                nodes[n * 3] = x;
+                nodes[n * 3 + 1] = y;
+                nodes[n * 3 + 2] = z;
+                values[n] = distance(x, y, z);
+            }
+        }
+    }
+    
+    // Kuhn subdivision: one tetrahedron per ordering of the axes
+    const orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+    const tetrahedra = new Uint32Array(nx * ny * nz * 6 * 4);
+    let t = 0;
+    
+    for (let k = 0; k < nz; k++) {
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                for (const order of orders) {
+                    const corner = [i, j, k];
+                    tetrahedra[t++] = nodeId(corner[0], corner[1], corner[2]);
+                    for (const axis of order) {
+                        corner[axis]++;
+                        tetrahedra[t++] = nodeId(corner[0], corner[1], corner[2]);
+                    }
+                }
+            }
+        }
+    }
+    
+    return marchingTetrahedra(nodes, tetrahedra, nx * ny * nz * 6, values, nodeCount);
+}
+
+export function computeVertexNormals(positions, indices) {
+    // Area-weighted average of the adjacent face normals
+    const normals = new Float32Array(positions.length);
+    
+    for (let f = 0; f < indices.length; f += 3) {
+        const n = triangleNormal(positions, indices[f], indices[f + 1], indices[f + 2]);
+        for (let k = 0; k < 3; k++) {
+            const v = indices[f + k] * 3;
+            normals[v] += n[0];
+            normals[v + 1] += n[1];
+            normals[v + 2] += n[2];
+        }
+    }
+    
+    for (let v = 0; v < normals.length; v += 3) {
+        const length = Math.hypot(normals[v], normals[v + 1], normals[v + 2]);
+        if (length > 0) {
+            normals[v] /= length;
+            normals[v + 1] /= length;
+            normals[v + 2] /= length;
+        }
+    }
+    
+    return normals;
+}
+
+function triangleNormal(positions, a, b, c) {
+    // Unnormalized (twice the area) normal of triangle abc
+    const ux = positions[b * 3] - positions[a * 3];
+    const uy = positions[b * 3 + 1] - positions[a * 3 + 1];
+    const uz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    const vx = positions[c * 3] - positions[a * 3];
+    const vy = positions[c * 3 + 1] - positions[a * 3 + 1];
+    const vz = positions[c * 3 + 2] - positions[a * 3 + 2];
+    return [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+}
+
+function tetOrientation(nodes, tetrahedra, t) {
+    // Six times the signed volume of tetrahedron t
+    const p = (k, a) => nodes[tetrahedra[t * 4 + k] * 3 + a] - nodes[tetrahedra[t * 4] * 3 + a];
+    return p(1, 0) * (p(2, 1) * p(3, 2) - p(2, 2) * p(3, 1)) -
+           p(1, 1) * (p(2, 0) * p(3, 2) - p(2, 2) * p(3, 0)) +
+           p(1, 2) * (p(2, 0) * p(3, 1) - p(2, 1) * p(3, 0));
+}
@@ -2,9 +2,18 @@
  * TetrahedralMesh - Manages the tetrahedral mesh for TETFLIP simulation
  */
 
+import { TetSpatialGrid } from './spatial_grid.js';
+
+// Barycentric coordinates below this are treated as lying on a face, where
+// several tetrahedra may contain the point
+const WALK_INTERIOR_EPSILON = 1e-9;
+const MAX_WALK_STEPS = 32;
+
+// Distinct boundary normals at a node differ by more than this (1 - cos)
+const NORMAL_MERGE_TOLERANCE = 1e-6;
+
 export class TetrahedralMesh {
-    constructor(device, domainMin, domainMax) {
-        this.device = device;
+    constructor(domainMin, domainMax) {
         this.domainMin = domainMin;
         this.domainMax = domainMax;
         
@@ -13,12 +22,37 @@ export class TetrahedralMesh {
         this.tetrahedra = null;      // Tetrahedra indices [n0, n1, n2, n3, ...]
         this.nodeCount = 0;
         this.tetCount = 0;
+        
+        // Incremented whenever nodes or tetrahedra change; derived data keyed on it
+        this.topologyVersion = 0;
+        
+        // Node adjacency in compressed sparse row form (built lazily)
+        this.adjacency = null;
+        
+        // Unique edges as node index pairs (built lazily)
+        this.edges = null;
+        
+        // Per-tet volumes and shape-function gradients (built lazily)
+        this.geometry = null;
+        
+        // Point location acceleration (rebuilt lazily after mesh changes)
+        this.spatialGrid = null;
+        this.tetNeighbors = null;    // Tet across the face opposite each vertex [t0, t1, t2, t3, ...], -1 on boundary
+        
+        // Boundary faces and per-node wall normals (built lazily)
+        this.boundary = null;
     }
     
-    async initialize() {
-        // Create initial tetrahedral mesh
-        // For simplicity, we'll create a regular grid-based tetrahedral mesh
-        this.createRegularMesh(8, 8, 8);
+    async initialize(resolution = [8, 8, 8], imported = null) {
+        // Create initial tetrahedral mesh: a regular grid of
+        // resolution[0] x resolution[1] x resolution[2] cubes, or an imported
+        // mesh whose bounds match the domain (already oriented by
+        // prepareImportedMesh in mesh_import.js)
+        if (imported) {
+            this.setMeshData(imported.nodes, imported.tetrahedra);
+            return;
+        }
+        this.createRegularMesh(resolution[0], resolution[1], resolution[2]);
     }
     
     createRegularMesh(nx, ny, nz) {
@@ -63,12 +97,21 @@ export class TetrahedralMesh {
                     const n111 = getNodeIndex(i + 1, j + 1, k + 1);
                     
                     // Split cube into 5 tetrahedra
-                    // Using a consistent pattern to avoid gaps
-                    tetrahedra.push(n000, n100, n110, n101);
-                    tetrahedra.push(n000, n110, n010, n011);
-                    tetrahedra.push(n000, n101, n001, n011);
-                    tetrahedra.push(n110, n101, n111, n011);
-                    tetrahedra.push(n000, n110, n101, n011);
+                    // The pattern is mirrored on alternating cubes so that the
+                    // face diagonals of neighbouring cubes match (conforming mesh)
+                    if ((i + j + k) % 2 === 0) {
+                        tetrahedra.push(n000, n100, n110, n101);
+                        tetrahedra.push(n000, n110, n010, n011);
+                        tetrahedra.push(n000, n101, n001, n011);
+                        tetrahedra.push(n110, n101, n111, n011);
+                        tetrahedra.push(n000, n110, n101, n011);
+                    } else {
+                        tetrahedra.push(n100, n000, n010, n001);
+                        tetrahedra.push(n100, n010, n110, n111);
+                        tetrahedra.push(n100, n001, n101, n111);
+                        tetrahedra.push(n010, n001, n011, n111);
+                        tetrahedra.push(n100, n010, n001, n111);
+                    }
                 }
             }
         }
@@ -78,6 +121,410 @@ export class TetrahedralMesh {
         this.tetrahedra = new Uint32Array(tetrahedra);
         this.nodeCount = this.nodes.length / 3;
         this.tetCount = this.tetrahedra.length / 4;
+        
+        this.orientTetrahedra();
+        this.invalidateTopology();
+    }
+    
+    setMeshData(nodes, tetrahedra, nodeVelocities = null) {
+        // Replace the whole mesh (used by mesh adaptation)
+        this.nodes = new Float32Array(nodes);
+        this.tetrahedra = new Uint32Array(tetrahedra);
+        this.nodeCount = this.nodes.length / 3;
+        this.tetCount = this.tetrahedra.length / 4;
+        this.nodeVelocities = nodeVelocities
+            ? new Float32Array(nodeVelocities)
+            : new Float32Array(this.nodes.length);
+        
+        this.invalidateTopology();
+    }
+    
+    orientTetrahedra() {
+        // Reorder corners so that every tetrahedron has positive signed volume
+        for (let t = 0; t < this.tetCount; t++) {
+            if (this.signedVolume(t) < 0) {
+                const i = t * 4;
+                const tmp = this.tetrahedra[i + 2];
+                this.tetrahedra[i + 2] = this.tetrahedra[i + 3];
+                this.tetrahedra[i + 3] = tmp;
+            }
+        }
+    }
+    
+    signedVolume(tetIndex) {
+        const tet = this.getTetrahedron(tetIndex);
+        const p = tet.map((n) => [this.nodes[n * 3], this.nodes[n * 3 + 1], this.nodes[n * 3 + 2]]);
+        return this.tetrahedronVolume(p[0], p[1], p[2], p[3]);
+    }
+    
+    invalidateTopology() {
+        // Must be called whenever tetrahedra are added, removed or reconnected
+        // (or nodes move), so that cached adjacency and point location are rebuilt
+        this.topologyVersion++;
+        this.adjacency = null;
+        this.edges = null;
+        this.geometry = null;
+        this.invalidateSpatialIndex();
+    }
+    
+    buildAdjacency() {
+        // Node-to-tet and node-to-node adjacency in CSR form:
+        // the entries of node i are indices[offsets[i] .. offsets[i + 1])
+        const nodeCount = this.nodeCount;
+        const tetCount = this.tetCount;
+        
+        // Node-to-tet: counting sort of tet corners by node
+        const tetOffsets = new Uint32Array(nodeCount + 1);
+        for (let i = 0; i < tetCount * 4; i++) {
+            tetOffsets[this.tetrahedra[i] + 1]++;
+        }
+        for (let n = 0; n < nodeCount; n++) {
+            tetOffsets[n + 1] += tetOffsets[n];
+        }
+        const fill = tetOffsets.slice(0, nodeCount);
+        const tetIndices = new Uint32Array(tetCount * 4);
+        for (let t = 0; t < tetCount; t++) {
+            for (let i = 0; i < 4; i++) {
+                tetIndices[fill[this.tetrahedra[t * 4 + i]]++] = t;
+            }
+        }
+        
+        // Node-to-node: the other corners of each incident tet, deduplicated
+        const neighborOffsets = new Uint32Array(nodeCount + 1);
+        const neighborLists = new Array(nodeCount);
+        const marker = new Int32Array(nodeCount).fill(-1);
+        
+        for (let n = 0; n < nodeCount; n++) {
+            const list = [];
+            marker[n] = n;
+            
+            for (let s = tetOffsets[n]; s < tetOffsets[n + 1]; s++) {
+                const t = tetIndices[s];
+                for (let i = 0; i < 4; i++) {
+                    const m = this.tetrahedra[t * 4 + i];
+                    if (marker[m] !== n) {
+                        marker[m] = n;
+                        list.push(m);
+                    }
+                }
+            }
+            
+            list.sort((a, b) => a - b);
+            neighborLists[n] = list;
+            neighborOffsets[n + 1] = neighborOffsets[n] + list.length;
+        }
+        
+        const neighborIndices = new Uint32Array(neighborOffsets[nodeCount]);
+        for (let n = 0; n < nodeCount; n++) {
+            neighborIndices.set(neighborLists[n], neighborOffsets[n]);
+        }
+        
+        this.adjacency = {
+            version: this.topologyVersion,
+            nodeTets: { offsets: tetOffsets, indices: tetIndices },
+            nodeNeighbors: { offsets: neighborOffsets, indices: neighborIndices }
+        };
+    }
+    
+    getAdjacency() {
+        if (!this.adjacency || this.adjacency.version !== this.topologyVersion) {
+            this.buildAdjacency();
+        }
+        return this.adjacency;
+    }
+    
+    getNodeNeighbors(nodeIndex) {
+        // Sorted indices of nodes sharing a tetrahedron with nodeIndex (excluding itself)
+        const { offsets, indices } = this.getAdjacency().nodeNeighbors;
+        return indices.subarray(offsets[nodeIndex], offsets[nodeIndex + 1]);
+    }
+    
+    getNodeTetrahedra(nodeIndex) {
+        // Indices of tetrahedra that have nodeIndex as a corner
+        const { offsets, indices } = this.getAdjacency().nodeTets;
+        return indices.subarray(offsets[nodeIndex], offsets[nodeIndex + 1]);
+    }
+    
+    getEdges() {
+        // Unique edges [a0, b0, a1, b1, ...] with a < b: each node's
+        // higher-numbered neighbours, in node order
+        if (!this.edges || this.edges.version !== this.topologyVersion) {
+            const { offsets, indices } = this.getAdjacency().nodeNeighbors;
+            const pairs = new Uint32Array(indices.length);
+            let count = 0;
+            for (let n = 0; n < this.nodeCount; n++) {
+                for (let s = offsets[n]; s < offsets[n + 1]; s++) {
+                    if (indices[s] > n) {
+                        pairs[count++] = n;
+                        pairs[count++] = indices[s];
+                    }
+                }
+            }
+            this.edges = { version: this.topologyVersion, indices: pairs.subarray(0, count) };
+        }
+        return this.edges.indices;
+    }
+    
+    getTetGeometry() {
+        // P1 finite-element data per tetrahedron:
+        //   volumes[t]                  - unsigned volume
+        //   gradients[t * 12 + i * 3]   - gradient of the barycentric (hat) function of corner i
+        if (this.geometry && this.geometry.version === this.topologyVersion) {
+            return this.geometry;
+        }
+        
+        const volumes = new Float64Array(this.tetCount);
+        const gradients = new Float64Array(this.tetCount * 12);
+        const nodes = this.nodes;
+        
+        for (let t = 0; t < this.tetCount; t++) {
+            const n0 = this.tetrahedra[t * 4] * 3;
+            const e = [];
+            for (let i = 1; i < 4; i++) {
+                const n = this.tetrahedra[t * 4 + i] * 3;
+                e.push([nodes[n] - nodes[n0], nodes[n + 1] - nodes[n0 + 1], nodes[n + 2] - nodes[n0 + 2]]);
+            }
+            
+            const cross = (a, b) => [
+                a[1] * b[2] - a[2] * b[1],
+                a[2] * b[0] - a[0] * b[2],
+                a[0] * b[1] - a[1] * b[0]
+            ];
+            
+            // ∇λ1 = (e2 × e3) / 6V, ∇λ2 = (e3 × e1) / 6V, ∇λ3 = (e1 × e2) / 6V, ∇λ0 = -Σ
+            const c1 = cross(e[1], e[2]);
+            const c2 = cross(e[2], e[0]);
+            const c3 = cross(e[0], e[1]);
+            const det = e[0][0] * c1[0] + e[0][1] * c1[1] + e[0][2] * c1[2];
+            
+            volumes[t] = Math.abs(det) / 6;
+            if (Math.abs(det) < 1e-30) {
+                continue; // Degenerate: leave zero gradients
+            }
+            
+            const g = t * 12;
+            for (let a = 0; a < 3; a++) {
+                gradients[g + 3 + a] = c1[a] / det;
+                gradients[g + 6 + a] = c2[a] / det;
+                gradients[g + 9 + a] = c3[a] / det;
+                gradients[g + a] = -(c1[a] + c2[a] + c3[a]) / det;
+            }
+        }
+        
+        this.geometry = { version: this.topologyVersion, volumes, gradients };
+        return this.geometry;
+    }
+    
+    computeNodeVorticity(velocities = this.nodeVelocities) {
+        // |∇ × v| per node: the P1 curl Σ_k ∇λ_k × v_k is constant per tet and
+        // averaged to nodes weighted by tet volume
+        const { volumes, gradients } = this.getTetGeometry();
+        const vorticity = new Float32Array(this.nodeCount);
+        const weight = new Float64Array(this.nodeCount);
+        
+        for (let t = 0; t < this.tetCount; t++) {
+            let wx = 0, wy = 0, wz = 0;
+            for (let k = 0; k < 4; k++) {
+                const v = this.tetrahedra[t * 4 + k] * 3;
+                const g = t * 12 + k * 3;
+                wx += gradients[g + 1] * velocities[v + 2] - gradients[g + 2] * velocities[v + 1];
+                wy += gradients[g + 2] * velocities[v] - gradients[g] * velocities[v + 2];
+                wz += gradients[g] * velocities[v + 1] - gradients[g + 1] * velocities[v];
+            }
+            
+            const magnitude = Math.sqrt(wx * wx + wy * wy + wz * wz);
+            for (let k = 0; k < 4; k++) {
+                const n = this.tetrahedra[t * 4 + k];
+                vorticity[n] += volumes[t] * magnitude;
+                weight[n] += volumes[t];
+            }
+        }
+        
+        for (let n = 0; n < this.nodeCount; n++) {
+            if (weight[n] > 0) {
+                vorticity[n] /= weight[n];
+            }
+        }
+        
+        return vorticity;
+    }
+    
+    computeTetQuality() {
+        // Shape quality 6√2 V / l_rms³ per tet, as used by MeshAdaptor: 1 for a
+        // regular tetrahedron, towards 0 for flat ones and negative if inverted
+        const quality = new Float32Array(this.tetCount);
+        
+        for (let t = 0; t < this.tetCount; t++) {
+            let sumSquares = 0;
+            for (let i = 0; i < 4; i++) {
+                const a = this.tetrahedra[t * 4 + i] * 3;
+                for (let j = i + 1; j < 4; j++) {
+                    const b = this.tetrahedra[t * 4 + j] * 3;
+                    const dx = this.nodes[b] - this.nodes[a];
+                    const dy = this.nodes[b + 1] - this.nodes[a + 1];
+                    const dz = this.nodes[b + 2] - this.nodes[a + 2];
+                    sumSquares += dx * dx + dy * dy + dz * dz;
+                }
+            }
+            const rms = Math.sqrt(sumSquares / 6);
+            quality[t] = rms > 0 ? 6 * Math.SQRT2 * this.signedVolume(t) / (rms * rms * rms) : 0;
+        }
+        
+        return quality;
+    }
+    
+    invalidateSpatialIndex() {
+        // Point location and boundary normals depend on node positions as
+        // well as connectivity
+        this.spatialGrid = null;
+        this.tetNeighbors = null;
+        this.boundary = null;
+    }
+    
+    buildSpatialIndex() {
+        this.spatialGrid = new TetSpatialGrid();
+        this.spatialGrid.build(this.nodes, this.tetrahedra, this.tetCount);
+        this.tetNeighbors = this.buildTetNeighbors();
+    }
+    
+    buildTetNeighbors() {
+        // Face adjacency: for each tet and each vertex, the tet sharing the
+        // face opposite that vertex
+        const neighbors = new Int32Array(this.tetCount * 4).fill(-1);
+        
+        const { offsets: start, indices: incident } = this.getAdjacency().nodeTets;
+        
+        for (let t = 0; t < this.tetCount; t++) {
+            for (let i = 0; i < 4; i++) {
+                if (neighbors[t * 4 + i] !== -1) continue;
+                
+                const a = this.tetrahedra[t * 4 + (i + 1) % 4];
+                const b = this.tetrahedra[t * 4 + (i + 2) % 4];
+                const c = this.tetrahedra[t * 4 + (i + 3) % 4];
+                
+                // Any other tet containing a, b and c shares this face
+                for (let s = start[a]; s < start[a + 1]; s++) {
+                    const other = incident[s];
+                    if (other === t) continue;
+                    
+                    let opposite = -1;
+                    let shared = 0;
+                    for (let j = 0; j < 4; j++) {
+                        const n = this.tetrahedra[other * 4 + j];
+                        if (n === a || n === b || n === c) {
+                            shared++;
+                        } else {
+                            opposite = j;
+                        }
+                    }
+                    
+                    if (shared === 3) {
+                        neighbors[t * 4 + i] = other;
+                        neighbors[other * 4 + opposite] = t;
+                        break;
+                    }
+                }
+            }
+        }
+        
+        return neighbors;
+    }
+    
+    getBoundary() {
+        // Faces of a single tetrahedron, for any mesh shape:
+        //   faces[f * 3 .. f * 3 + 3]   - corners, wound outwards
+        //   faceNormals[f * 3 ..]       - outward unit normals
+        //   nodes[i]                    - 1 for nodes on the boundary
+        //   normals[normalOffsets[i] * 3 .. normalOffsets[i + 1] * 3)
+        //                               - distinct outward normals at node i
+        //                                 (one per wall plane through it)
+        if (this.boundary) {
+            return this.boundary;
+        }
+        if (!this.tetNeighbors) {
+            this.buildSpatialIndex();
+        }
+        
+        const nodes = this.nodes;
+        const faces = [];
+        const faceNormals = [];
+        for (let t = 0; t < this.tetCount; t++) {
+            for (let i = 0; i < 4; i++) {
+                if (this.tetNeighbors[t * 4 + i] !== -1) continue;
+                
+                const opposite = this.tetrahedra[t * 4 + i];
+                let a = this.tetrahedra[t * 4 + (i + 1) % 4];
+                let b = this.tetrahedra[t * 4 + (i + 2) % 4];
+                const c = this.tetrahedra[t * 4 + (i + 3) % 4];
+                
+                let normal = faceNormal(nodes, a, b, c);
+                const toOpposite = [0, 1, 2].map((k) => nodes[opposite * 3 + k] - nodes[a * 3 + k]);
+                if (normal[0] * toOpposite[0] + normal[1] * toOpposite[1] + normal[2] * toOpposite[2] > 0) {
+                    [a, b] = [b, a];
+                    normal = normal.map((n) => -n);
+                }
+                faces.push(a, b, c);
+                faceNormals.push(...normal);
+            }
+        }
+        
+        // Wall planes per node: face normals around it, merging (nearly)
+        // parallel ones
+        const nodeNormals = Array.from({ length: this.nodeCount }, () => []);
+        for (let f = 0; f < faces.length / 3; f++) {
+            const normal = faceNormals.slice(f * 3, f * 3 + 3);
+            for (let k = 0; k < 3; k++) {
+                const list = nodeNormals[faces[f * 3 + k]];
+                const known = list.some((n) =>
+                    n[0] * normal[0] + n[1] * normal[1] + n[2] * normal[2] > 1 - NORMAL_MERGE_TOLERANCE);
+                if (!known) list.push(normal);
+            }
+        }
+        
+        const onBoundary = new Uint8Array(this.nodeCount);
+        const normalOffsets = new Uint32Array(this.nodeCount + 1);
+        for (let i = 0; i < this.nodeCount; i++) {
+            onBoundary[i] = nodeNormals[i].length > 0 ? 1 : 0;
+            normalOffsets[i + 1] = normalOffsets[i] + nodeNormals[i].length;
+        }
+        const normals = new Float64Array(normalOffsets[this.nodeCount] * 3);
+        for (let i = 0; i < this.nodeCount; i++) {
+            nodeNormals[i].forEach((n, k) => normals.set(n, (normalOffsets[i] + k) * 3));
+        }
+        
+        this.boundary = {
+            faces: new Uint32Array(faces),
+            faceNormals: new Float64Array(faceNormals),
+            nodes: onBoundary,
+            normalOffsets,
+            normals
+        };
+        return this.boundary;
+    }
+    
+    projectToBoundary(x, y, z, out) {
+        // Closest point on the boundary faces to (x, y, z), written to out;
+        // returns that face's outward normal. Linear in the number of
+        // boundary faces, meant for the few particles that leave the mesh
+        const { faces, faceNormals } = this.getBoundary();
+        const nodes = this.nodes;
+        const closest = [0, 0, 0];
+        let bestDistance = Infinity;
+        let bestFace = -1;
+        
+        for (let f = 0; f < faces.length / 3; f++) {
+            closestPointOnTriangle(x, y, z, nodes, faces[f * 3], faces[f * 3 + 1], faces[f * 3 + 2], closest);
+            const d = (closest[0] - x) ** 2 + (closest[1] - y) ** 2 + (closest[2] - z) ** 2;
+            if (d < bestDistance) {
+                bestDistance = d;
+                bestFace = f;
+                out[0] = closest[0];
+                out[1] = closest[1];
+                out[2] = closest[2];
+            }
+        }
+        
+        return bestFace >= 0 ? faceNormals.subarray(bestFace * 3, bestFace * 3 + 3) : null;
     }
     
     getNodes() {
@@ -107,12 +554,104 @@ export class TetrahedralMesh {
         ];
     }
     
-    findContainingTetrahedron(x, y, z) {
+    findContainingTetrahedron(x, y, z, hint = -1) {
         // Find which tetrahedron contains the point (x, y, z)
-        // Simple linear search for now (could be optimized with spatial data structure)
+        // Walks from the hint tetrahedron (e.g. the particle's previous tet) and
+        // falls back to the bucket grid. Returns the same index as the brute-force
+        // search: the lowest-indexed tetrahedron containing the point
+        
+        if (!this.spatialGrid) {
+            this.buildSpatialIndex();
+        }
+        
+        if (hint >= 0 && hint < this.tetCount) {
+            const found = this.walkToContainingTetrahedron(hint, x, y, z);
+            if (found >= 0) {
+                return found;
+            }
+        }
+        
+        const range = this.spatialGrid.getCandidates(x, y, z);
+        if (!range) {
+            return -1;
+        }
+        
+        for (let c = range[0]; c < range[1]; c++) {
+            const t = this.spatialGrid.cellTets[c];
+            const bary = this.computeBarycentricCoordinates(t, x, y, z);
+            
+            if (bary[0] >= 0 && bary[1] >= 0 && bary[2] >= 0 && bary[3] >= 0) {
+                return t;
+            }
+        }
+        
+        return -1; // Not found
+    }
+    
+    walkToContainingTetrahedron(start, x, y, z) {
+        // Walk across faces towards the point. Only strictly interior hits are
+        // returned; points on shared faces are left to the grid query so that
+        // ties resolve exactly like the brute-force search
+        let t = start;
+        
+        for (let step = 0; step < MAX_WALK_STEPS; step++) {
+            const bary = this.computeBarycentricCoordinates(t, x, y, z);
+            
+            let minIndex = 0;
+            for (let i = 1; i < 4; i++) {
+                if (bary[i] < bary[minIndex]) {
+                    minIndex = i;
+                }
+            }
+            
+            if (bary[minIndex] >= WALK_INTERIOR_EPSILON) {
+                return t;
+            }
+            if (bary[minIndex] >= 0) {
+                return -1;
+            }
+            
+            t = this.tetNeighbors[t * 4 + minIndex];
+            if (t < 0) {
+                return -1;
+            }
+        }
+        
+        return -1;
+    }
+    
+    sampleVelocity(x, y, z, out, hint = -1, velocities = this.nodeVelocities) {
+        // Barycentric interpolation of the node velocities at (x, y, z),
+        // written to out. Points outside the domain are clamped onto it.
+        // Returns the containing tetrahedron, or -1 (out = 0) if none
+        x = Math.min(Math.max(x, this.domainMin[0]), this.domainMax[0]);
+        y = Math.min(Math.max(y, this.domainMin[1]), this.domainMax[1]);
+        z = Math.min(Math.max(z, this.domainMin[2]), this.domainMax[2]);
+        
+        out[0] = 0;
+        out[1] = 0;
+        out[2] = 0;
+        
+        const tetIndex = this.findContainingTetrahedron(x, y, z, hint);
+        if (tetIndex < 0) {
+            return -1;
+        }
+        
+        const bary = this.computeBarycentricCoordinates(tetIndex, x, y, z);
+        for (let i = 0; i < 4; i++) {
+            const n = this.tetrahedra[tetIndex * 4 + i] * 3;
+            out[0] += bary[i] * velocities[n];
+            out[1] += bary[i] * velocities[n + 1];
+            out[2] += bary[i] * velocities[n + 2];
+        }
+        
+        return tetIndex;
+    }
+    
+    findContainingTetrahedronBruteForce(x, y, z) {
+        // Reference linear search over every tetrahedron
         
         for (let t = 0; t < this.tetCount; t++) {
-            const tet = this.getTetrahedron(t);
             const bary = this.computeBarycentricCoordinates(t, x, y, z);
             
             // Check if all barycentric coordinates are non-negative
@@ -189,3 +728,59 @@ export class TetrahedralMesh {
         return this.tetCount;
     }
 }
+
+function faceNormal(nodes, a, b, c) {
+    // Unit normal of triangle (a, b, c), by the right-hand rule
+    const e1 = [0, 1, 2].map((k) => nodes[b * 3 + k] - nodes[a * 3 + k]);
+    const e2 = [0, 1, 2].map((k) => nodes[c * 3 + k] - nodes[a * 3 + k]);
+    const n = [
+        e1[1] * e2[2] - e1[2] * e2[1],
+        e1[2] * e2[0] - e1[0] * e2[2],
+        e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+    const length = Math.hypot(n[0], n[1], n[2]) || 1;
+    return [n[0] / length, n[1] / length, n[2] / length];
+}
+
+function closestPointOnTriangle(x, y, z, nodes, a, b, c, out) {
+    // Closest point to p on triangle (a, b, c), by the Voronoi region of p
+    // (Ericson, Real-Time Collision Detection, 5.1.5)
+    const ax = nodes[a * 3], ay = nodes[a * 3 + 1], az = nodes[a * 3 + 2];
+    const abx = nodes[b * 3] - ax, aby = nodes[b * 3 + 1] - ay, abz = nodes[b * 3 + 2] - az;
+    const acx = nodes[c * 3] - ax, acy = nodes[c * 3 + 1] - ay, acz = nodes[c * 3 + 2] - az;
+    const apx = x - ax, apy = y - ay, apz = z - az;
+    const set = (s, t) => {
+        out[0] = ax + s * abx + t * acx;
+        out[1] = ay + s * aby + t * acy;
+        out[2] = az + s * abz + t * acz;
+    };
+    
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0 && d2 <= 0) return set(0, 0);
+    
+    const bpx = apx - abx, bpy = apy - aby, bpz = apz - abz;
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0 && d4 <= d3) return set(1, 0);
+    
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) return set(d1 / (d1 - d3), 0);
+    
+    const cpx = apx - acx, cpy = apy - acy, cpz = apz - acz;
+    const d5 = abx * cpx + aby * cpy + abz * cpz;
+    const d6 = acx * cpx + acy * cpy + acz * cpz;
+    if (d6 >= 0 && d5 <= d6) return set(0, 1);
+    
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) return set(0, d2 / (d2 - d6));
+    
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        return set(1 - w, w);
+    }
+    
+    const denom = 1 / (va + vb + vc);
+    return set(vb * denom, vc * denom);
+}
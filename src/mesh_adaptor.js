@@ -0,0 +1,595 @@
+/**
+ * MeshAdaptor - Adaptive refinement and coarsening of a TetrahedralMesh
+ * Edge splits refine, edge collapses coarsen and 2-3 / 3-2 flips repair element
+ * quality. Every operation replaces a cavity by a conforming set of tetrahedra.
+ */
+
+// Edges longer than SPLIT_RATIO * h are split, shorter than COLLAPSE_RATIO * h collapsed
+const SPLIT_RATIO = 4 / 3;
+const COLLAPSE_RATIO = 4 / 5;
+
+// Relative tolerance for coplanarity and volume checks
+const GEOMETRY_EPSILON = 1e-6;
+
+export class MeshAdaptor {
+    constructor(sizing = {}) {
+        // Sizing function parameters
+        this.minEdgeLength = 0.15;       // Target edge length near the surface / in vortices
+        this.maxEdgeLength = 0.45;       // Target edge length deep in liquid or air
+        this.surfaceBandWidth = 0.15;    // Distance from the surface kept at minEdgeLength
+        this.gradingDistance = 0.5;      // Distance over which the size grows to maxEdgeLength
+        this.vorticityThreshold = 10.0;  // |ω| at which refinement reaches minEdgeLength
+        
+        // Limits
+        this.minQuality = 0.2;           // Flips target tets below this quality
+        this.maxTetCount = 20000;
+        
+        this.setSizing(sizing);
+    }
+    
+    setSizing(sizing) {
+        const keys = ['minEdgeLength', 'maxEdgeLength', 'surfaceBandWidth', 'gradingDistance',
+                      'vorticityThreshold', 'minQuality', 'maxTetCount'];
+        for (const key of keys) {
+            if (sizing[key] !== undefined) {
+                this[key] = sizing[key];
+            }
+        }
+    }
+    
+    computeSizing(mesh, liquidNodes, vorticity) {
+        // Target edge length per node from the distance to the liquid surface
+        // and the local vorticity magnitude
+        const nodeCount = mesh.nodeCount;
+        const nodes = mesh.getNodes();
+        const { offsets, indices } = mesh.getAdjacency().nodeNeighbors;
+        
+        // Surface nodes: liquid/non-liquid transitions along an edge
+        const distance = new Float64Array(nodeCount).fill(Infinity);
+        const heap = [];
+        const push = (d, n) => {
+            heap.push([d, n]);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const l = i * 2 + 1;
+                    const r = l + 1;
+                    let smallest = i;
+                    if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+                    if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+        
+        for (let n = 0; n < nodeCount; n++) {
+            for (let s = offsets[n]; s < offsets[n + 1]; s++) {
+                if (liquidNodes[indices[s]] !== liquidNodes[n]) {
+                    distance[n] = 0;
+                    push(0, n);
+                    break;
+                }
+            }
+        }
+        
+        // Dijkstra along mesh edges
+        while (heap.length > 0) {
+            const [d, n] = pop();
+            if (d > distance[n]) continue;
+            
+            for (let s = offsets[n]; s < offsets[n + 1]; s++) {
+                const m = indices[s];
+                const dx = nodes[m * 3] - nodes[n * 3];
+                const dy = nodes[m * 3 + 1] - nodes[n * 3 + 1];
+                const dz = nodes[m * 3 + 2] - nodes[n * 3 + 2];
+                const nd = d + Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (nd < distance[m]) {
+                    distance[m] = nd;
+                    push(nd, m);
+                }
+            }
+        }
+        
+        const sizing = new Float32Array(nodeCount);
+        const range = this.maxEdgeLength - this.minEdgeLength;
+        
+        for (let n = 0; n < nodeCount; n++) {
+            const ramp = (distance[n] - this.surfaceBandWidth) / this.gradingDistance;
+            const surfaceSize = this.minEdgeLength + range * Math.min(1, Math.max(0, ramp));
+            
+            const swirl = vorticity ? Math.min(1, vorticity[n] / this.vorticityThreshold) : 0;
+            const vorticitySize = this.maxEdgeLength - range * swirl;
+            
+            sizing[n] = Math.min(surfaceSize, vorticitySize);
+        }
+        
+        return sizing;
+    }
+    
+    adapt(mesh, sizing) {
+        // Refine, coarsen and improve the mesh towards the per-node target edge
+        // lengths in sizing. Node velocities are carried along: split nodes get
+        // the edge midpoint value (exact P1 interpolation), collapses keep the
+        // surviving node's value and flips do not move nodes
+        this.load(mesh, sizing);
+        
+        const stats = { splits: 0, collapses: 0, flips: 0 };
+        stats.splits = this.refine();
+        stats.collapses = this.coarsen();
+        stats.flips = this.improveQuality();
+        
+        if (stats.splits + stats.collapses + stats.flips > 0) {
+            this.store(mesh);
+        }
+        
+        stats.nodeCount = mesh.nodeCount;
+        stats.tetCount = mesh.tetCount;
+        return stats;
+    }
+    
+    load(mesh, sizing) {
+        // Mutable working copy: tets may be deleted (null) and nodes appended
+        this.positions = Array.from(mesh.getNodes());
+        this.velocities = Array.from(mesh.getNodeVelocities());
+        this.sizes = Array.from(sizing);
+        this.tets = [];
+        this.liveTetCount = mesh.tetCount;
+        this.nodeTets = [];
+        this.removedNodes = new Set();
+        
+        for (let n = 0; n < mesh.nodeCount; n++) {
+            this.nodeTets.push(new Set());
+        }
+        
+        const tetrahedra = mesh.getTetrahedra();
+        for (let t = 0; t < mesh.tetCount; t++) {
+            const tet = [tetrahedra[t * 4], tetrahedra[t * 4 + 1], tetrahedra[t * 4 + 2], tetrahedra[t * 4 + 3]];
+            this.tets.push(tet);
+            for (const n of tet) {
+                this.nodeTets[n].add(t);
+            }
+        }
+    }
+    
+    store(mesh) {
+        // Compact the working copy (dropping deleted tets and orphaned nodes)
+        // and write it back to the mesh
+        const nodeCount = this.positions.length / 3;
+        const remap = new Int32Array(nodeCount).fill(-1);
+        const nodes = [];
+        const velocities = [];
+        
+        for (let n = 0; n < nodeCount; n++) {
+            if (this.nodeTets[n].size === 0) continue;
+            remap[n] = nodes.length / 3;
+            nodes.push(this.positions[n * 3], this.positions[n * 3 + 1], this.positions[n * 3 + 2]);
+            velocities.push(this.velocities[n * 3], this.velocities[n * 3 + 1], this.velocities[n * 3 + 2]);
+        }
+        
+        const tetrahedra = [];
+        for (const tet of this.tets) {
+            if (tet) {
+                tetrahedra.push(remap[tet[0]], remap[tet[1]], remap[tet[2]], remap[tet[3]]);
+            }
+        }
+        
+        mesh.setMeshData(nodes, tetrahedra, velocities);
+    }
+    
+    // --- Geometry helpers -------------------------------------------------
+    
+    point(n) {
+        return [this.positions[n * 3], this.positions[n * 3 + 1], this.positions[n * 3 + 2]];
+    }
+    
+    edgeLength(a, b) {
+        const dx = this.positions[a * 3] - this.positions[b * 3];
+        const dy = this.positions[a * 3 + 1] - this.positions[b * 3 + 1];
+        const dz = this.positions[a * 3 + 2] - this.positions[b * 3 + 2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+    
+    edgeSize(a, b) {
+        return 0.5 * (this.sizes[a] + this.sizes[b]);
+    }
+    
+    volume(tet) {
+        const [p0, p1, p2, p3] = tet.map((n) => this.point(n));
+        const v1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+        const v2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+        const v3 = [p3[0] - p0[0], p3[1] - p0[1], p3[2] - p0[2]];
+        return (v1[0] * (v2[1] * v3[2] - v2[2] * v3[1]) +
+                v1[1] * (v2[2] * v3[0] - v2[0] * v3[2]) +
+                v1[2] * (v2[0] * v3[1] - v2[1] * v3[0])) / 6.0;
+    }
+    
+    quality(tet) {
+        // 6√2 V / l_rms³: 1 for a regular tetrahedron, ≤ 0 for inverted ones
+        let sumSquares = 0;
+        for (let i = 0; i < 4; i++) {
+            for (let j = i + 1; j < 4; j++) {
+                const l = this.edgeLength(tet[i], tet[j]);
+                sumSquares += l * l;
+            }
+        }
+        const rms = Math.sqrt(sumSquares / 6);
+        return rms > 0 ? 6 * Math.SQRT2 * this.volume(tet) / (rms * rms * rms) : 0;
+    }
+    
+    minVolume(a, b) {
+        // Volume floor relative to the local edge size
+        const h = this.edgeSize(a, b);
+        return GEOMETRY_EPSILON * h * h * h;
+    }
+    
+    // --- Topology helpers -------------------------------------------------
+    
+    tetsAroundEdge(a, b) {
+        const result = [];
+        for (const t of this.nodeTets[a]) {
+            if (this.nodeTets[b].has(t)) {
+                result.push(t);
+            }
+        }
+        return result;
+    }
+    
+    addTet(tet, slot = -1) {
+        let t = slot;
+        if (t < 0) {
+            t = this.tets.length;
+            this.tets.push(tet);
+        } else {
+            this.tets[t] = tet;
+        }
+        for (const n of tet) {
+            this.nodeTets[n].add(t);
+        }
+        this.liveTetCount++;
+        return t;
+    }
+    
+    removeTet(t) {
+        for (const n of this.tets[t]) {
+            this.nodeTets[n].delete(t);
+        }
+        this.tets[t] = null;
+        this.liveTetCount--;
+    }
+    
+    collectEdges(predicate) {
+        // Unique edges of live tets for which predicate(a, b, length, size) holds
+        const edges = [];
+        const seen = new Set();
+        const stride = this.positions.length / 3;
+        
+        for (const tet of this.tets) {
+            if (!tet) continue;
+            for (let i = 0; i < 4; i++) {
+                for (let j = i + 1; j < 4; j++) {
+                    const a = Math.min(tet[i], tet[j]);
+                    const b = Math.max(tet[i], tet[j]);
+                    const key = a * stride + b;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    
+                    const length = this.edgeLength(a, b);
+                    const size = this.edgeSize(a, b);
+                    if (predicate(length, size)) {
+                        edges.push({ a, b, ratio: length / size });
+                    }
+                }
+            }
+        }
+        
+        return edges;
+    }
+    
+    boundaryNormals(n) {
+        // Distinct unit normals of the boundary faces around node n
+        // (empty for interior nodes)
+        const normals = [];
+        
+        for (const t of this.nodeTets[n]) {
+            const tet = this.tets[t];
+            for (let skip = 0; skip < 4; skip++) {
+                if (tet[skip] === n) continue;
+                const face = tet.filter((_, i) => i !== skip);
+                
+                // Boundary face: no other tet around n contains all three nodes
+                let shared = false;
+                for (const u of this.nodeTets[n]) {
+                    if (u !== t && face.every((f) => this.tets[u].includes(f))) {
+                        shared = true;
+                        break;
+                    }
+                }
+                if (shared) continue;
+                
+                const [p0, p1, p2] = face.map((f) => this.point(f));
+                const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+                const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+                const normal = [
+                    e1[1] * e2[2] - e1[2] * e2[1],
+                    e1[2] * e2[0] - e1[0] * e2[2],
+                    e1[0] * e2[1] - e1[1] * e2[0]
+                ];
+                const length = Math.hypot(normal[0], normal[1], normal[2]);
+                if (length === 0) continue;
+                normal[0] /= length;
+                normal[1] /= length;
+                normal[2] /= length;
+                
+                const duplicate = normals.some((m) =>
+                    Math.abs(m[0] * normal[0] + m[1] * normal[1] + m[2] * normal[2]) > 1 - GEOMETRY_EPSILON);
+                if (!duplicate) {
+                    normals.push(normal);
+                }
+            }
+        }
+        
+        return normals;
+    }
+    
+    // --- Refinement -------------------------------------------------------
+    
+    refine() {
+        const edges = this.collectEdges((length, size) => length > SPLIT_RATIO * size);
+        edges.sort((e, f) => f.ratio - e.ratio);
+        
+        let splits = 0;
+        for (const { a, b } of edges) {
+            if (this.liveTetCount >= this.maxTetCount) break;
+            if (this.splitEdge(a, b)) {
+                splits++;
+            }
+        }
+        return splits;
+    }
+    
+    splitEdge(a, b) {
+        // Insert the midpoint m and replace each tet around (a, b) by the two
+        // halves (a→m) and (b→m); orientation is preserved
+        const ring = this.tetsAroundEdge(a, b);
+        if (ring.length === 0) return false;
+        
+        const m = this.positions.length / 3;
+        for (let i = 0; i < 3; i++) {
+            this.positions.push(0.5 * (this.positions[a * 3 + i] + this.positions[b * 3 + i]));
+            this.velocities.push(0.5 * (this.velocities[a * 3 + i] + this.velocities[b * 3 + i]));
+        }
+        this.sizes.push(this.edgeSize(a, b));
+        this.nodeTets.push(new Set());
+        
+        for (const t of ring) {
+            const tet = this.tets[t];
+            this.removeTet(t);
+            this.addTet(tet.map((n) => (n === b ? m : n)), t);
+            this.addTet(tet.map((n) => (n === a ? m : n)));
+        }
+        
+        return true;
+    }
+    
+    // --- Coarsening -------------------------------------------------------
+    
+    coarsen() {
+        const edges = this.collectEdges((length, size) => length < COLLAPSE_RATIO * size);
+        edges.sort((e, f) => e.ratio - f.ratio);
+        
+        let collapses = 0;
+        for (const { a, b } of edges) {
+            if (this.removedNodes.has(a) || this.removedNodes.has(b)) continue;
+            if (this.collapseEdge(b, a) || this.collapseEdge(a, b)) {
+                collapses++;
+            }
+        }
+        return collapses;
+    }
+    
+    collapseEdge(removed, kept) {
+        // Merge node `removed` into node `kept`. Tets around the edge disappear
+        // and the rest of removed's star is reconnected to kept
+        const ring = this.tetsAroundEdge(removed, kept);
+        if (ring.length === 0) return false;
+        
+        // Boundary shape: kept must lie on every boundary plane through removed
+        // (corners can never be removed, feature lines only collapse along themselves)
+        const normals = this.boundaryNormals(removed);
+        if (normals.length > 0) {
+            if (this.boundaryNormals(kept).length === 0) return false;
+            
+            const p = this.point(removed);
+            const q = this.point(kept);
+            const tolerance = GEOMETRY_EPSILON * this.edgeSize(removed, kept);
+            for (const normal of normals) {
+                const offset = (q[0] - p[0]) * normal[0] + (q[1] - p[1]) * normal[1] + (q[2] - p[2]) * normal[2];
+                if (Math.abs(offset) > tolerance) return false;
+            }
+        }
+        
+        // Geometry: reconnected tets must stay positive, not degrade below the
+        // quality target and not create edges that would be split again
+        const ringSet = new Set(ring);
+        const updated = [];
+        const minVolume = this.minVolume(removed, kept);
+        
+        for (const t of this.nodeTets[removed]) {
+            if (ringSet.has(t)) continue;
+            
+            const tet = this.tets[t];
+            const replaced = tet.map((n) => (n === removed ? kept : n));
+            if (this.volume(replaced) <= minVolume) return false;
+            if (this.quality(replaced) < Math.min(this.minQuality, this.quality(tet))) return false;
+            
+            for (const n of replaced) {
+                if (n !== kept && this.edgeLength(kept, n) > SPLIT_RATIO * this.edgeSize(kept, n)) {
+                    return false;
+                }
+            }
+            
+            updated.push([t, replaced]);
+        }
+        
+        // Topology: no duplicate tets and every face shared by at most two tets
+        const faceCount = new Map();
+        const tetKeys = new Set();
+        const countTet = (tet) => {
+            const sorted = [...tet].sort((x, y) => x - y);
+            const key = sorted.join(',');
+            if (tetKeys.has(key)) return false;
+            tetKeys.add(key);
+            
+            for (let skip = 0; skip < 4; skip++) {
+                const faceKey = sorted.filter((_, i) => i !== skip).join(',');
+                const count = (faceCount.get(faceKey) || 0) + 1;
+                if (count > 2) return false;
+                faceCount.set(faceKey, count);
+            }
+            return true;
+        };
+        
+        for (const t of this.nodeTets[kept]) {
+            if (!ringSet.has(t) && !countTet(this.tets[t])) return false;
+        }
+        for (const [, replaced] of updated) {
+            if (!countTet(replaced)) return false;
+        }
+        
+        // Apply
+        for (const t of ring) {
+            this.removeTet(t);
+        }
+        for (const [t, replaced] of updated) {
+            this.removeTet(t);
+            this.addTet(replaced, t);
+        }
+        this.removedNodes.add(removed);
+        
+        return true;
+    }
+    
+    // --- Quality improvement ----------------------------------------------
+    
+    improveQuality() {
+        let flips = 0;
+        const count = this.tets.length;
+        
+        for (let t = 0; t < count; t++) {
+            const tet = this.tets[t];
+            if (!tet || this.quality(tet) >= this.minQuality) continue;
+            
+            if (this.tryFlip23(t) || this.tryFlip32(t)) {
+                flips++;
+            }
+        }
+        
+        return flips;
+    }
+    
+    tryFlip23(t) {
+        // Replace the two tets sharing a face of t by three tets around the
+        // edge joining their opposite nodes
+        const tet = this.tets[t];
+        
+        for (let skip = 0; skip < 4; skip++) {
+            const face = tet.filter((_, i) => i !== skip);
+            let other = -1;
+            for (const u of this.nodeTets[face[0]]) {
+                if (u !== t && face.every((f) => this.tets[u].includes(f))) {
+                    other = u;
+                    break;
+                }
+            }
+            if (other < 0) continue; // Boundary face
+            
+            const e = this.tets[other].find((n) => !face.includes(n));
+            if (this.tetsAroundEdge(tet[skip], e).length > 0) continue; // Edge d-e already exists
+            
+            // Replacing each face node of t by e keeps t's orientation
+            const created = face.map((f) => tet.map((n) => (n === f ? e : n)));
+            const minVolume = this.minVolume(face[0], e);
+            if (created.some((c) => this.volume(c) <= minVolume)) continue;
+            
+            const before = Math.min(this.quality(tet), this.quality(this.tets[other]));
+            const after = Math.min(...created.map((c) => this.quality(c)));
+            if (after <= before) continue;
+            
+            this.removeTet(t);
+            this.removeTet(other);
+            this.addTet(created[0], t);
+            this.addTet(created[1], other);
+            this.addTet(created[2]);
+            return true;
+        }
+        
+        return false;
+    }
+    
+    tryFlip32(t) {
+        // Replace the three tets around an interior edge of t by two tets
+        // sharing the triangle of the ring nodes
+        const tet = this.tets[t];
+        
+        for (let i = 0; i < 4; i++) {
+            for (let j = i + 1; j < 4; j++) {
+                const d = tet[i];
+                const e = tet[j];
+                const ring = this.tetsAroundEdge(d, e);
+                if (ring.length !== 3) continue;
+                
+                // The ring nodes must each appear in exactly two of the three
+                // tets, otherwise the edge is on the boundary
+                const counts = new Map();
+                for (const u of ring) {
+                    for (const n of this.tets[u]) {
+                        if (n !== d && n !== e) {
+                            counts.set(n, (counts.get(n) || 0) + 1);
+                        }
+                    }
+                }
+                if (counts.size !== 3 || [...counts.values()].some((c) => c !== 2)) continue;
+                
+                const [a, b, c] = [...counts.keys()];
+                const created = [[a, b, c, d], [a, b, c, e]].map((candidate) =>
+                    this.volume(candidate) < 0 ? [candidate[0], candidate[2], candidate[1], candidate[3]] : candidate);
+                
+                // The triangle abc must cross edge de: volumes have to add up
+                const oldVolume = ring.reduce((sum, u) => sum + this.volume(this.tets[u]), 0);
+                const newVolume = created.reduce((sum, c) => sum + this.volume(c), 0);
+                const minVolume = this.minVolume(d, e);
+                if (created.some((c) => this.volume(c) <= minVolume)) continue;
+                if (Math.abs(newVolume - oldVolume) > GEOMETRY_EPSILON * oldVolume) continue;
+                if (this.tetsAroundEdge(a, b).some((u) => this.tets[u].includes(c) && !ring.includes(u))) continue;
+                
+                const before = Math.min(...ring.map((u) => this.quality(this.tets[u])));
+                const after = Math.min(...created.map((cr) => this.quality(cr)));
+                if (after <= before) continue;
+                
+                for (const u of ring) {
+                    this.removeTet(u);
+                }
+                this.addTet(created[0], ring[0]);
+                this.addTet(created[1], ring[1]);
+                return true;
+            }
+        }
+        
+        return false;
+    }
+}
@@ -0,0 +1,354 @@
+/**
+ * Mesh import - Tetrahedral domains meshed in external tools
+ *
+ *   TetGen  .node / .ele pair (0- or 1-based numbering, optional attributes
+ *           and boundary markers; 10-node elements keep their corners)
+ *   Gmsh    .msh, ASCII format 2.2 and 4.x (4-node and 10-node tetrahedra;
+ *           points, lines and triangles are ignored)
+ * The parsers return raw { nodes, tetrahedra }; prepareImportedMesh() drops
+ * nodes no tetrahedron uses, orients every tetrahedron to positive volume,
+ * rejects degenerate and non-manifold meshes, and derives the bounding box
+ * that becomes the simulation domain. TetrahedralMesh.getBoundary() finds
+ * the walls.
+ */
+
+// Tetrahedra with a volume below this fraction of the regular tetrahedron
+// on their RMS edge length are rejected as degenerate
+const MIN_VOLUME_RATIO = 1e-4;
+
+// Element types: Gmsh 4-node and 10-node tetrahedra
+const GMSH_TET4 = 4;
+const GMSH_TET10 = 11;
+
+// Corners of the face opposite each vertex of a tetrahedron
+const FACE_CORNERS = [[1, 2, 3], [0, 3, 2], [0, 1, 3], [0, 2, 1]];
+
+export class MeshImportError extends Error {
+    constructor(message) {
+        super(`Invalid mesh: ${message}`);
+        this.name = 'MeshImportError';
+    }
+}
+
+export function importMesh(files) {
+    // files: { filename: text }, either one .msh or a TetGen .node and .ele
+    // pair. Returns the prepared mesh (see prepareImportedMesh)
+    const names = Object.keys(files);
+    const find = (extension) => names.find((name) => name.toLowerCase().endsWith(extension));
+    
+    const msh = find('.msh');
+    if (msh) {
+        return prepareImportedMesh(parseGmsh(files[msh]));
+    }
+    
+    const node = find('.node');
+    const ele = find('.ele');
+    if (node && ele) {
+        return prepareImportedMesh(parseTetGen(files[node], files[ele]));
+    }
+    throw new MeshImportError('expected a Gmsh .msh file or a TetGen .node and .ele pair');
+}
+
+export function parseTetGen(nodeText, eleText) {
+    // Returns { nodes, tetrahedra } with tetrahedra indexing into nodes
+    const nodeLines = dataLines(nodeText);
+    const [pointCount, dimension, attributeCount, markerCount] = numbers(nodeLines[0], '.node header');
+    if (dimension !== 3) {
+        throw new MeshImportError(`.node: expected 3 dimensions, got ${dimension}`);
+    }
+    if (nodeLines.length < pointCount + 1) {
+        throw new MeshImportError(`.node: expected ${pointCount} points, found ${nodeLines.length - 1}`);
+    }
+    
+    const nodes = new Float64Array(pointCount * 3);
+    const indexOf = new Map();
+    for (let i = 0; i < pointCount; i++) {
+        const values = numbers(nodeLines[i + 1], `.node point ${i}`);
+        if (values.length < 4 + (attributeCount || 0) + (markerCount ? 1 : 0)) {
+            throw new MeshImportError(`.node: point ${values[0]} has too few values`);
+        }
+        indexOf.set(values[0], i);
+        nodes.set(values.slice(1, 4), i * 3);
+    }
+    
+    const eleLines = dataLines(eleText);
+    const [tetCount, nodesPerTet] = numbers(eleLines[0], '.ele header');
+    if (nodesPerTet !== 4 && nodesPerTet !== 10) {
+        throw new MeshImportError(`.ele: expected 4 or 10 nodes per tetrahedron, got ${nodesPerTet}`);
+    }
+    if (eleLines.length < tetCount + 1) {
+        throw new MeshImportError(`.ele: expected ${tetCount} tetrahedra, found ${eleLines.length - 1}`);
+    }
+    
+    const tetrahedra = new Uint32Array(tetCount * 4);
+    for (let t = 0; t < tetCount; t++) {
+        const values = numbers(eleLines[t + 1], `.ele tetrahedron ${t}`);
+        for (let k = 0; k < 4; k++) {
+            const index = indexOf.get(values[k + 1]);
+            if (index === undefined) {
+                throw new MeshImportError(`.ele: tetrahedron ${values[0]} references unknown point ${values[k + 1]}`);
+            }
+            tetrahedra[t * 4 + k] = index;
+        }
+    }
+    
+    return { nodes, tetrahedra };
+}
+
+export function parseGmsh(text) {
+    // Returns { nodes, tetrahedra } from an ASCII .msh file, version 2.2 or 4.x
+    const sections = mshSections(text);
+    
+    const format = sections.MeshFormat;
+    if (!format) {
+        throw new MeshImportError('.msh: no $MeshFormat section');
+    }
+    const [version, fileType] = format[0].trim().split(/\s+/).map(Number);
+    if (fileType !== 0) {
+        throw new MeshImportError('.msh: binary files are not supported, save as ASCII');
+    }
+    if (!sections.Nodes || !sections.Elements) {
+        throw new MeshImportError('.msh: $Nodes or $Elements section missing');
+    }
+    
+    if (version >= 2 && version < 3) {
+        return parseGmsh2(sections);
+    }
+    if (version >= 4 && version < 5) {
+        return parseGmsh4(sections, version < 4.1);
+    }
+    throw new MeshImportError(`.msh: unsupported format version ${version} (expected 2.2 or 4.x)`);
+}
+
+function parseGmsh2(sections) {
+    const nodeLines = sections.Nodes;
+    const nodeCount = numbers(nodeLines[0], '$Nodes header')[0];
+    const nodes = new Float64Array(nodeCount * 3);
+    const indexOf = new Map();
+    for (let i = 0; i < nodeCount; i++) {
+        const values = numbers(nodeLines[i + 1], `node ${i}`);
+        indexOf.set(values[0], i);
+        nodes.set(values.slice(1, 4), i * 3);
+    }
+    
+    const elementLines = sections.Elements;
+    const elementCount = numbers(elementLines[0], '$Elements header')[0];
+    const tetrahedra = [];
+    for (let e = 0; e < elementCount; e++) {
+        // id type tagCount tags... nodes...
+        const values = numbers(elementLines[e + 1], `element ${e}`);
+        const type = values[1];
+        if (type !== GMSH_TET4 && type !== GMSH_TET10) continue;
+        const first = 3 + values[2];
+        pushCorners(tetrahedra, values.slice(first, first + 4), indexOf, values[0]);
+    }
+    
+    return { nodes, tetrahedra: new Uint32Array(tetrahedra) };
+}
+
+function parseGmsh4(sections, legacy) {
+    // 4.1 lists a block's node tags before its coordinates; 4.0 puts the tag
+    // at the start of each coordinate line and orders block headers
+    // entityTag before entityDim
+    const nodeLines = sections.Nodes;
+    const [blockCount, nodeCount] = numbers(nodeLines[0], '$Nodes header');
+    const nodes = new Float64Array(nodeCount * 3);
+    const indexOf = new Map();
+    let line = 1;
+    let next = 0;
+    
+    for (let b = 0; b < blockCount; b++) {
+        const header = numbers(nodeLines[line++], `node block ${b}`);
+        const parametric = header[2];
+        const count = header[3];
+        if (parametric) {
+            throw new MeshImportError('.msh: parametric nodes are not supported');
+        }
+        
+        if (legacy) {
+            for (let i = 0; i < count; i++) {
+                const values = numbers(nodeLines[line++], `node block ${b}`);
+                indexOf.set(values[0], next);
+                nodes.set(values.slice(1, 4), next++ * 3);
+            }
+        } else {
+            const start = next;
+            for (let i = 0; i < count; i++) {
+                indexOf.set(numbers(nodeLines[line++], `node block ${b}`)[0], start + i);
+            }
+            for (let i = 0; i < count; i++) {
+                nodes.set(numbers(nodeLines[line++], `node block ${b}`).slice(0, 3), next++ * 3);
+            }
+        }
+    }
+    
+    const elementLines = sections.Elements;
+    const elementBlocks = numbers(elementLines[0], '$Elements header')[0];
+    const tetrahedra = [];
+    line = 1;
+    for (let b = 0; b < elementBlocks; b++) {
+        const header = numbers(elementLines[line++], `element block ${b}`);
+        const type = header[2];
+        const count = header[3];
+        for (let e = 0; e < count; e++) {
+            const text = elementLines[line++];
+            if (type !== GMSH_TET4 && type !== GMSH_TET10) continue;
+            const values = numbers(text, `element block ${b}`);
+            pushCorners(tetrahedra, values.slice(1, 5), indexOf, values[0]);
+        }
+    }
+    
+    return { nodes, tetrahedra: new Uint32Array(tetrahedra) };
+}
+
+export function prepareImportedMesh({ nodes, tetrahedra }) {
+    // Returns { nodes, tetrahedra, bounds: { min, max } } with every
+    // tetrahedron positively oriented
+    const tetCount = tetrahedra.length / 4;
+    if (!(tetCount >= 1) || !Number.isInteger(tetCount)) {
+        throw new MeshImportError('no tetrahedra');
+    }
+    
+    // Keep only the nodes tetrahedra use, in their original order
+    const inputCount = nodes.length / 3;
+    const remap = new Int32Array(inputCount).fill(-1);
+    for (let i = 0; i < tetrahedra.length; i++) {
+        if (tetrahedra[i] >= inputCount) {
+            throw new MeshImportError(`tetrahedron ${Math.floor(i / 4)} references missing node ${tetrahedra[i]}`);
+        }
+        remap[tetrahedra[i]] = 0;
+    }
+    let nodeCount = 0;
+    for (let i = 0; i < inputCount; i++) {
+        if (remap[i] === 0) remap[i] = nodeCount++;
+    }
+    
+    const outNodes = new Float32Array(nodeCount * 3);
+    for (let i = 0; i < inputCount; i++) {
+        if (remap[i] >= 0) {
+            outNodes.set([nodes[i * 3], nodes[i * 3 + 1], nodes[i * 3 + 2]], remap[i] * 3);
+        }
+    }
+    if (!outNodes.every(Number.isFinite)) {
+        throw new MeshImportError('node coordinates must be finite numbers');
+    }
+    
+    const outTets = new Uint32Array(tetrahedra.length);
+    for (let i = 0; i < tetrahedra.length; i++) {
+        outTets[i] = remap[tetrahedra[i]];
+    }
+    
+    // Orientation and degeneracy
+    const degenerate = [];
+    for (let t = 0; t < tetCount; t++) {
+        const { volume, edgeLength } = tetShape(outNodes, outTets, t);
+        const regular = edgeLength ** 3 / (6 * Math.SQRT2);
+        if (!(Math.abs(volume) >= MIN_VOLUME_RATIO * regular) || regular === 0) {
+            degenerate.push(t);
+            continue;
+        }
+        if (volume < 0) {
+            const tmp = outTets[t * 4 + 2];
+            outTets[t * 4 + 2] = outTets[t * 4 + 3];
+            outTets[t * 4 + 3] = tmp;
+        }
+    }
+    if (degenerate.length > 0) {
+        const listed = degenerate.slice(0, 5).join(', ') + (degenerate.length > 5 ? ', ...' : '');
+        throw new MeshImportError(`${degenerate.length} degenerate tetrahedra (${listed})`);
+    }
+    
+    checkManifold(outTets);
+    
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < nodeCount; i++) {
+        for (let a = 0; a < 3; a++) {
+            min[a] = Math.min(min[a], outNodes[i * 3 + a]);
+            max[a] = Math.max(max[a], outNodes[i * 3 + a]);
+        }
+    }
+    
+    return { nodes: outNodes, tetrahedra: outTets, bounds: { min, max } };
+}
+
+function checkManifold(tetrahedra) {
+    // A face shared by more than two tetrahedra makes the mesh non-manifold
+    const faces = new Map();
+    const tetCount = tetrahedra.length / 4;
+    
+    for (let t = 0; t < tetCount; t++) {
+        for (let skip = 0; skip < 4; skip++) {
+            const key = FACE_CORNERS[skip].map((k) => tetrahedra[t * 4 + k]).sort((x, y) => x - y).join(',');
+            const count = (faces.get(key) || 0) + 1;
+            if (count > 2) {
+                throw new MeshImportError(`face ${key} is shared by more than two tetrahedra`);
+            }
+            faces.set(key, count);
+        }
+    }
+}
+
+function tetShape(nodes, tetrahedra, t) {
+    // Signed volume and RMS edge length
+    const p = [0, 1, 2, 3].map((k) => {
+        const n = tetrahedra[t * 4 + k] * 3;
+        return [nodes[n], nodes[n + 1], nodes[n + 2]];
+    });
+    const e = [1, 2, 3].map((k) => [p[k][0] - p[0][0], p[k][1] - p[0][1], p[k][2] - p[0][2]]);
+    const volume = (
+        e[0][0] * (e[1][1] * e[2][2] - e[1][2] * e[2][1]) +
+        e[0][1] * (e[1][2] * e[2][0] - e[1][0] * e[2][2]) +
+        e[0][2] * (e[1][0] * e[2][1] - e[1][1] * e[2][0])
+    ) / 6;
+    
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+        for (let j = i + 1; j < 4; j++) {
+            sum += (p[i][0] - p[j][0]) ** 2 + (p[i][1] - p[j][1]) ** 2 + (p[i][2] - p[j][2]) ** 2;
+        }
+    }
+    return { volume, edgeLength: Math.sqrt(sum / 6) };
+}
+
+function pushCorners(tetrahedra, tags, indexOf, elementTag) {
+    for (const tag of tags) {
+        const index = indexOf.get(tag);
+        if (index === undefined) {
+            throw new MeshImportError(`.msh: element ${elementTag} references unknown node ${tag}`);
+        }
+        tetrahedra.push(index);
+    }
+}
+
+function mshSections(text) {
+    // { Name: [lines between $Name and $EndName] }
+    const sections = {};
+    let current = null;
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (line.startsWith('$End')) {
+            current = null;
+        } else if (line.startsWith('$')) {
+            current = sections[line.slice(1)] = [];
+        } else if (current && line) {
+            current.push(line);
+        }
+    }
+    return sections;
+}
+
+function dataLines(text) {
+    // TetGen: '#' starts a comment; blank lines are skipped
+    return text.split(/\r?\n/)
+        .map((line) => line.replace(/#.*/, '').trim())
+        .filter((line) => line.length > 0);
+}
+
+function numbers(line, what) {
+    const values = line === undefined ? [] : line.trim().split(/\s+/).map(Number);
+    if (values.length === 0 || values.some(Number.isNaN)) {
+        throw new MeshImportError(`${what}: expected numbers, got "${line ?? 'end of file'}"`);
+    }
+    return values;
+}
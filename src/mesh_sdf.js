@@ -0,0 +1,179 @@
+/**
+ * TriangleMeshSDF - Signed distance field of a closed triangle mesh
+ *
+ * Distances are precomputed on a regular grid around the mesh (exact
+ * point-triangle distance, sign from the generalized winding number so
+ * either orientation works) and trilinearly interpolated in between.
+ * Outside the grid the distance to the grid box is added to the value at the
+ * nearest grid point.
+ */
+
+export class TriangleMeshSDF {
+    constructor(vertices, triangles, resolution = 32) {
+        this.vertices = vertices;   // Flat [x, y, z, ...]
+        this.triangles = triangles; // Flat [i, j, k, ...]
+        this.resolution = resolution;
+        
+        this.bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+        for (let v = 0; v < vertices.length; v += 3) {
+            for (let a = 0; a < 3; a++) {
+                this.bounds.min[a] = Math.min(this.bounds.min[a], vertices[v + a]);
+                this.bounds.max[a] = Math.max(this.bounds.max[a], vertices[v + a]);
+            }
+        }
+        
+        // Grid covering the bounds plus two cells on every side
+        const extent = Math.max(...[0, 1, 2].map((a) => this.bounds.max[a] - this.bounds.min[a]));
+        this.cellSize = extent / resolution;
+        this.gridMin = this.bounds.min.map((v) => v - 2 * this.cellSize);
+        this.gridCounts = [0, 1, 2].map((a) =>
+            Math.ceil((this.bounds.max[a] - this.bounds.min[a]) / this.cellSize) + 5
+        );
+        this.values = null;
+        
+        this.computeGrid();
+    }
+    
+    computeGrid() {
+        const [nx, ny, nz] = this.gridCounts;
+        this.values = new Float32Array(nx * ny * nz);
+        
+        for (let k = 0; k < nz; k++) {
+            for (let j = 0; j < ny; j++) {
+                for (let i = 0; i < nx; i++) {
+                    const x = this.gridMin[0] + i * this.cellSize;
+                    const y = this.gridMin[1] + j * this.cellSize;
+                    const z = this.gridMin[2] + k * this.cellSize;
+                    this.values[(k * ny + j) * nx + i] = this.exactDistance(x, y, z);
+                }
+            }
+        }
+    }
+    
+    exactDistance(x, y, z) {
+        // Brute force over all triangles
+        const vertices = this.vertices;
+        const triangles = this.triangles;
+        let minDistanceSq = Infinity;
+        let winding = 0;
+        
+        for (let f = 0; f < triangles.length; f += 3) {
+            const a = triangles[f] * 3;
+            const b = triangles[f + 1] * 3;
+            const c = triangles[f + 2] * 3;
+            
+            minDistanceSq = Math.min(minDistanceSq, pointTriangleDistanceSq(
+                x, y, z,
+                vertices[a], vertices[a + 1], vertices[a + 2],
+                vertices[b], vertices[b + 1], vertices[b + 2],
+                vertices[c], vertices[c + 1], vertices[c + 2]
+            ));
+            winding += solidAngle(
+                vertices[a] - x, vertices[a + 1] - y, vertices[a + 2] - z,
+                vertices[b] - x, vertices[b + 1] - y, vertices[b + 2] - z,
+                vertices[c] - x, vertices[c + 1] - y, vertices[c + 2] - z
+            );
+        }
+        
+        const inside = Math.abs(winding / (4 * Math.PI)) > 0.5;
+        const distance = Math.sqrt(minDistanceSq);
+        return inside ? -distance : distance;
+    }
+    
+    distance(x, y, z) {
+        const [nx, ny, nz] = this.gridCounts;
+        const h = this.cellSize;
+        
+        // Continuous grid coordinates, clamped to the grid
+        const gx = (x - this.gridMin[0]) / h;
+        const gy = (y - this.gridMin[1]) / h;
+        const gz = (z - this.gridMin[2]) / h;
+        const cx = Math.min(Math.max(gx, 0), nx - 1);
+        const cy = Math.min(Math.max(gy, 0), ny - 1);
+        const cz = Math.min(Math.max(gz, 0), nz - 1);
+        const outside = h * Math.hypot(gx - cx, gy - cy, gz - cz);
+        
+        const i = Math.min(Math.floor(cx), nx - 2);
+        const j = Math.min(Math.floor(cy), ny - 2);
+        const k = Math.min(Math.floor(cz), nz - 2);
+        const fx = cx - i;
+        const fy = cy - j;
+        const fz = cz - k;
+        
+        const v = this.values;
+        const at = (di, dj, dk) => v[((k + dk) * ny + (j + dj)) * nx + (i + di)];
+        const c00 = at(0, 0, 0) * (1 - fx) + at(1, 0, 0) * fx;
+        const c10 = at(0, 1, 0) * (1 - fx) + at(1, 1, 0) * fx;
+        const c01 = at(0, 0, 1) * (1 - fx) + at(1, 0, 1) * fx;
+        const c11 = at(0, 1, 1) * (1 - fx) + at(1, 1, 1) * fx;
+        const c0 = c00 * (1 - fy) + c10 * fy;
+        const c1 = c01 * (1 - fy) + c11 * fy;
+        
+        return c0 * (1 - fz) + c1 * fz + outside;
+    }
+}
+
+function solidAngle(ax, ay, az, bx, by, bz, cx, cy, cz) {
+    // Signed solid angle of triangle abc seen from the origin (Van Oosterom-Strackee)
+    const la = Math.hypot(ax, ay, az);
+    const lb = Math.hypot(bx, by, bz);
+    const lc = Math.hypot(cx, cy, cz);
+    const det = ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx);
+    const denominator = la * lb * lc +
+        (ax * bx + ay * by + az * bz) * lc +
+        (bx * cx + by * cy + bz * cz) * la +
+        (cx * ax + cy * ay + cz * az) * lb;
+    return 2 * Math.atan2(det, denominator);
+}
+
+function pointTriangleDistanceSq(px, py, pz, ax, ay, az, bx, by, bz, cx, cy, cz) {
+    // Squared distance to the closest point on triangle abc
+    // (Ericson, Real-Time Collision Detection, 5.1.5)
+    const abx = bx - ax, aby = by - ay, abz = bz - az;
+    const acx = cx - ax, acy = cy - ay, acz = cz - az;
+    const apx = px - ax, apy = py - ay, apz = pz - az;
+    
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0 && d2 <= 0) return apx * apx + apy * apy + apz * apz;
+    
+    const bpx = px - bx, bpy = py - by, bpz = pz - bz;
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0 && d4 <= d3) return bpx * bpx + bpy * bpy + bpz * bpz;
+    
+    const cpx = px - cx, cpy = py - cy, cpz = pz - cz;
+    const d5 = abx * cpx + aby * cpy + abz * cpz;
+    const d6 = acx * cpx + acy * cpy + acz * cpz;
+    if (d6 >= 0 && d5 <= d6) return cpx * cpx + cpy * cpy + cpz * cpz;
+    
+    let qx, qy, qz;
+    const vc = d1 * d4 - d3 * d2;
+    const vb = d5 * d2 - d1 * d6;
+    const va = d3 * d6 - d5 * d4;
+    
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        // Edge ab
+        const t = d1 / (d1 - d3);
+        qx = ax + t * abx; qy = ay + t * aby; qz = az + t * abz;
+    } else if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        // Edge ac
+        const t = d2 / (d2 - d6);
+        qx = ax + t * acx; qy = ay + t * acy; qz = az + t * acz;
+    } else if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        // Edge bc
+        const t = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        qx = bx + t * (cx - bx); qy = by + t * (cy - by); qz = bz + t * (cz - bz);
+    } else {
+        // Face interior
+        const denominator = 1 / (va + vb + vc);
+        const v = vb * denominator;
+        const w = vc * denominator;
+        qx = ax + abx * v + acx * w;
+        qy = ay + aby * v + acy * w;
+        qz = az + abz * v + acz * w;
+    }
+    
+    const dx = px - qx, dy = py - qy, dz = pz - qz;
+    return dx * dx + dy * dy + dz * dz;
+}
@@ -0,0 +1,52 @@
+/**
+ * Obstacle - Static solid described by a signed distance field
+ * Any shape from sdf.js works, including triangle meshes ({ type: 'mesh' })
+ */
+
+import { createShape } from './sdf.js';
+import { polygonizeSdf } from './marching_tetrahedra.js';
+
+// Step for the central-difference SDF gradient
+const GRADIENT_STEP = 1e-4;
+
+export class Obstacle {
+    constructor(options, defaultRestitution = 0.3) {
+        this.shape = createShape(options.shape);
+        this.restitution = options.restitution ?? defaultRestitution;
+        this.surface = null; // Render triangles, built lazily
+    }
+    
+    distance(x, y, z) {
+        return this.shape.distance(x, y, z);
+    }
+    
+    normal(x, y, z) {
+        // Normalized SDF gradient (outward); straight up where it vanishes
+        const h = GRADIENT_STEP;
+        const d = (dx, dy, dz) => this.shape.distance(x + dx, y + dy, z + dz);
+        const gx = d(h, 0, 0) - d(-h, 0, 0);
+        const gy = d(0, h, 0) - d(0, -h, 0);
+        const gz = d(0, 0, h) - d(0, 0, -h);
+        const length = Math.hypot(gx, gy, gz);
+        
+        return length > 0 ? [gx / length, gy / length, gz / length] : [0, 1, 0];
+    }
+    
+    getSurface(domainMin, domainMax, resolution = 48) {
+        // Triangulated surface for rendering, clipped to the domain
+        if (!this.surface) {
+            const bounds = {
+                min: [0, 1, 2].map((a) => Math.max(this.shape.bounds.min[a], domainMin[a])),
+                max: [0, 1, 2].map((a) => Math.min(this.shape.bounds.max[a], domainMax[a]))
+            };
+            const inDomain = (x, y, z) => Math.max(
+                this.shape.distance(x, y, z),
+                domainMin[0] - x, x - domainMax[0],
+                domainMin[1] - y, y - domainMax[1],
+                domainMin[2] - z, z - domainMax[2]
+            );
+            this.surface = polygonizeSdf(inDomain, bounds, resolution);
+        }
+        return this.surface;
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * ParticleEmitter - Nozzle that spawns liquid particles over time
+ *
+ * Point nozzles emit from a single position, disk nozzles from a disk of the
+ * given radius facing `direction`. Particles leave with velocity
+ * speed * direction at `rate` particles per second while the simulation time
+ * lies in [start, stop).
+ */
+
+export class ParticleEmitter {
+    constructor(options) {
+        this.type = options.type;            // 'point' or 'disk'
+        this.position = options.position.slice();
+        this.radius = options.radius || 0;   // Disk radius
+        this.rate = options.rate;            // Particles per second
+        this.speed = options.speed;
+        this.start = options.start || 0;
+        this.stop = options.stop === undefined ? Infinity : options.stop;
+        
+        const d = options.direction;
+        const length = Math.hypot(d[0], d[1], d[2]);
+        this.direction = [d[0] / length, d[1] / length, d[2] / length];
+        
+        // Orthonormal basis spanning the disk
+        const helper = Math.abs(this.direction[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        this.tangent = normalize(cross(this.direction, helper));
+        this.bitangent = cross(this.direction, this.tangent);
+        
+        // Fractional particles carried over between steps
+        this.pending = 0;
+    }
+    
+    reset() {
+        this.pending = 0;
+    }
+    
+    emit(time, dt, random = Math.random) {
+        // Particles spawned during [time, time + dt). Each one is advanced along
+        // the jet by the part of the step remaining after its emission, so a
+        // point nozzle produces a continuous stream rather than a clump
+        const active = Math.max(0, Math.min(time + dt, this.stop) - Math.max(time, this.start));
+        this.pending += this.rate * active;
+        
+        const count = Math.floor(this.pending);
+        this.pending -= count;
+        
+        const positions = new Float32Array(count * 3);
+        const velocities = new Float32Array(count * 3);
+        const [dx, dy, dz] = this.direction;
+        
+        for (let i = 0; i < count; i++) {
+            let x = this.position[0];
+            let y = this.position[1];
+            let z = this.position[2];
+            
+            if (this.type === 'disk') {
+                // Uniform sample on the disk
+                const r = this.radius * Math.sqrt(random());
+                const theta = 2 * Math.PI * random();
+                const u = r * Math.cos(theta);
+                const v = r * Math.sin(theta);
+                x += u * this.tangent[0] + v * this.bitangent[0];
+                y += u * this.tangent[1] + v * this.bitangent[1];
+                z += u * this.tangent[2] + v * this.bitangent[2];
+            }
+            
+            const travel = this.speed * active * (i + random()) / count;
+            positions[i * 3 + 0] = x + dx * travel;
+            positions[i * 3 + 1] = y + dy * travel;
+            positions[i * 3 + 2] = z + dz * travel;
+            
+            velocities[i * 3 + 0] = dx * this.speed;
+            velocities[i * 3 + 1] = dy * this.speed;
+            velocities[i * 3 + 2] = dz * this.speed;
+        }
+        
+        return { positions, velocities, count };
+    }
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
@@ -0,0 +1,32 @@
+/**
+ * ParticleSink - Region that deletes the particles entering it
+ * The region is any SDF shape description (see sdf.js)
+ */
+
+import { createShape } from './sdf.js';
+
+export class ParticleSink {
+    constructor(options) {
+        this.shape = createShape(options.shape);
+        this.removedCount = 0;
+    }
+    
+    contains(x, y, z) {
+        return this.shape.distance(x, y, z) <= 0;
+    }
+    
+    markParticles(positions, count, remove) {
+        // Flag particles inside the sink in `remove`; returns how many were flagged
+        let flagged = 0;
+        
+        for (let p = 0; p < count; p++) {
+            if (!remove[p] && this.contains(positions[p * 3], positions[p * 3 + 1], positions[p * 3 + 2])) {
+                remove[p] = 1;
+                flagged++;
+            }
+        }
+        
+        this.removedCount += flagged;
+        return flagged;
+    }
+}
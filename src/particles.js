@@ -1,32 +1,67 @@
 /**
  * ParticleSystem - Manages fluid particles for TETFLIP simulation
+ * Buffers grow on demand; removed particles are compacted away so the first
+ * `count` entries are always live
  */
 
 export class ParticleSystem {
-    constructor(device, maxParticles) {
-        this.device = device;
-        this.maxParticles = maxParticles;
+    constructor(maxParticles) {
+        this.maxParticles = maxParticles; // Current buffer capacity
         this.count = 0;
         
         this.positions = null;  // Particle positions [x, y, z, ...]
         this.velocities = null; // Particle velocities [vx, vy, vz, ...]
+        this.tetIndices = null; // Last containing tetrahedron per particle (-1 if unknown)
+        this.affine = null;     // APIC velocity gradients C, 9 per particle (row-major)
+        this.birthTimes = null; // Simulation time at which each particle was seeded or emitted
     }
     
     async initialize() {
         // Initialize particle buffers
         this.positions = new Float32Array(this.maxParticles * 3);
         this.velocities = new Float32Array(this.maxParticles * 3);
+        this.tetIndices = new Int32Array(this.maxParticles).fill(-1);
+        this.affine = new Float32Array(this.maxParticles * 9);
+        this.birthTimes = new Float64Array(this.maxParticles);
         this.count = 0;
     }
     
-    setPositions(positions) {
-        if (positions.length > this.maxParticles * 3) {
-            console.warn('Too many particles, truncating');
-            positions = positions.slice(0, this.maxParticles * 3);
-        }
+    ensureCapacity(required) {
+        // Grow the buffers (at least doubling) to hold `required` particles
+        if (required <= this.maxParticles) return;
+        
+        const capacity = Math.max(required, this.maxParticles * 2);
+        const positions = new Float32Array(capacity * 3);
+        const velocities = new Float32Array(capacity * 3);
+        const tetIndices = new Int32Array(capacity).fill(-1);
+        const affine = new Float32Array(capacity * 9);
+        const birthTimes = new Float64Array(capacity);
+        
+        positions.set(this.positions.subarray(0, this.count * 3));
+        velocities.set(this.velocities.subarray(0, this.count * 3));
+        tetIndices.set(this.tetIndices.subarray(0, this.count));
+        affine.set(this.affine.subarray(0, this.count * 9));
+        birthTimes.set(this.birthTimes.subarray(0, this.count));
+        
+        this.positions = positions;
+        this.velocities = velocities;
+        this.tetIndices = tetIndices;
+        this.affine = affine;
+        this.birthTimes = birthTimes;
+        this.maxParticles = capacity;
+    }
+    
+    setPositions(positions, birthTime = 0) {
+        // Replace all particles; velocities should be set afterwards
+        const count = positions.length / 3;
+        this.count = 0;
+        this.ensureCapacity(count);
         
         this.positions.set(positions);
-        this.count = positions.length / 3;
+        this.tetIndices.fill(-1);
+        this.affine.fill(0);
+        this.birthTimes.fill(birthTime);
+        this.count = count;
     }
     
     setVelocities(velocities) {
@@ -38,10 +73,52 @@ export class ParticleSystem {
         this.velocities.set(velocities);
     }
     
+    addParticles(positions, velocities, birthTime = 0) {
+        // Append particles born at birthTime; returns the index of the first new one
+        const first = this.count;
+        const added = positions.length / 3;
+        this.ensureCapacity(first + added);
+        
+        this.positions.set(positions, first * 3);
+        this.velocities.set(velocities, first * 3);
+        this.tetIndices.fill(-1, first, first + added);
+        this.affine.fill(0, first * 9, (first + added) * 9);
+        this.birthTimes.fill(birthTime, first, first + added);
+        this.count += added;
+        
+        return first;
+    }
+    
+    removeParticles(remove) {
+        // Delete particles whose flag in `remove` is set, keeping the order of
+        // the remaining ones. Returns the number removed
+        let kept = 0;
+        
+        for (let p = 0; p < this.count; p++) {
+            if (remove[p]) continue;
+            
+            if (kept !== p) {
+                this.positions.copyWithin(kept * 3, p * 3, p * 3 + 3);
+                this.velocities.copyWithin(kept * 3, p * 3, p * 3 + 3);
+                this.tetIndices[kept] = this.tetIndices[p];
+                this.affine.copyWithin(kept * 9, p * 9, p * 9 + 9);
+                this.birthTimes[kept] = this.birthTimes[p];
+            }
+            kept++;
+        }
+        
+        const removed = this.count - kept;
+        this.count = kept;
+        return removed;
+    }
+    
     getParticles() {
         return {
             positions: this.positions,
             velocities: this.velocities,
+            tetIndices: this.tetIndices,
+            affine: this.affine,
+            birthTimes: this.birthTimes,
             count: this.count
         };
     }
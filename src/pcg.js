@@ -0,0 +1,203 @@
+/**
+ * Preconditioned conjugate gradient for symmetric positive (semi-)definite
+ * SparseMatrix systems, with Jacobi and incomplete Cholesky preconditioners
+ */
+
+export function createJacobiPreconditioner(matrix) {
+    const inverseDiagonal = matrix.getDiagonal();
+    for (let i = 0; i < inverseDiagonal.length; i++) {
+        inverseDiagonal[i] = inverseDiagonal[i] > 0 ? 1 / inverseDiagonal[i] : 1;
+    }
+    
+    return (r, z) => {
+        for (let i = 0; i < r.length; i++) {
+            z[i] = r[i] * inverseDiagonal[i];
+        }
+    };
+}
+
+export function createIncompleteCholeskyPreconditioner(matrix) {
+    // IC(0): L has the lower-triangular pattern of the matrix, A ≈ L Lᵀ
+    const n = matrix.size;
+    const { rowOffsets, columns, values } = matrix;
+    
+    // Lower-triangular part (including the diagonal, stored last in each row)
+    const lowerOffsets = new Uint32Array(n + 1);
+    for (let i = 0; i < n; i++) {
+        let count = 0;
+        for (let e = rowOffsets[i]; e < rowOffsets[i + 1]; e++) {
+            if (columns[e] <= i) count++;
+        }
+        lowerOffsets[i + 1] = lowerOffsets[i] + count;
+    }
+    
+    const lowerColumns = new Uint32Array(lowerOffsets[n]);
+    const lower = new Float64Array(lowerOffsets[n]);
+    for (let i = 0; i < n; i++) {
+        let l = lowerOffsets[i];
+        for (let e = rowOffsets[i]; e < rowOffsets[i + 1]; e++) {
+            if (columns[e] <= i) {
+                lowerColumns[l] = columns[e];
+                lower[l] = values[e];
+                l++;
+            }
+        }
+    }
+    
+    // Sparse dot product of rows i and k of L over columns < k
+    const rowDot = (i, k) => {
+        let a = lowerOffsets[i];
+        let b = lowerOffsets[k];
+        const aEnd = lowerOffsets[i + 1];
+        const bEnd = lowerOffsets[k + 1] - 1;
+        let sum = 0;
+        
+        while (a < aEnd && b < bEnd) {
+            const ca = lowerColumns[a];
+            const cb = lowerColumns[b];
+            if (ca >= k) break;
+            if (ca === cb) {
+                sum += lower[a++] * lower[b++];
+            } else if (ca < cb) {
+                a++;
+            } else {
+                b++;
+            }
+        }
+        
+        return sum;
+    };
+    
+    for (let i = 0; i < n; i++) {
+        const diagonalEntry = lowerOffsets[i + 1] - 1;
+        const original = lower[diagonalEntry];
+        
+        for (let l = lowerOffsets[i]; l < diagonalEntry; l++) {
+            const k = lowerColumns[l];
+            lower[l] = (lower[l] - rowDot(i, k)) / lower[lowerOffsets[k + 1] - 1];
+        }
+        
+        let pivot = original;
+        for (let l = lowerOffsets[i]; l < diagonalEntry; l++) {
+            pivot -= lower[l] * lower[l];
+        }
+        
+        // Fall back to the unfactored diagonal when the pivot breaks down
+        // (e.g. the constant null space of a pure-Neumann Laplacian)
+        if (!(pivot > 1e-12 * Math.abs(original))) {
+            pivot = Math.abs(original) > 0 ? Math.abs(original) : 1;
+        }
+        lower[diagonalEntry] = Math.sqrt(pivot);
+    }
+    
+    return (r, z) => {
+        // Forward substitution: L y = r (y stored in z)
+        for (let i = 0; i < n; i++) {
+            const diagonalEntry = lowerOffsets[i + 1] - 1;
+            let sum = r[i];
+            for (let l = lowerOffsets[i]; l < diagonalEntry; l++) {
+                sum -= lower[l] * z[lowerColumns[l]];
+            }
+            z[i] = sum / lower[diagonalEntry];
+        }
+        
+        // Backward substitution: Lᵀ z = y
+        for (let i = n - 1; i >= 0; i--) {
+            const diagonalEntry = lowerOffsets[i + 1] - 1;
+            z[i] /= lower[diagonalEntry];
+            for (let l = lowerOffsets[i]; l < diagonalEntry; l++) {
+                z[lowerColumns[l]] -= lower[l] * z[i];
+            }
+        }
+    };
+}
+
+export function createPreconditioner(matrix, type) {
+    switch (type) {
+        case 'jacobi':
+            return createJacobiPreconditioner(matrix);
+        case 'ic0':
+            return createIncompleteCholeskyPreconditioner(matrix);
+        case 'none':
+            return (r, z) => z.set(r);
+        default:
+            throw new Error(`Unknown preconditioner: ${type}`);
+    }
+}
+
+export function preconditionedConjugateGradient(matrix, b, x, options = {}) {
+    // Solves A x = b, using x as the initial guess. Stops when the residual norm
+    // drops below tolerance * |b| or after maxIterations
+    const tolerance = options.tolerance ?? 1e-4;
+    const maxIterations = options.maxIterations ?? 100;
+    const precondition = options.preconditioner ?? createPreconditioner(matrix, 'jacobi');
+    
+    const n = matrix.size;
+    const r = new Float64Array(n);
+    const z = new Float64Array(n);
+    const d = new Float64Array(n);
+    const q = new Float64Array(n);
+    
+    const dot = (a, c) => {
+        let sum = 0;
+        for (let i = 0; i < n; i++) sum += a[i] * c[i];
+        return sum;
+    };
+    
+    const bNorm = Math.sqrt(dot(b, b));
+    const threshold = tolerance * (bNorm > 0 ? bNorm : 1);
+    
+    // r = b - A x
+    matrix.multiply(x, q);
+    for (let i = 0; i < n; i++) {
+        r[i] = b[i] - q[i];
+    }
+    
+    let residual = Math.sqrt(dot(r, r));
+    const result = {
+        iterations: 0,
+        residual: bNorm > 0 ? residual / bNorm : residual,
+        converged: residual <= threshold
+    };
+    if (result.converged) {
+        return result;
+    }
+    
+    precondition(r, z);
+    d.set(z);
+    let rz = dot(r, z);
+    
+    for (let iter = 1; iter <= maxIterations; iter++) {
+        matrix.multiply(d, q);
+        const dq = dot(d, q);
+        if (!(Math.abs(dq) > 0)) {
+            break;
+        }
+        
+        const alpha = rz / dq;
+        for (let i = 0; i < n; i++) {
+            x[i] += alpha * d[i];
+            r[i] -= alpha * q[i];
+        }
+        
+        residual = Math.sqrt(dot(r, r));
+        result.iterations = iter;
+        result.residual = bNorm > 0 ? residual / bNorm : residual;
+        
+        if (residual <= threshold) {
+            result.converged = true;
+            break;
+        }
+        
+        precondition(r, z);
+        const rzNew = dot(r, z);
+        const beta = rzNew / rz;
+        rz = rzNew;
+        
+        for (let i = 0; i < n; i++) {
+            d[i] = z[i] + beta * d[i];
+        }
+    }
+    
+    return result;
+}
@@ -1,220 +1,519 @@
 /**
  * PressureSolver - Solves for pressure to enforce incompressibility
- * Uses a simplified conjugate gradient method
+ * P1 finite-element projection of the node velocities v onto the fields
+ * with zero volume-weighted divergence D v (d_i = ∫ φ_i ∇·v), solved with
+ * a preconditioned conjugate gradient:
+ *   (Eᵀ D M⁻¹ P Dᵀ E) p = -Eᵀ D v / dt,   v ← v + dt M⁻¹ P Dᵀ E p
+ * M is the lumped mass, P removes the velocity normal to walls and solids at
+ * each node, and E extends the pressure unknowns to the ghost values of the
+ * air nodes next to the surface (below). The velocity correction is the
+ * exact adjoint of the divergence, so after the solve Eᵀ D v is zero up to
+ * the solver tolerance (reported as `divergence` in the result). The
+ * cotangent-weighted Laplacian K, a close relative of that operator, serves
+ * as the incomplete Cholesky preconditioner after extending it to the ghost
+ * nodes as Eᵀ K E within the 1-ring sparsity of K.
+ *
+ * Nodes inside static solids are boundary nodes: their normal velocity is
+ * held at zero, and tetrahedra with all four nodes inside solids are removed
+ * from the system.
+ *
+ * With a liquid/air classification (see fluid_classification.js) only tets
+ * touching liquid nodes take part, and air nodes are Dirichlet boundaries
+ * with p = 0. Where the particles' implicit function changes sign along an
+ * edge from liquid node i (φ_i < 0) to air node j, the free surface lies at
+ * the fraction θ = φ_i / (φ_i - φ_j) of the edge (ghost fluid), so j takes
+ * the ghost pressure -p_i (1 - θ) / θ that vanishes at the surface,
+ * averaged over its cut edges.
+ *
+ * Optional per-tetrahedron forces (e.g. surface tension) are applied before
+ * the projection as volume-weighted averages at the nodes.
  */
 
+import { SparseMatrix } from './sparse_matrix.js';
+import { createPreconditioner, preconditionedConjugateGradient } from './pcg.js';
+import { AIR, LIQUID } from './fluid_classification.js';
+
+// Smallest ghost-fluid edge fraction, bounding the ghost pressure to -p (1/θ - 1)
+const MIN_GHOST_FRACTION = 0.01;
+
+// Wall normals whose part orthogonal to the other walls at a node is shorter
+// than this are treated as lying in their span
+const WALL_NORMAL_TOLERANCE = 1e-3;
+
 export class PressureSolver {
-    constructor(device, mesh) {
-        this.device = device;
+    constructor(mesh) {
         this.mesh = mesh;
         
         // Solver parameters
-        this.maxIterations = 50;
+        this.maxIterations = 100;
         this.tolerance = 1e-4;
+        this.preconditioner = 'ic0'; // 'ic0', 'jacobi' or 'none'
+        
+        // Assembled Laplacian, rebuilt when the mesh topology, the solid
+        // nodes or the liquid classification change
+        this.laplacian = null;
+        this.laplacianVersion = -1;
+        this.laplacianSolid = null;
+        this.laplacianFluid = null;
+        this.preconditionerApply = null;
+        this.activeTets = null;  // 1 for tets with at least one liquid (non-solid) node
+        this.activeNodes = null; // 1 for pressure unknowns: non-air nodes of active tets
+        this.mass = null;        // Lumped mass Σ V_t / 4 over the active tets at each node
+        this.ghost = null;       // { offsets, sources, weights }: p_j = Σ weights[e] p[sources[e]], e in j's range
+        this.constraints = null; // { ranks, basis }: up to 3 orthonormal blocked directions per node
+        this.operator = null;    // Matrix-free Eᵀ D M⁻¹ P Dᵀ E for the conjugate gradient
+        this.scratch = null;
+        
+        // Results of the last solve
+        this.pressure = null;
+        this.lastResult = null;
     }
     
     async initialize() {
         // Initialize solver data structures
     }
     
-    solve(mesh, dt) {
+    solve(mesh, dt, solid = null, forces = null, fluid = null) {
         // Solve the pressure Poisson equation to enforce incompressibility
         // ∇²p = ρ/dt * ∇·v
+        // solid: { nodes: Uint8Array, normals: Float32Array } or null
+        // forces: per-tet accelerations [fx, fy, fz, ...] or null
+        // fluid: { nodes, phi } classification (free surface), or null to
+        //        treat the whole domain as liquid
         
         const nodeVelocities = mesh.getNodeVelocities();
         const nodeCount = mesh.nodeCount;
         
-        // Compute divergence at each node
-        const divergence = new Float32Array(nodeCount);
+        this.assembleLaplacian(mesh, solid, fluid);
+        if (forces) {
+            this.applyTetVectors(mesh, forces, dt, nodeVelocities);
+        }
+        this.applyBoundaryConstraints(nodeVelocities);
+        
+        // Compute (volume-weighted) divergence at each node
+        const divergence = new Float64Array(nodeCount);
         this.computeDivergence(mesh, nodeVelocities, divergence);
+        const initialDivergence = this.divergenceNorm(divergence);
         
-        // Solve for pressure (simplified approach)
-        const pressure = new Float32Array(nodeCount);
-        this.conjugateGradient(mesh, divergence, pressure, dt);
+        // Solve for pressure
+        const pressure = new Float64Array(nodeCount);
+        const result = this.conjugateGradient(mesh, divergence, pressure, dt);
         
-        // Apply pressure gradient to make velocity field divergence-free
+        // Apply the pressure correction, then check the divergence it leaves
+        // (relative to the divergence before, at the solver tolerance)
         this.applyPressureGradient(mesh, pressure, nodeVelocities, dt);
+        this.computeDivergence(mesh, nodeVelocities, divergence);
+        result.divergence = initialDivergence > 0 ? this.divergenceNorm(divergence) / initialDivergence : 0;
         
         mesh.setNodeVelocities(nodeVelocities);
+        
+        this.pressure = new Float32Array(pressure);
+        this.lastResult = result;
+        return result;
     }
     
-    computeDivergence(mesh, velocities, divergence) {
-        // Compute velocity divergence at each node
-        // This is a simplified approximation
+    assembleLaplacian(mesh, solid = null, fluid = null) {
+        // Stiffness matrix K_ij = Σ_t V_t ∇λ_i · ∇λ_j, the 3D cotangent Laplacian
+        if (this.laplacian && this.laplacianVersion === mesh.topologyVersion &&
+            this.laplacianSolid === solid && this.laplacianFluid === fluid) {
+            return this.laplacian;
+        }
         
-        const nodes = mesh.getNodes();
+        const { volumes, gradients } = mesh.getTetGeometry();
         const tetrahedra = mesh.getTetrahedra();
         const tetCount = mesh.getTetrahedraCount();
+        const isAir = (n) => fluid !== null && fluid.nodes[n] === AIR;
         
-        divergence.fill(0);
-        const counts = new Float32Array(mesh.nodeCount).fill(0);
-        
-        // For each tetrahedron, compute divergence contribution
+        // Tets buried inside solids (or, with a classification, without any
+        // liquid node) carry no fluid; their air nodes become p = 0 boundaries
+        const activeTets = new Uint8Array(tetCount);
+        const activeNodes = new Uint8Array(mesh.nodeCount);
+        const mass = new Float64Array(mesh.nodeCount);
         for (let t = 0; t < tetCount; t++) {
-            const tet = mesh.getTetrahedron(t);
-            
-            // Get node positions and velocities
-            const positions = [];
-            const vels = [];
+            let active = false;
+            for (let i = 0; i < 4 && !active; i++) {
+                const n = tetrahedra[t * 4 + i];
+                active = fluid ? fluid.nodes[n] === LIQUID : !solid || !solid.nodes[n];
+            }
+            if (!active) continue;
             
+            activeTets[t] = 1;
             for (let i = 0; i < 4; i++) {
-                const nodeIdx = tet[i];
-                positions.push([
-                    nodes[nodeIdx * 3],
-                    nodes[nodeIdx * 3 + 1],
-                    nodes[nodeIdx * 3 + 2]
-                ]);
-                vels.push([
-                    velocities[nodeIdx * 3],
-                    velocities[nodeIdx * 3 + 1],
-                    velocities[nodeIdx * 3 + 2]
-                ]);
+                const n = tetrahedra[t * 4 + i];
+                mass[n] += volumes[t] / 4;
+                if (!isAir(n)) {
+                    activeNodes[n] = 1;
+                }
             }
+        }
+        
+        // The sparsity pattern only depends on the topology
+        let matrix = this.laplacian;
+        if (matrix && this.laplacianVersion === mesh.topologyVersion) {
+            matrix.clear();
+        } else {
+            const { offsets, indices } = mesh.getAdjacency().nodeNeighbors;
+            matrix = SparseMatrix.fromNodeAdjacency(offsets, indices, mesh.nodeCount);
+        }
+        
+        // Eᵀ K E: couplings of ghost nodes pass to the unknowns they are
+        // extrapolated from, dropping those outside the 1-ring pattern
+        const ghost = fluid ? buildGhostExtension(mesh, fluid) : null;
+        const addExtended = (row, col, value) => {
+            if (activeNodes[row]) {
+                if (activeNodes[col]) {
+                    const e = matrix.entryIndex(row, col);
+                    if (e >= 0) matrix.values[e] += value;
+                } else if (ghost) {
+                    for (let e = ghost.offsets[col]; e < ghost.offsets[col + 1]; e++) {
+                        addExtended(row, ghost.sources[e], ghost.weights[e] * value);
+                    }
+                }
+            } else if (ghost) {
+                for (let e = ghost.offsets[row]; e < ghost.offsets[row + 1]; e++) {
+                    addExtended(ghost.sources[e], col, ghost.weights[e] * value);
+                }
+            }
+        };
+        
+        for (let t = 0; t < tetCount; t++) {
+            if (!activeTets[t]) continue;
             
-            // Compute approximate divergence using finite differences
-            // Average velocity gradient
-            const avgDiv = this.approximateDivergence(positions, vels);
-            
-            // Distribute to nodes
+            const g = t * 12;
             for (let i = 0; i < 4; i++) {
-                divergence[tet[i]] += avgDiv;
-                counts[tet[i]]++;
+                const row = tetrahedra[t * 4 + i];
+                for (let j = 0; j < 4; j++) {
+                    const col = tetrahedra[t * 4 + j];
+                    const dotGrad =
+                        gradients[g + i * 3] * gradients[g + j * 3] +
+                        gradients[g + i * 3 + 1] * gradients[g + j * 3 + 1] +
+                        gradients[g + i * 3 + 2] * gradients[g + j * 3 + 2];
+                    addExtended(row, col, volumes[t] * dotGrad);
+                }
             }
         }
         
-        // Average
+        // Nodes outside the fluid keep p = 0 through an identity row
         for (let i = 0; i < mesh.nodeCount; i++) {
-            if (counts[i] > 0) {
-                divergence[i] /= counts[i];
+            if (!activeNodes[i]) {
+                matrix.add(i, i, 1);
             }
         }
+        
+        this.laplacian = matrix;
+        this.laplacianVersion = mesh.topologyVersion;
+        this.laplacianSolid = solid;
+        this.laplacianFluid = fluid;
+        this.activeTets = activeTets;
+        this.activeNodes = activeNodes;
+        this.mass = mass;
+        this.ghost = ghost;
+        this.constraints = buildBoundaryConstraints(mesh, solid, fluid);
+        this.scratch = {
+            pressure: new Float64Array(mesh.nodeCount),
+            correction: new Float64Array(mesh.nodeCount * 3),
+            divergence: new Float64Array(mesh.nodeCount)
+        };
+        this.operator = {
+            size: mesh.nodeCount,
+            multiply: (x, y) => this.multiplyProjection(mesh, x, y)
+        };
+        this.preconditionerApply = createPreconditioner(matrix, this.preconditioner);
+        return matrix;
     }
     
-    approximateDivergence(positions, velocities) {
-        // Simple approximation of divergence
-        // div(v) ≈ (v1 - v0) / dx + (v2 - v0) / dy + (v3 - v0) / dz
+    computeDivergence(mesh, velocities, divergence) {
+        // Volume-weighted divergence d_i = ∫ φ_i ∇·v = Σ_t (V_t / 4) (∇·v)_t
+        // where (∇·v)_t = Σ_k ∇λ_k · v_k is constant on each P1 tetrahedron
         
-        const dx = Math.abs(positions[1][0] - positions[0][0]) || 0.1;
-        const dy = Math.abs(positions[2][1] - positions[0][1]) || 0.1;
-        const dz = Math.abs(positions[3][2] - positions[0][2]) || 0.1;
+        const { volumes, gradients } = mesh.getTetGeometry();
+        const tetrahedra = mesh.getTetrahedra();
+        const tetCount = mesh.getTetrahedraCount();
         
-        const dvx = (velocities[1][0] - velocities[0][0]) / dx;
-        const dvy = (velocities[2][1] - velocities[0][1]) / dy;
-        const dvz = (velocities[3][2] - velocities[0][2]) / dz;
+        divergence.fill(0);
         
-        return dvx + dvy + dvz;
+        for (let t = 0; t < tetCount; t++) {
+            if (!this.activeTets[t]) continue;
+            
+            let div = 0;
+            for (let k = 0; k < 4; k++) {
+                const v = tetrahedra[t * 4 + k] * 3;
+                const g = t * 12 + k * 3;
+                div += gradients[g] * velocities[v] +
+                       gradients[g + 1] * velocities[v + 1] +
+                       gradients[g + 2] * velocities[v + 2];
+            }
+            
+            const share = volumes[t] * div / 4;
+            for (let i = 0; i < 4; i++) {
+                divergence[tetrahedra[t * 4 + i]] += share;
+            }
+        }
     }
     
     conjugateGradient(mesh, divergence, pressure, dt) {
-        // Simplified conjugate gradient solver for Poisson equation
-        // For initial implementation, use Jacobi iterations
-        
-        const nodeCount = mesh.nodeCount;
-        const rhs = new Float32Array(divergence);
+        // (Eᵀ D M⁻¹ P Dᵀ E) p = -Eᵀ d / dt (unit density). The velocities
+        // already satisfy the boundary constraints, so the right-hand side
+        // lies in the operator's range even when no air pins the pressure
         
-        // Scale by dt
-        for (let i = 0; i < nodeCount; i++) {
-            rhs[i] *= dt;
+        const rhs = new Float64Array(mesh.nodeCount);
+        this.restrictDivergence(divergence, rhs);
+        for (let i = 0; i < rhs.length; i++) {
+            rhs[i] *= -1 / dt;
         }
         
-        // Jacobi iterations
-        const pressureOld = new Float32Array(nodeCount);
+        return preconditionedConjugateGradient(this.operator, rhs, pressure, {
+            tolerance: this.tolerance,
+            maxIterations: this.maxIterations,
+            preconditioner: this.preconditionerApply
+        });
+    }
+    
+    multiplyProjection(mesh, x, y) {
+        // y = Eᵀ D M⁻¹ P Dᵀ E x on the unknowns, y = x elsewhere
+        const { correction, divergence } = this.scratch;
+        this.pressureCorrection(mesh, x, correction);
+        this.computeDivergence(mesh, correction, divergence);
+        this.restrictDivergence(divergence, y);
         
-        for (let iter = 0; iter < this.maxIterations; iter++) {
-            pressureOld.set(pressure);
-            
-            // Update each node
-            for (let i = 0; i < nodeCount; i++) {
-                // Get neighboring nodes (simplified)
-                const neighbors = this.getNeighbors(mesh, i);
-                
-                let sum = 0;
-                let count = 0;
-                
-                for (const n of neighbors) {
-                    sum += pressureOld[n];
-                    count++;
-                }
-                
-                if (count > 0) {
-                    pressure[i] = (sum - rhs[i]) / count;
-                }
-            }
-            
-            // Check convergence
-            let maxDiff = 0;
-            for (let i = 0; i < nodeCount; i++) {
-                maxDiff = Math.max(maxDiff, Math.abs(pressure[i] - pressureOld[i]));
-            }
-            
-            if (maxDiff < this.tolerance) {
-                break;
+        for (let i = 0; i < mesh.nodeCount; i++) {
+            if (!this.activeNodes[i]) {
+                y[i] = x[i];
             }
         }
     }
     
-    getNeighbors(mesh, nodeIndex) {
-        // Find all neighboring nodes (nodes that share a tetrahedron)
-        const neighbors = new Set();
+    pressureCorrection(mesh, pressure, correction) {
+        // correction = M⁻¹ P Dᵀ E p, where (Dᵀ q)_k = Σ_t V_t q̄_t ∇λ_k is
+        // the adjoint of computeDivergence (q̄_t the mean of q over tet t)
+        
+        const { volumes, gradients } = mesh.getTetGeometry();
         const tetrahedra = mesh.getTetrahedra();
         const tetCount = mesh.getTetrahedraCount();
+        const extended = this.scratch.pressure;
+        this.extendPressure(pressure, extended);
         
+        correction.fill(0);
         for (let t = 0; t < tetCount; t++) {
-            const tet = mesh.getTetrahedron(t);
+            if (!this.activeTets[t]) continue;
             
-            if (tet.includes(nodeIndex)) {
-                // Add all nodes in this tetrahedron as neighbors
-                for (const n of tet) {
-                    if (n !== nodeIndex) {
-                        neighbors.add(n);
-                    }
-                }
+            const share = volumes[t] * (extended[tetrahedra[t * 4]] + extended[tetrahedra[t * 4 + 1]] +
+                                        extended[tetrahedra[t * 4 + 2]] + extended[tetrahedra[t * 4 + 3]]) / 4;
+            for (let k = 0; k < 4; k++) {
+                const v = tetrahedra[t * 4 + k] * 3;
+                const g = t * 12 + k * 3;
+                correction[v] += share * gradients[g];
+                correction[v + 1] += share * gradients[g + 1];
+                correction[v + 2] += share * gradients[g + 2];
             }
         }
         
-        return Array.from(neighbors);
+        for (let i = 0; i < mesh.nodeCount; i++) {
+            if (this.mass[i] > 0) {
+                correction[i * 3] /= this.mass[i];
+                correction[i * 3 + 1] /= this.mass[i];
+                correction[i * 3 + 2] /= this.mass[i];
+            }
+        }
+        this.applyBoundaryConstraints(correction);
     }
     
     applyPressureGradient(mesh, pressure, velocities, dt) {
-        // Update velocities to be divergence-free
-        // v_new = v_old - dt * ∇p
+        // v_new = v_old - dt ∇p in the weak form: v += dt M⁻¹ P Dᵀ E p
+        const correction = new Float64Array(mesh.nodeCount * 3);
+        this.pressureCorrection(mesh, pressure, correction);
         
-        const nodes = mesh.getNodes();
+        for (let i = 0; i < correction.length; i++) {
+            velocities[i] += dt * correction[i];
+        }
+    }
+    
+    extendPressure(pressure, extended) {
+        // extended = E p: the unknowns, ghost values at the air nodes next to
+        // the surface, and zero at the other nodes
+        for (let i = 0; i < pressure.length; i++) {
+            extended[i] = this.activeNodes[i] ? pressure[i] : 0;
+        }
+        if (this.ghost) {
+            const { offsets, sources, weights } = this.ghost;
+            for (let j = 0; j < pressure.length; j++) {
+                for (let e = offsets[j]; e < offsets[j + 1]; e++) {
+                    extended[j] += weights[e] * extended[sources[e]];
+                }
+            }
+        }
+    }
+    
+    restrictDivergence(divergence, restricted) {
+        // restricted = Eᵀ d: ghost nodes hand their divergence back to the
+        // unknowns they extend, and only the unknowns keep a value
+        restricted.set(divergence);
+        if (this.ghost) {
+            const { offsets, sources, weights } = this.ghost;
+            for (let j = 0; j < divergence.length; j++) {
+                for (let e = offsets[j]; e < offsets[j + 1]; e++) {
+                    restricted[sources[e]] += weights[e] * divergence[j];
+                }
+            }
+        }
+        for (let i = 0; i < restricted.length; i++) {
+            if (!this.activeNodes[i]) {
+                restricted[i] = 0;
+            }
+        }
+    }
+    
+    divergenceNorm(divergence) {
+        // |Eᵀ d|, the divergence the projection drives to zero
+        const restricted = new Float64Array(divergence.length);
+        this.restrictDivergence(divergence, restricted);
+        
+        let sum = 0;
+        for (let i = 0; i < restricted.length; i++) {
+            sum += restricted[i] * restricted[i];
+        }
+        return Math.sqrt(sum);
+    }
+    
+    applyTetVectors(mesh, tetVectors, scale, velocities) {
+        // velocities += scale * (volume-weighted average of the per-tet
+        // vectors around each node), over active tets
+        
+        const { volumes } = mesh.getTetGeometry();
+        const tetrahedra = mesh.getTetrahedra();
         const nodeCount = mesh.nodeCount;
         
-        for (let i = 0; i < nodeCount; i++) {
-            const neighbors = this.getNeighbors(mesh, i);
-            
-            if (neighbors.length === 0) continue;
-            
-            // Compute pressure gradient (simplified)
-            let gradX = 0, gradY = 0, gradZ = 0;
-            let count = 0;
+        const nodeSum = new Float64Array(nodeCount * 3);
+        const nodeVolume = new Float64Array(nodeCount);
+        
+        for (let t = 0; t < mesh.getTetrahedraCount(); t++) {
+            if (!this.activeTets[t]) continue;
             
-            for (const n of neighbors) {
-                const dx = nodes[n * 3 + 0] - nodes[i * 3 + 0];
-                const dy = nodes[n * 3 + 1] - nodes[i * 3 + 1];
-                const dz = nodes[n * 3 + 2] - nodes[i * 3 + 2];
-                const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-                
-                if (dist > 1e-10) {
-                    const dp = pressure[n] - pressure[i];
-                    gradX += dp * dx / (dist * dist);
-                    gradY += dp * dy / (dist * dist);
-                    gradZ += dp * dz / (dist * dist);
-                    count++;
-                }
+            for (let k = 0; k < 4; k++) {
+                const n = tetrahedra[t * 4 + k];
+                nodeSum[n * 3 + 0] += volumes[t] * tetVectors[t * 3 + 0];
+                nodeSum[n * 3 + 1] += volumes[t] * tetVectors[t * 3 + 1];
+                nodeSum[n * 3 + 2] += volumes[t] * tetVectors[t * 3 + 2];
+                nodeVolume[n] += volumes[t];
             }
-            
-            if (count > 0) {
-                gradX /= count;
-                gradY /= count;
-                gradZ /= count;
-                
-                velocities[i * 3 + 0] -= dt * gradX;
-                velocities[i * 3 + 1] -= dt * gradY;
-                velocities[i * 3 + 2] -= dt * gradZ;
+        }
+        
+        for (let i = 0; i < nodeCount; i++) {
+            if (nodeVolume[i] > 0) {
+                velocities[i * 3 + 0] += scale * nodeSum[i * 3 + 0] / nodeVolume[i];
+                velocities[i * 3 + 1] += scale * nodeSum[i * 3 + 1] / nodeVolume[i];
+                velocities[i * 3 + 2] += scale * nodeSum[i * 3 + 2] / nodeVolume[i];
+            }
+        }
+    }
+    
+    applyBoundaryConstraints(velocities) {
+        // P: remove the velocity components along the blocked directions of
+        // each node (free slip against solids and, with a free surface, the
+        // domain walls)
+        const { ranks, basis } = this.constraints;
+        
+        for (let i = 0; i < ranks.length; i++) {
+            for (let b = 0; b < ranks[i]; b++) {
+                const o = (i * 3 + b) * 3;
+                const nx = basis[o], ny = basis[o + 1], nz = basis[o + 2];
+                const vn = velocities[i * 3] * nx + velocities[i * 3 + 1] * ny + velocities[i * 3 + 2] * nz;
+                velocities[i * 3 + 0] -= vn * nx;
+                velocities[i * 3 + 1] -= vn * ny;
+                velocities[i * 3 + 2] -= vn * nz;
+            }
+        }
+    }
+}
+
+function buildGhostExtension(mesh, fluid) {
+    // Ghost pressures for air nodes with an edge to a liquid node i across
+    // the surface (φ_i < 0 < φ_j): linear extrapolation along the edge to
+    // p = 0 at the fraction θ gives p_j = -p_i (1 - θ) / θ, averaged over the
+    // cut edges of j
+    const edges = mesh.getEdges();
+    const { phi } = fluid;
+    const offsets = new Uint32Array(mesh.nodeCount + 1);
+    
+    const cutEdge = (e) => {
+        // [liquid, air] for an edge across the surface, or null
+        let i = edges[e], j = edges[e + 1];
+        if (fluid.nodes[j] === LIQUID) {
+            [i, j] = [j, i];
+        }
+        return fluid.nodes[i] === LIQUID && fluid.nodes[j] === AIR && phi[i] < 0 && phi[j] > 0 ? [i, j] : null;
+    };
+    
+    for (let e = 0; e < edges.length; e += 2) {
+        const cut = cutEdge(e);
+        if (cut) offsets[cut[1] + 1]++;
+    }
+    for (let j = 0; j < mesh.nodeCount; j++) {
+        offsets[j + 1] += offsets[j];
+    }
+    
+    const sources = new Uint32Array(offsets[mesh.nodeCount]);
+    const weights = new Float64Array(offsets[mesh.nodeCount]);
+    const fill = offsets.slice(0, mesh.nodeCount);
+    for (let e = 0; e < edges.length; e += 2) {
+        const cut = cutEdge(e);
+        if (!cut) continue;
+        
+        const [i, j] = cut;
+        const theta = Math.max(MIN_GHOST_FRACTION, phi[i] / (phi[i] - phi[j]));
+        const k = fill[j]++;
+        sources[k] = i;
+        weights[k] = (1 - 1 / theta) / (offsets[j + 1] - offsets[j]);
+    }
+    return { offsets, sources, weights };
+}
+
+function buildBoundaryConstraints(mesh, solid, fluid) {
+    // Orthonormal blocked directions at each node: the solid normal, and with
+    // a free surface the normals of the wall planes through boundary nodes
+    // (see TetrahedralMesh.getBoundary; without them liquid resting on a
+    // wall has nothing to push against once the air no longer takes part).
+    // Gram-Schmidt keeps edges and corners where walls meet at other than
+    // right angles from bringing back one component while removing another
+    const ranks = new Uint8Array(mesh.nodeCount);
+    const basis = new Float64Array(mesh.nodeCount * 9);
+    
+    const addNormal = (i, nx, ny, nz) => {
+        const rank = ranks[i];
+        if (rank === 3) return;
+        for (let b = 0; b < rank; b++) {
+            const o = (i * 3 + b) * 3;
+            const d = nx * basis[o] + ny * basis[o + 1] + nz * basis[o + 2];
+            nx -= d * basis[o];
+            ny -= d * basis[o + 1];
+            nz -= d * basis[o + 2];
+        }
+        // Skip normals (nearly) in the span of the previous ones
+        const length = Math.hypot(nx, ny, nz);
+        if (length < WALL_NORMAL_TOLERANCE) return;
+        const o = (i * 3 + rank) * 3;
+        basis[o] = nx / length;
+        basis[o + 1] = ny / length;
+        basis[o + 2] = nz / length;
+        ranks[i]++;
+    };
+    
+    if (solid) {
+        const { nodes, normals } = solid;
+        for (let i = 0; i < nodes.length; i++) {
+            if (nodes[i]) {
+                addNormal(i, normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]);
+            }
+        }
+    }
+    if (fluid) {
+        const { nodes, normalOffsets, normals } = mesh.getBoundary();
+        for (let i = 0; i < mesh.nodeCount; i++) {
+            if (!nodes[i]) continue;
+            for (let k = normalOffsets[i]; k < normalOffsets[i + 1]; k++) {
+                addNormal(i, normals[k * 3], normals[k * 3 + 1], normals[k * 3 + 2]);
             }
         }
     }
+    return { ranks, basis };
 }
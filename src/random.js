@@ -0,0 +1,38 @@
+/**
+ * SeededRandom - Deterministic pseudo-random numbers for reproducible runs
+ * mulberry32: a 32-bit state advanced by a Weyl sequence and mixed into the
+ * output. Every stochastic part of the simulator (particle seeding and
+ * jitter, emitters) draws from one instance, so the same seed and inputs
+ * replay the same simulation. The state is a single integer that
+ * checkpoints store (getState / setState).
+ */
+
+export const DEFAULT_SEED = 1;
+
+export function isValidSeed(seed) {
+    // Seeds are unsigned 32-bit integers
+    return Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF;
+}
+
+export class SeededRandom {
+    constructor(seed = DEFAULT_SEED) {
+        this.state = seed >>> 0;
+    }
+    
+    next() {
+        // Uniform in [0, 1)
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    getState() {
+        return this.state;
+    }
+    
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -2,6 +2,21 @@
  * Renderer - WebGPU renderer for TETFLIP simulation
  */
 
+import { buildVelocityGlyphs } from './velocity_glyphs.js';
+import { sampleColormap } from './colormaps.js';
+import { ScreenSpaceFluid } from './screen_space_fluid.js';
+import { Camera } from './camera.js';
+import { GpuResources } from './gpu_resources.js';
+
+// Particle styles: single-pixel points, or a screen-space liquid surface
+const PARTICLE_MODES = ['points', 'fluid'];
+
+// Unmapped colours (RGBA) and the wireframe's alpha under a colour map
+const PARTICLE_COLOR = [0.3, 0.6, 1.0, 1.0];
+const MESH_COLOR = [0.8, 0.8, 0.8, 0.3];
+const MAPPED_MESH_ALPHA = 0.6;
+const MISSING_COLOR = [0.5, 0.5, 0.5];
+
 export class Renderer {
     constructor(canvas, device) {
         this.canvas = canvas;
@@ -10,21 +25,46 @@ export class Renderer {
         
         // Rendering options
         this.showParticles = true;
+        this.showSurface = false;
         this.showMesh = true;
         this.showVelocity = false;
+        this.particleMode = 'points';
+        
+        // Velocity arrows (see velocity_glyphs.js and setVelocityGlyphs)
+        this.velocityGlyphs = { sampling: 'nodes', scale: 0.05, density: 12 };
+        
+        // View of the scene, in simulation units (input: camera_controls.js)
+        this.camera = new Camera();
         
-        // Camera parameters
-        this.cameraPosition = [0, 0, 5];
-        this.cameraRotation = [0, 0];
+        // Particle radius in simulation units, for the fluid sprites
+        this.particleRadius = 0.02;
         
         // Rendering resources
         this.pipeline = null;
         this.particlePipeline = null;
         this.meshPipeline = null;
-        
-        this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
+        this.obstaclePipeline = null;
+        this.surfacePipeline = null;
+        this.glyphPipeline = null;
+        this.fluidRenderer = null;
+        
+        // View-projection uniform and a bind group per pipeline holding it,
+        // created once; per-frame geometry goes to growable buffers
+        this.mvpBuffer = null;
+        this.bindGroups = null;
+        this.resources = null;
+        
+        // Wireframe vertices of the last mesh drawn, reused until its
+        // topology changes (see updateWireframe)
+        this.wireframe = { mesh: null, version: -1, vertices: null, mapped: false };
+        
+        // Growable per-frame colour arrays by name (see scratchArray)
+        this.scratchArrays = new Map();
+        
+        // Static obstacle geometry (see setObstacles)
+        this.obstacleVertexBuffer = null;
+        this.obstacleIndexBuffer = null;
+        this.obstacleIndexCount = 0;
     }
     
     async initialize() {
@@ -35,18 +75,20 @@ export class Renderer {
         this.context.configure({
             device: this.device,
             format: presentationFormat,
-            alphaMode: 'opaque'
+            alphaMode: 'opaque',
+            // Copied as the refracted background of the fluid mode
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC
         });
         
         // Create render pipelines
         await this.createPipelines(presentationFormat);
-        
-        // Setup mouse controls for camera
-        this.setupMouseControls();
+        this.createResources();
+        this.fluidRenderer = new ScreenSpaceFluid(this.device, presentationFormat);
+        await this.fluidRenderer.initialize();
     }
     
     async createPipelines(format) {
-        // Shader code for particle rendering
+        // Shader code for particle rendering (a colour per particle)
         const particleShaderCode = `
             struct Uniforms {
                 mvpMatrix: mat4x4<f32>,
@@ -60,10 +102,10 @@ export class Renderer {
             }
             
             @vertex
-            fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+            fn vertexMain(@location(0) position: vec3<f32>, @location(1) color: vec4<f32>) -> VertexOutput {
                 var output: VertexOutput;
                 output.position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
-                output.color = vec4<f32>(0.3, 0.6, 1.0, 1.0);
+                output.color = color;
                 return output;
             }
             
@@ -73,7 +115,7 @@ export class Renderer {
             }
         `;
         
-        // Shader code for mesh rendering
+        // Shader code for mesh rendering (a colour per edge vertex)
         const meshShaderCode = `
             struct Uniforms {
                 mvpMatrix: mat4x4<f32>,
@@ -87,10 +129,100 @@ export class Renderer {
             }
             
             @vertex
-            fn vertexMain(@location(0) position: vec3<f32>) -> VertexOutput {
+            fn vertexMain(@location(0) position: vec3<f32>, @location(1) color: vec4<f32>) -> VertexOutput {
                 var output: VertexOutput;
                 output.position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
-                output.color = vec4<f32>(0.8, 0.8, 0.8, 0.3);
+                output.color = color;
+                return output;
+            }
+            
+            @fragment
+            fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+                return input.color;
+            }
+        `;
+        
+        // Shader code for obstacle rendering (two-sided diffuse shading)
+        const obstacleShaderCode = `
+            struct Uniforms {
+                mvpMatrix: mat4x4<f32>,
+            }
+            
+            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
+            
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+                @location(0) normal: vec3<f32>,
+            }
+            
+            @vertex
+            fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
+                var output: VertexOutput;
+                output.position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
+                output.normal = normal;
+                return output;
+            }
+            
+            @fragment
+            fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+                let lightDir = normalize(vec3<f32>(0.4, 0.8, 0.5));
+                let diffuse = abs(dot(normalize(input.normal), lightDir));
+                let color = vec3<f32>(0.55, 0.5, 0.45) * (0.3 + 0.7 * diffuse);
+                return vec4<f32>(color, 1.0);
+            }
+        `;
+        
+        // Shader code for the liquid surface (diffuse + specular, translucent)
+        const surfaceShaderCode = `
+            struct Uniforms {
+                mvpMatrix: mat4x4<f32>,
+            }
+            
+            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
+            
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+                @location(0) normal: vec3<f32>,
+            }
+            
+            @vertex
+            fn vertexMain(@location(0) position: vec3<f32>, @location(1) normal: vec3<f32>) -> VertexOutput {
+                var output: VertexOutput;
+                output.position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
+                output.normal = normal;
+                return output;
+            }
+            
+            @fragment
+            fn fragmentMain(input: VertexOutput) -> @location(0) vec4<f32> {
+                let n = normalize(input.normal);
+                let lightDir = normalize(vec3<f32>(0.4, 0.8, 0.5));
+                let halfDir = normalize(lightDir + vec3<f32>(0.0, 0.0, 1.0));
+                let diffuse = max(dot(n, lightDir), 0.0);
+                let specular = pow(max(dot(n, halfDir), 0.0), 48.0);
+                let color = vec3<f32>(0.15, 0.45, 0.85) * (0.35 + 0.65 * diffuse) + vec3<f32>(specular);
+                return vec4<f32>(color, 0.85);
+            }
+        `;
+        
+        // Shader code for velocity arrows (lines with a colour per vertex)
+        const glyphShaderCode = `
+            struct Uniforms {
+                mvpMatrix: mat4x4<f32>,
+            }
+            
+            @group(0) @binding(0) var<uniform> uniforms: Uniforms;
+            
+            struct VertexOutput {
+                @builtin(position) position: vec4<f32>,
+                @location(0) color: vec4<f32>,
+            }
+            
+            @vertex
+            fn vertexMain(@location(0) position: vec3<f32>, @location(1) color: vec3<f32>) -> VertexOutput {
+                var output: VertexOutput;
+                output.position = uniforms.mvpMatrix * vec4<f32>(position, 1.0);
+                output.color = vec4<f32>(color, 1.0);
                 return output;
             }
             
@@ -109,6 +241,18 @@ export class Renderer {
             code: meshShaderCode
         });
         
+        const obstacleShaderModule = this.device.createShaderModule({
+            code: obstacleShaderCode
+        });
+        
+        const surfaceShaderModule = this.device.createShaderModule({
+            code: surfaceShaderCode
+        });
+        
+        const glyphShaderModule = this.device.createShaderModule({
+            code: glyphShaderCode
+        });
+        
         // Create particle pipeline
         this.particlePipeline = await this.device.createRenderPipelineAsync({
             layout: 'auto',
@@ -122,6 +266,13 @@ export class Renderer {
                         offset: 0,
                         format: 'float32x3'
                     }]
+                }, {
+                    arrayStride: 16,
+                    attributes: [{
+                        shaderLocation: 1,
+                        offset: 0,
+                        format: 'float32x4'
+                    }]
                 }]
             },
             fragment: {
@@ -160,11 +311,15 @@ export class Renderer {
                 module: meshShaderModule,
                 entryPoint: 'vertexMain',
                 buffers: [{
-                    arrayStride: 12,
+                    arrayStride: 28,
                     attributes: [{
                         shaderLocation: 0,
                         offset: 0,
                         format: 'float32x3'
+                    }, {
+                        shaderLocation: 1,
+                        offset: 12,
+                        format: 'float32x4'
                     }]
                 }]
             },
@@ -198,6 +353,131 @@ export class Renderer {
             }
         });
         
+        // Create obstacle pipeline
+        this.obstaclePipeline = await this.device.createRenderPipelineAsync({
+            layout: 'auto',
+            vertex: {
+                module: obstacleShaderModule,
+                entryPoint: 'vertexMain',
+                buffers: [{
+                    arrayStride: 24,
+                    attributes: [{
+                        shaderLocation: 0,
+                        offset: 0,
+                        format: 'float32x3'
+                    }, {
+                        shaderLocation: 1,
+                        offset: 12,
+                        format: 'float32x3'
+                    }]
+                }]
+            },
+            fragment: {
+                module: obstacleShaderModule,
+                entryPoint: 'fragmentMain',
+                targets: [{
+                    format: format
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+        
+        // Create liquid surface pipeline
+        this.surfacePipeline = await this.device.createRenderPipelineAsync({
+            layout: 'auto',
+            vertex: {
+                module: surfaceShaderModule,
+                entryPoint: 'vertexMain',
+                buffers: [{
+                    arrayStride: 12,
+                    attributes: [{
+                        shaderLocation: 0,
+                        offset: 0,
+                        format: 'float32x3'
+                    }]
+                }, {
+                    arrayStride: 12,
+                    attributes: [{
+                        shaderLocation: 1,
+                        offset: 0,
+                        format: 'float32x3'
+                    }]
+                }]
+            },
+            fragment: {
+                module: surfaceShaderModule,
+                entryPoint: 'fragmentMain',
+                targets: [{
+                    format: format,
+                    blend: {
+                        color: {
+                            srcFactor: 'src-alpha',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha',
+                            operation: 'add'
+                        }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'back'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+        
+        // Create velocity glyph pipeline
+        this.glyphPipeline = await this.device.createRenderPipelineAsync({
+            layout: 'auto',
+            vertex: {
+                module: glyphShaderModule,
+                entryPoint: 'vertexMain',
+                buffers: [{
+                    arrayStride: 24,
+                    attributes: [{
+                        shaderLocation: 0,
+                        offset: 0,
+                        format: 'float32x3'
+                    }, {
+                        shaderLocation: 1,
+                        offset: 12,
+                        format: 'float32x3'
+                    }]
+                }]
+            },
+            fragment: {
+                module: glyphShaderModule,
+                entryPoint: 'fragmentMain',
+                targets: [{
+                    format: format
+                }]
+            },
+            primitive: {
+                topology: 'line-list'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+        
         // Create depth texture
         this.depthTexture = this.device.createTexture({
             size: [this.canvas.width, this.canvas.height],
@@ -206,40 +486,36 @@ export class Renderer {
         });
     }
     
-    setupMouseControls() {
-        this.canvas.addEventListener('mousedown', (e) => {
-            this.isDragging = true;
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            if (this.isDragging) {
-                const deltaX = e.clientX - this.lastMouseX;
-                const deltaY = e.clientY - this.lastMouseY;
-                
-                this.cameraRotation[0] += deltaY * 0.01;
-                this.cameraRotation[1] += deltaX * 0.01;
-                
-                this.lastMouseX = e.clientX;
-                this.lastMouseY = e.clientY;
-            }
+    createResources() {
+        this.mvpBuffer = this.device.createBuffer({
+            size: 64,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
         
-        this.canvas.addEventListener('mouseup', () => {
-            this.isDragging = false;
+        const bindGroup = (pipeline) => this.device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [{
+                binding: 0,
+                resource: { buffer: this.mvpBuffer }
+            }]
         });
+        this.bindGroups = {
+            particle: bindGroup(this.particlePipeline),
+            mesh: bindGroup(this.meshPipeline),
+            obstacle: bindGroup(this.obstaclePipeline),
+            surface: bindGroup(this.surfacePipeline),
+            glyph: bindGroup(this.glyphPipeline)
+        };
         
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            this.cameraPosition[2] += e.deltaY * 0.01;
-            this.cameraPosition[2] = Math.max(2, Math.min(10, this.cameraPosition[2]));
-        });
+        this.resources = new GpuResources(this.device);
     }
     
-    render(particles, mesh, velocityField) {
+    render(particles, mesh, velocityField, surface = null, scalars = null) {
+        // scalars: { particles, nodes, min, max, colormap } colours particles
+        // and mesh edges by value (see scalar_fields.js); null for defaults
         const commandEncoder = this.device.createCommandEncoder();
-        const textureView = this.context.getCurrentTexture().createView();
+        const colorTexture = this.context.getCurrentTexture();
+        const textureView = colorTexture.createView();
         
         const renderPassDescriptor = {
             colorAttachments: [{
@@ -256,61 +532,76 @@ export class Renderer {
             }
         };
         
-        const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
+        let passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
         
         // Compute MVP matrix
-        const mvpMatrix = this.computeMVPMatrix();
-        const mvpBuffer = this.device.createBuffer({
-            size: 64,
-            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-        });
-        this.device.queue.writeBuffer(mvpBuffer, 0, mvpMatrix);
+        const projection = this.camera.getProjectionMatrix(this.canvas.width / this.canvas.height);
+        const view = this.camera.getViewMatrix();
+        const mvpMatrix = this.multiplyMatrices(view, projection);
+        this.device.queue.writeBuffer(this.mvpBuffer, 0, mvpMatrix);
+        
+        // Render obstacles (opaque, first)
+        if (this.obstacleIndexCount > 0) {
+            passEncoder.setPipeline(this.obstaclePipeline);
+            passEncoder.setBindGroup(0, this.bindGroups.obstacle);
+            passEncoder.setVertexBuffer(0, this.obstacleVertexBuffer);
+            passEncoder.setIndexBuffer(this.obstacleIndexBuffer, 'uint32');
+            passEncoder.drawIndexed(this.obstacleIndexCount, 1, 0, 0, 0);
+        }
         
         // Render particles
         if (this.showParticles && particles && particles.count > 0) {
-            const particleBuffer = this.device.createBuffer({
-                size: particles.positions.byteLength,
-                usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-            });
-            this.device.queue.writeBuffer(particleBuffer, 0, particles.positions);
+            const particleBuffer = this.resources.upload('particles',
+                particles.positions.subarray(0, particles.count * 3), GPUBufferUsage.VERTEX);
             
-            const bindGroup = this.device.createBindGroup({
-                layout: this.particlePipeline.getBindGroupLayout(0),
-                entries: [{
-                    binding: 0,
-                    resource: { buffer: mvpBuffer }
-                }]
-            });
+            if (this.particleMode === 'fluid') {
+                passEncoder = this.renderFluid(commandEncoder, passEncoder, particleBuffer, particles.count, {
+                    colorTexture,
+                    view,
+                    projection
+                });
+            } else {
+                this.renderPoints(passEncoder, particleBuffer, particles.count, scalars);
+            }
+        }
+        
+        // Render liquid surface
+        if (this.showSurface && surface && surface.indices.length > 0) {
+            const positionBuffer = this.resources.upload('surfacePositions', surface.positions, GPUBufferUsage.VERTEX);
+            const normalBuffer = this.resources.upload('surfaceNormals', surface.normals, GPUBufferUsage.VERTEX);
+            const indexBuffer = this.resources.upload('surfaceIndices', surface.indices, GPUBufferUsage.INDEX);
             
-            passEncoder.setPipeline(this.particlePipeline);
-            passEncoder.setBindGroup(0, bindGroup);
-            passEncoder.setVertexBuffer(0, particleBuffer);
-            passEncoder.draw(particles.count, 1, 0, 0);
+            passEncoder.setPipeline(this.surfacePipeline);
+            passEncoder.setBindGroup(0, this.bindGroups.surface);
+            passEncoder.setVertexBuffer(0, positionBuffer);
+            passEncoder.setVertexBuffer(1, normalBuffer);
+            passEncoder.setIndexBuffer(indexBuffer, 'uint32');
+            passEncoder.drawIndexed(surface.indices.length, 1, 0, 0, 0);
         }
         
         // Render mesh wireframe
         if (this.showMesh && mesh && mesh.tetCount > 0) {
-            const edges = this.extractMeshEdges(mesh);
+            const vertexCount = this.updateWireframe(mesh, scalars);
             
-            if (edges.length > 0) {
-                const edgeBuffer = this.device.createBuffer({
-                    size: edges.byteLength,
-                    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
-                });
-                this.device.queue.writeBuffer(edgeBuffer, 0, edges);
-                
-                const bindGroup = this.device.createBindGroup({
-                    layout: this.meshPipeline.getBindGroupLayout(0),
-                    entries: [{
-                        binding: 0,
-                        resource: { buffer: mvpBuffer }
-                    }]
-                });
-                
+            if (vertexCount > 0) {
                 passEncoder.setPipeline(this.meshPipeline);
-                passEncoder.setBindGroup(0, bindGroup);
-                passEncoder.setVertexBuffer(0, edgeBuffer);
-                passEncoder.draw(edges.length / 3, 1, 0, 0);
+                passEncoder.setBindGroup(0, this.bindGroups.mesh);
+                passEncoder.setVertexBuffer(0, this.resources.get('edges'));
+                passEncoder.draw(vertexCount, 1, 0, 0);
+            }
+        }
+        
+        // Render velocity arrows
+        if (this.showVelocity && mesh && velocityField) {
+            const glyphs = buildVelocityGlyphs(mesh, velocityField, this.velocityGlyphs);
+            
+            if (glyphs.vertexCount > 0) {
+                const glyphBuffer = this.resources.upload('glyphs', glyphs.vertices, GPUBufferUsage.VERTEX);
+                
+                passEncoder.setPipeline(this.glyphPipeline);
+                passEncoder.setBindGroup(0, this.bindGroups.glyph);
+                passEncoder.setVertexBuffer(0, glyphBuffer);
+                passEncoder.draw(glyphs.vertexCount, 1, 0, 0);
             }
         }
         
@@ -318,80 +609,185 @@ export class Renderer {
         this.device.queue.submit([commandEncoder.finish()]);
     }
     
-    extractMeshEdges(mesh) {
-        // Extract unique edges from tetrahedra for wireframe rendering
-        const edgeSet = new Set();
-        const edges = [];
-        
-        for (let t = 0; t < mesh.tetCount; t++) {
-            const i = t * 4;
-            const n0 = mesh.tetrahedra[i];
-            const n1 = mesh.tetrahedra[i + 1];
-            const n2 = mesh.tetrahedra[i + 2];
-            const n3 = mesh.tetrahedra[i + 3];
-            
-            // Each tetrahedron has 6 edges
-            const tetEdges = [
-                [n0, n1], [n0, n2], [n0, n3],
-                [n1, n2], [n1, n3], [n2, n3]
-            ];
-            
-            for (const [a, b] of tetEdges) {
-                const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-                if (!edgeSet.has(key)) {
-                    edgeSet.add(key);
-                    
-                    // Add both vertices of the edge
-                    edges.push(
-                        mesh.nodes[a * 3], mesh.nodes[a * 3 + 1], mesh.nodes[a * 3 + 2],
-                        mesh.nodes[b * 3], mesh.nodes[b * 3 + 1], mesh.nodes[b * 3 + 2]
-                    );
-                }
+    renderPoints(passEncoder, particleBuffer, count, scalars) {
+        // Particles as points, coloured by scalars (see render)
+        const colors = this.mapScalarColors(scalars && scalars.particles, count, scalars, PARTICLE_COLOR, 1.0,
+            this.scratchArray('particleColors', count * 4));
+        const colorBuffer = this.resources.upload('particleColors', colors, GPUBufferUsage.VERTEX);
+        
+        passEncoder.setPipeline(this.particlePipeline);
+        passEncoder.setBindGroup(0, this.bindGroups.particle);
+        passEncoder.setVertexBuffer(0, particleBuffer);
+        passEncoder.setVertexBuffer(1, colorBuffer);
+        passEncoder.draw(count, 1, 0, 0);
+    }
+    
+    renderFluid(commandEncoder, passEncoder, particleBuffer, count, { colorTexture, view, projection }) {
+        // Particles as a screen-space liquid (see screen_space_fluid.js). The
+        // scene drawn so far becomes the background the liquid refracts, so
+        // passEncoder is ended; returns the pass reopened over the result
+        passEncoder.end();
+        this.fluidRenderer.render(commandEncoder, {
+            positions: particleBuffer,
+            count,
+            colorTexture,
+            depthTexture: this.depthTexture,
+            modelView: view,
+            projection,
+            radius: this.particleRadius
+        });
+        
+        const fluidPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: colorTexture.createView(),
+                loadOp: 'load',
+                storeOp: 'store'
+            }],
+            depthStencilAttachment: {
+                view: this.depthTexture.createView(),
+                depthLoadOp: 'load',
+                depthStoreOp: 'store'
+            }
+        });
+        this.fluidRenderer.composite(fluidPass);
+        return fluidPass;
+    }
+    
+    setObstacles(surfaces) {
+        // Upload obstacle triangles once; surfaces: [{ positions, normals, indices }]
+        if (this.obstacleVertexBuffer) {
+            this.obstacleVertexBuffer.destroy();
+            this.obstacleIndexBuffer.destroy();
+            this.obstacleVertexBuffer = null;
+            this.obstacleIndexBuffer = null;
+        }
+        
+        const vertexCount = surfaces.reduce((sum, s) => sum + s.positions.length / 3, 0);
+        const indexCount = surfaces.reduce((sum, s) => sum + s.indices.length, 0);
+        this.obstacleIndexCount = indexCount;
+        if (indexCount === 0) return;
+        
+        // Interleave position and normal, offsetting indices per surface
+        const vertices = new Float32Array(vertexCount * 6);
+        const indices = new Uint32Array(indexCount);
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        
+        for (const surface of surfaces) {
+            const count = surface.positions.length / 3;
+            for (let v = 0; v < count; v++) {
+                vertices.set(surface.positions.subarray(v * 3, v * 3 + 3), (vertexOffset + v) * 6);
+                vertices.set(surface.normals.subarray(v * 3, v * 3 + 3), (vertexOffset + v) * 6 + 3);
+            }
+            for (let i = 0; i < surface.indices.length; i++) {
+                indices[indexOffset + i] = surface.indices[i] + vertexOffset;
+            }
+            vertexOffset += count;
+            indexOffset += surface.indices.length;
+        }
+        
+        this.obstacleVertexBuffer = this.device.createBuffer({
+            size: vertices.byteLength,
+            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.obstacleVertexBuffer, 0, vertices);
+        
+        this.obstacleIndexBuffer = this.device.createBuffer({
+            size: indices.byteLength,
+            usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST
+        });
+        this.device.queue.writeBuffer(this.obstacleIndexBuffer, 0, indices);
+    }
+    
+    setDomain(min, max) {
+        // Fit the camera to the simulation domain (see Camera.setDomain)
+        this.camera.setDomain(min, max);
+    }
+    
+    updateWireframe(mesh, scalars) {
+        // Upload the wireframe of mesh to the 'edges' buffer and return its
+        // vertex count. Unmapped colours never change, so the upload is
+        // skipped while the mesh and its topology stay the same
+        const wireframe = this.wireframe;
+        const mapped = Boolean(scalars && scalars.nodes);
+        const current = wireframe.mesh === mesh && wireframe.version === mesh.topologyVersion;
+        
+        if (!current || mapped || wireframe.mapped) {
+            wireframe.vertices = this.buildEdgeVertices(mesh, scalars, current ? wireframe.vertices : null);
+            wireframe.mesh = mesh;
+            wireframe.version = mesh.topologyVersion;
+            wireframe.mapped = mapped;
+            this.resources.upload('edges', wireframe.vertices, GPUBufferUsage.VERTEX);
+        }
+        return wireframe.vertices.length / 7;
+    }
+    
+    buildEdgeVertices(mesh, scalars, out = null) {
+        // Wireframe line list of interleaved x, y, z, r, g, b, a vertices,
+        // coloured by the node values of scalars when there are any; written
+        // to out if it has the right length
+        const edges = mesh.getEdges();
+        const nodeColors = this.mapScalarColors(scalars && scalars.nodes, mesh.nodeCount, scalars,
+            MESH_COLOR, MAPPED_MESH_ALPHA, this.scratchArray('nodeColors', mesh.nodeCount * 4));
+        
+        const vertices = out && out.length === edges.length * 7 ? out : new Float32Array(edges.length * 7);
+        const nodes = mesh.nodes;
+        for (let i = 0; i < edges.length; i++) {
+            const p = edges[i] * 3;
+            const c = edges[i] * 4;
+            const v = i * 7;
+            vertices[v] = nodes[p];
+            vertices[v + 1] = nodes[p + 1];
+            vertices[v + 2] = nodes[p + 2];
+            vertices[v + 3] = nodeColors[c];
+            vertices[v + 4] = nodeColors[c + 1];
+            vertices[v + 5] = nodeColors[c + 2];
+            vertices[v + 6] = nodeColors[c + 3];
+        }
+        return vertices;
+    }
+    
+    mapScalarColors(values, count, scalars, fallback, alpha, out = null) {
+        // RGBA per entry: values mapped through the colour map over
+        // [min, max], grey where a value is not finite, fallback everywhere
+        // without values (or with values of another length); written to out
+        // if given (count * 4 long)
+        const colors = out || new Float32Array(count * 4);
+        if (!values || values.length !== count) {
+            for (let i = 0; i < count; i++) {
+                colors.set(fallback, i * 4);
             }
+            return colors;
         }
         
-        return new Float32Array(edges);
+        const span = scalars.max - scalars.min;
+        const rgb = [0, 0, 0];
+        for (let i = 0; i < count; i++) {
+            const value = values[i];
+            if (Number.isFinite(value)) {
+                sampleColormap(scalars.colormap, span > 0 ? (value - scalars.min) / span : 0.5, rgb);
+                colors.set(rgb, i * 4);
+            } else {
+                colors.set(MISSING_COLOR, i * 4);
+            }
+            colors[i * 4 + 3] = alpha;
+        }
+        return colors;
     }
     
-    computeMVPMatrix() {
-        // Create model-view-projection matrix
-        const fov = Math.PI / 4;
-        const aspect = this.canvas.width / this.canvas.height;
-        const near = 0.1;
-        const far = 100.0;
-        
-        // Projection matrix
-        const f = 1.0 / Math.tan(fov / 2);
-        const rangeInv = 1.0 / (near - far);
-        
-        const projection = new Float32Array([
-            f / aspect, 0, 0, 0,
-            0, f, 0, 0,
-            0, 0, (near + far) * rangeInv, -1,
-            0, 0, near * far * rangeInv * 2, 0
-        ]);
-        
-        // View matrix (camera transform)
-        const rx = this.cameraRotation[0];
-        const ry = this.cameraRotation[1];
-        
-        const cosRx = Math.cos(rx);
-        const sinRx = Math.sin(rx);
-        const cosRy = Math.cos(ry);
-        const sinRy = Math.sin(ry);
-        
-        const view = new Float32Array([
-            cosRy, sinRx * sinRy, -cosRx * sinRy, 0,
-            0, cosRx, sinRx, 0,
-            sinRy, -sinRx * cosRy, cosRx * cosRy, 0,
-            0, 0, -this.cameraPosition[2], 1
-        ]);
-        
-        // Multiply projection * view
-        return this.multiplyMatrices(projection, view);
+    scratchArray(name, length) {
+        // Float32Array view of the first length entries of the scratch array
+        // called name, which doubles when it has to grow and never shrinks
+        let array = this.scratchArrays.get(name);
+        if (!array || array.length < length) {
+            array = new Float32Array(Math.max(length, array ? array.length * 2 : 0));
+            this.scratchArrays.set(name, array);
+        }
+        return array.subarray(0, length);
     }
     
     multiplyMatrices(a, b) {
+        // Column-major product b · a: the result applies a first, then b
         const result = new Float32Array(16);
         
         for (let i = 0; i < 4; i++) {
@@ -422,6 +818,10 @@ export class Renderer {
         this.showParticles = show;
     }
     
+    setShowSurface(show) {
+        this.showSurface = show;
+    }
+    
     setShowMesh(show) {
         this.showMesh = show;
     }
@@ -429,4 +829,26 @@ export class Renderer {
     setShowVelocity(show) {
         this.showVelocity = show;
     }
+    
+    setParticleMode(mode) {
+        // 'points' or 'fluid' (screen-space liquid surface)
+        if (!PARTICLE_MODES.includes(mode)) {
+            throw new Error(`Unknown particle mode: ${mode}`);
+        }
+        this.particleMode = mode;
+    }
+    
+    setParticleRadius(radius) {
+        // Particle radius in simulation units (the fluid mode's sprite size)
+        this.particleRadius = radius;
+    }
+    
+    setFluidSmoothing(iterations) {
+        this.fluidRenderer.setSmoothing(iterations);
+    }
+    
+    setVelocityGlyphs(options) {
+        // options: { sampling: 'nodes' | 'lattice', scale, density }
+        Object.assign(this.velocityGlyphs, options);
+    }
 }
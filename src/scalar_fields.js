@@ -0,0 +1,175 @@
+/**
+ * Scalar fields - Per-particle and per-node values for colour mapping
+ *
+ *   speed       |v| of each particle and mesh node
+ *   pressure    node pressure of the last solve
+ *   divergence  ∇·v, the projection's residual: P1 per tet, averaged to
+ *               nodes by volume like the pressure solve's right-hand side
+ *   vorticity   |∇ × v| per node (TetrahedralMesh.computeNodeVorticity)
+ *   age         time since each particle was seeded or emitted (particles only)
+ *   quality     tet shape quality 6√2 V / l_rms³; nodes take the worst tet
+ *               around them, particles the tet they are in
+ * Node values reach particles by barycentric interpolation in their tet.
+ */
+
+export const SCALAR_FIELDS = {
+    speed: { label: 'Speed', unit: 'm/s', colormap: 'viridis' },
+    pressure: { label: 'Pressure', unit: '', colormap: 'coolwarm', signed: true },
+    divergence: { label: 'Divergence', unit: '1/s', colormap: 'coolwarm', signed: true },
+    vorticity: { label: 'Vorticity', unit: '1/s', colormap: 'plasma' },
+    age: { label: 'Particle Age', unit: 's', colormap: 'viridis' },
+    quality: { label: 'Tet Quality', unit: '', colormap: 'viridis' }
+};
+
+export function computeScalarField(simulator, name) {
+    // { particles, nodes, min, max }: values per particle and per mesh node
+    // (nodes null for particle-only fields) and their range, symmetric about
+    // zero for signed fields. Null if the field is not available (pressure
+    // before the first solve or right after the mesh was adapted)
+    const field = SCALAR_FIELDS[name];
+    if (!field) {
+        throw new Error(`Unknown scalar field: ${name}`);
+    }
+    
+    const mesh = simulator.mesh;
+    const particles = simulator.getParticles();
+    const velocities = mesh.getNodeVelocities();
+    let nodes = null;
+    let values;
+    
+    switch (name) {
+        case 'speed': {
+            nodes = vectorMagnitudes(velocities, mesh.nodeCount);
+            values = vectorMagnitudes(particles.velocities, particles.count);
+            break;
+        }
+        case 'pressure': {
+            const pressure = simulator.getPressureField();
+            if (!pressure) return null;
+            nodes = Float32Array.from(pressure);
+            values = interpolateToParticles(mesh, particles, nodes);
+            break;
+        }
+        case 'divergence': {
+            nodes = nodeDivergence(mesh, velocities);
+            values = interpolateToParticles(mesh, particles, nodes);
+            break;
+        }
+        case 'vorticity': {
+            nodes = mesh.computeNodeVorticity(velocities);
+            values = interpolateToParticles(mesh, particles, nodes);
+            break;
+        }
+        case 'age': {
+            const time = simulator.getSimulationTime();
+            values = new Float32Array(particles.count);
+            for (let p = 0; p < particles.count; p++) {
+                values[p] = time - particles.birthTimes[p];
+            }
+            break;
+        }
+        case 'quality': {
+            const quality = mesh.computeTetQuality();
+            nodes = new Float32Array(mesh.nodeCount).fill(Infinity);
+            const tetrahedra = mesh.getTetrahedra();
+            for (let t = 0; t < mesh.tetCount; t++) {
+                for (let k = 0; k < 4; k++) {
+                    const n = tetrahedra[t * 4 + k];
+                    nodes[n] = Math.min(nodes[n], quality[t]);
+                }
+            }
+            values = new Float32Array(particles.count);
+            for (let p = 0; p < particles.count; p++) {
+                const t = locate(mesh, particles, p);
+                values[p] = t >= 0 ? quality[t] : NaN;
+            }
+            break;
+        }
+    }
+    
+    let min = Infinity;
+    let max = -Infinity;
+    for (const array of [values, nodes]) {
+        if (!array) continue;
+        for (let i = 0; i < array.length; i++) {
+            if (array[i] < min) min = array[i];
+            if (array[i] > max) max = array[i];
+        }
+    }
+    if (min > max) {
+        min = max = 0;
+    }
+    if (field.signed) {
+        max = Math.max(Math.abs(min), Math.abs(max));
+        min = -max;
+    }
+    
+    return { particles: values, nodes, min, max };
+}
+
+function vectorMagnitudes(vectors, count) {
+    const magnitudes = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        magnitudes[i] = Math.hypot(vectors[i * 3], vectors[i * 3 + 1], vectors[i * 3 + 2]);
+    }
+    return magnitudes;
+}
+
+function nodeDivergence(mesh, velocities) {
+    // Σ_t V_t (∇·v)_t / Σ_t V_t over the tets around each node
+    const { volumes, gradients } = mesh.getTetGeometry();
+    const tetrahedra = mesh.getTetrahedra();
+    const divergence = new Float32Array(mesh.nodeCount);
+    const weight = new Float64Array(mesh.nodeCount);
+    
+    for (let t = 0; t < mesh.tetCount; t++) {
+        let div = 0;
+        for (let k = 0; k < 4; k++) {
+            const v = tetrahedra[t * 4 + k] * 3;
+            const g = t * 12 + k * 3;
+            div += gradients[g] * velocities[v] + gradients[g + 1] * velocities[v + 1] + gradients[g + 2] * velocities[v + 2];
+        }
+        for (let k = 0; k < 4; k++) {
+            const n = tetrahedra[t * 4 + k];
+            divergence[n] += volumes[t] * div;
+            weight[n] += volumes[t];
+        }
+    }
+    
+    for (let n = 0; n < mesh.nodeCount; n++) {
+        if (weight[n] > 0) {
+            divergence[n] /= weight[n];
+        }
+    }
+    return divergence;
+}
+
+function interpolateToParticles(mesh, particles, nodeValues) {
+    // Barycentric interpolation of a node field at each particle (NaN for
+    // particles outside the mesh)
+    const tetrahedra = mesh.getTetrahedra();
+    const values = new Float32Array(particles.count);
+    
+    for (let p = 0; p < particles.count; p++) {
+        const t = locate(mesh, particles, p);
+        if (t < 0) {
+            values[p] = NaN;
+            continue;
+        }
+        
+        const bary = mesh.computeBarycentricCoordinates(t, particles.positions[p * 3],
+            particles.positions[p * 3 + 1], particles.positions[p * 3 + 2]);
+        let value = 0;
+        for (let k = 0; k < 4; k++) {
+            value += bary[k] * nodeValues[tetrahedra[t * 4 + k]];
+        }
+        values[p] = value;
+    }
+    return values;
+}
+
+function locate(mesh, particles, p) {
+    // Containing tet of particle p, starting from its last one
+    return mesh.findContainingTetrahedron(particles.positions[p * 3], particles.positions[p * 3 + 1],
+        particles.positions[p * 3 + 2], particles.tetIndices[p]);
+}
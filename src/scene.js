@@ -0,0 +1,369 @@
+/**
+ * Scene descriptions - Declarative JSON setup for TetFlipSimulator
+ *
+ * {
+ *   "name": "Dam Break",
+ *   "domain": { "min": [-1, -1, -1], "max": [1, 1, 1] },
+ *   "mesh": { "resolution": [8, 8, 8] },
+ *   "gravity": [0, -9.8, 0],
+ *   "timeStep": 0.016,
+ *   "particleSpacing": 0.066,
+ *   "liquids": [
+ *     { "shape": { "type": "box", "min": [-0.8, -0.8, -0.3], "max": [-0.4, 0.4, 0.3] },
+ *       "velocity": [0, 0, 0] }
+ *   ]
+ * }
+ *
+ * Liquid shapes use the SDF descriptions from sdf.js. Optional keys:
+ * viscosity, surfaceTension (coefficient σ), flipRatio, and per-liquid
+ * spacing and jitter (fraction of the spacing by which lattice samples are
+ * randomly displaced). advection picks the particle advection scheme
+ * ("euler", "rk2", "rk3" or "rk4", see advection.js; default "rk2"), and
+ * transfer the particle/mesh velocity transfer ("flip" blends FLIP and PIC
+ * by flipRatio, "apic" is affine particle-in-cell; default "flip"). seed
+ * (an integer between 0 and 2^32 - 1, default 1) drives the lattice jitter
+ * and the emitters, so a scene replays identically for the same seed.
+ *
+ * Emitters and sinks are optional as well:
+ *   "emitters": [{ "type": "disk", "position": [0, 0.8, 0], "direction": [0, -1, 0],
+ *                  "radius": 0.1, "rate": 500, "speed": 2, "start": 0, "stop": 3 }],
+ *   "sinks": [{ "shape": { "type": "box", "min": [0.8, -1, -1], "max": [1, -0.8, 1] } }]
+ *
+ * Static solid obstacles take any shape (including triangle meshes) and an
+ * optional restitution overriding the scene-wide one used for domain walls:
+ *   "restitution": 0.3,
+ *   "obstacles": [{ "shape": { "type": "sphere", "center": [0, -0.5, 0], "radius": 0.3 } }]
+ */
+
+import { createShape, validateShape } from './sdf.js';
+import { ADVECTION_SCHEMES } from './advection.js';
+import { DEFAULT_SEED, isValidSeed } from './random.js';
+
+// Refuse scenes whose liquid volumes cover more lattice samples than this
+export const MAX_SCENE_SAMPLES = 200000;
+
+// Particle/mesh velocity transfers, see TetFlipSimulator.particlesToMesh
+export const TRANSFER_MODES = ['flip', 'apic'];
+
+const MAX_MESH_RESOLUTION = 64;
+
+const SCENE_KEYS = [
+    'name', 'domain', 'mesh', 'gravity', 'timeStep', 'viscosity', 'surfaceTension', 'flipRatio',
+    'particleSpacing', 'liquids', 'emitters', 'sinks', 'obstacles', 'restitution', 'advection',
+    'transfer', 'seed'
+];
+const LIQUID_KEYS = ['shape', 'velocity', 'spacing', 'jitter'];
+const EMITTER_KEYS = ['type', 'position', 'direction', 'radius', 'rate', 'speed', 'start', 'stop'];
+const SINK_KEYS = ['shape'];
+const OBSTACLE_KEYS = ['shape', 'restitution'];
+
+export const DEFAULT_SCENE = {
+    name: 'Dam Break',
+    domain: { min: [-1, -1, -1], max: [1, 1, 1] },
+    mesh: { resolution: [8, 8, 8] },
+    gravity: [0, -9.8, 0],
+    timeStep: 0.016,
+    restitution: 0.3,
+    advection: 'rk2',
+    transfer: 'flip',
+    seed: DEFAULT_SEED,
+    particleSpacing: 0.066,
+    liquids: [
+        {
+            // Column of water on the left side of the domain
+            shape: { type: 'box', min: [-0.8, -0.8, -0.3], max: [-0.4, 0.4, 0.3] },
+            velocity: [0, 0, 0]
+        }
+    ]
+};
+
+export class SceneValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid scene:\n  ${errors.join('\n  ')}`);
+        this.name = 'SceneValidationError';
+        this.errors = errors;
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVec3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isNumber);
+}
+
+function checkUnknownKeys(object, allowed, path, errors) {
+    for (const key of Object.keys(object)) {
+        if (!allowed.includes(key)) {
+            errors.push(`${path}${key}: unknown property (expected one of ${allowed.join(', ')})`);
+        }
+    }
+}
+
+function samplingLattice(shape, spacing, domain) {
+    // Lattice covering the part of the shape's bounds inside the domain
+    const lo = [0, 1, 2].map((a) => Math.max(shape.bounds.min[a], domain.min[a]));
+    const hi = [0, 1, 2].map((a) => Math.min(shape.bounds.max[a], domain.max[a]));
+    const counts = [0, 1, 2].map((a) => Math.max(0, Math.ceil((hi[a] - lo[a]) / spacing)));
+    return { lo, counts };
+}
+
+function validateEmitter(emitter, path, errors) {
+    if (!emitter || typeof emitter !== 'object' || Array.isArray(emitter)) {
+        errors.push(`${path}: expected an emitter object`);
+        return;
+    }
+    checkUnknownKeys(emitter, EMITTER_KEYS, `${path}.`, errors);
+    
+    if (emitter.type !== 'point' && emitter.type !== 'disk') {
+        errors.push(`${path}.type: expected "point" or "disk" (got ${JSON.stringify(emitter.type)})`);
+    }
+    if (!isVec3(emitter.position)) {
+        errors.push(`${path}.position: expected an array of 3 numbers`);
+    }
+    if (!isVec3(emitter.direction) || emitter.direction.every((v) => v === 0)) {
+        errors.push(`${path}.direction: expected a non-zero array of 3 numbers`);
+    }
+    if (emitter.type === 'disk' && (!isNumber(emitter.radius) || emitter.radius <= 0)) {
+        errors.push(`${path}.radius: expected a positive number`);
+    }
+    if (!isNumber(emitter.rate) || emitter.rate <= 0) {
+        errors.push(`${path}.rate: expected a positive number of particles per second`);
+    }
+    if (!isNumber(emitter.speed) || emitter.speed < 0) {
+        errors.push(`${path}.speed: expected a non-negative number`);
+    }
+    if (emitter.start !== undefined && (!isNumber(emitter.start) || emitter.start < 0)) {
+        errors.push(`${path}.start: expected a non-negative time`);
+    }
+    if (emitter.stop !== undefined && (!isNumber(emitter.stop) || emitter.stop <= (emitter.start || 0))) {
+        errors.push(`${path}.stop: expected a time after start`);
+    }
+}
+
+export function validateScene(scene) {
+    // Check a scene description and return a normalized copy with defaults
+    // filled in. Throws SceneValidationError listing every problem found
+    const errors = [];
+    
+    if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+        throw new SceneValidationError(['scene: expected a JSON object']);
+    }
+    checkUnknownKeys(scene, SCENE_KEYS, '', errors);
+    
+    // Everything except the liquid volumes falls back to the default scene
+    const result = JSON.parse(JSON.stringify({
+        ...DEFAULT_SCENE,
+        name: 'Untitled Scene',
+        liquids: undefined,
+        emitters: [],
+        sinks: [],
+        obstacles: [],
+        ...scene
+    }));
+    
+    if (typeof result.name !== 'string') {
+        errors.push('name: expected a string');
+    }
+    
+    // Domain bounds
+    if (!result.domain || typeof result.domain !== 'object') {
+        errors.push('domain: expected an object with "min" and "max"');
+    } else if (!isVec3(result.domain.min) || !isVec3(result.domain.max)) {
+        if (!isVec3(result.domain.min)) errors.push('domain.min: expected an array of 3 numbers');
+        if (!isVec3(result.domain.max)) errors.push('domain.max: expected an array of 3 numbers');
+    } else {
+        for (let a = 0; a < 3; a++) {
+            if (result.domain.min[a] >= result.domain.max[a]) {
+                errors.push(`domain: min[${a}] must be less than max[${a}]`);
+            }
+        }
+    }
+    
+    // Mesh resolution (cubes per axis); a single integer applies to all axes
+    const resolution = result.mesh && result.mesh.resolution;
+    if (Number.isInteger(resolution)) {
+        result.mesh.resolution = [resolution, resolution, resolution];
+    }
+    if (!result.mesh || !Array.isArray(result.mesh.resolution) || result.mesh.resolution.length !== 3 ||
+        !result.mesh.resolution.every((n) => Number.isInteger(n) && n >= 1 && n <= MAX_MESH_RESOLUTION)) {
+        errors.push(`mesh.resolution: expected an integer or 3 integers between 1 and ${MAX_MESH_RESOLUTION}`);
+    }
+    
+    if (!isVec3(result.gravity)) {
+        errors.push('gravity: expected an array of 3 numbers');
+    }
+    if (!isNumber(result.timeStep) || result.timeStep <= 0 || result.timeStep > 1) {
+        errors.push('timeStep: expected a number in (0, 1]');
+    }
+    if (result.viscosity !== undefined && (!isNumber(result.viscosity) || result.viscosity < 0)) {
+        errors.push('viscosity: expected a non-negative number');
+    }
+    if (result.surfaceTension !== undefined && (!isNumber(result.surfaceTension) || result.surfaceTension < 0)) {
+        errors.push('surfaceTension: expected a non-negative number');
+    }
+    if (result.flipRatio !== undefined && (!isNumber(result.flipRatio) || result.flipRatio < 0 || result.flipRatio > 1)) {
+        errors.push('flipRatio: expected a number between 0 and 1');
+    }
+    if (!isNumber(result.restitution) || result.restitution < 0 || result.restitution > 1) {
+        errors.push('restitution: expected a number between 0 and 1');
+    }
+    if (!ADVECTION_SCHEMES.includes(result.advection)) {
+        errors.push(`advection: expected one of ${ADVECTION_SCHEMES.map((s) => `"${s}"`).join(', ')}`);
+    }
+    if (!TRANSFER_MODES.includes(result.transfer)) {
+        errors.push(`transfer: expected one of ${TRANSFER_MODES.map((s) => `"${s}"`).join(', ')}`);
+    }
+    if (!isValidSeed(result.seed)) {
+        errors.push('seed: expected an integer between 0 and 4294967295');
+    }
+    if (!isNumber(result.particleSpacing) || result.particleSpacing <= 0) {
+        errors.push('particleSpacing: expected a positive number');
+    }
+    
+    // Liquid volumes
+    if (!Array.isArray(result.liquids)) {
+        errors.push('liquids: expected an array of liquid volumes');
+    } else {
+        result.liquids.forEach((liquid, i) => {
+            const path = `liquids[${i}]`;
+            if (!liquid || typeof liquid !== 'object' || Array.isArray(liquid)) {
+                errors.push(`${path}: expected an object with a "shape"`);
+                return;
+            }
+            checkUnknownKeys(liquid, LIQUID_KEYS, `${path}.`, errors);
+            validateShape(liquid.shape, `${path}.shape`, errors);
+            
+            if (liquid.velocity === undefined) {
+                liquid.velocity = [0, 0, 0];
+            } else if (!isVec3(liquid.velocity)) {
+                errors.push(`${path}.velocity: expected an array of 3 numbers`);
+            }
+            if (liquid.spacing !== undefined && (!isNumber(liquid.spacing) || liquid.spacing <= 0)) {
+                errors.push(`${path}.spacing: expected a positive number`);
+            }
+            if (liquid.jitter === undefined) {
+                liquid.jitter = 0.5;
+            } else if (!isNumber(liquid.jitter) || liquid.jitter < 0 || liquid.jitter > 1) {
+                errors.push(`${path}.jitter: expected a number between 0 and 1`);
+            }
+        });
+    }
+    
+    // Emitters and sinks
+    if (!Array.isArray(result.emitters)) {
+        errors.push('emitters: expected an array of emitters');
+    } else {
+        result.emitters.forEach((emitter, i) => validateEmitter(emitter, `emitters[${i}]`, errors));
+    }
+    if (!Array.isArray(result.sinks)) {
+        errors.push('sinks: expected an array of sinks');
+    } else {
+        result.sinks.forEach((sink, i) => {
+            const path = `sinks[${i}]`;
+            if (!sink || typeof sink !== 'object' || Array.isArray(sink)) {
+                errors.push(`${path}: expected an object with a "shape"`);
+                return;
+            }
+            checkUnknownKeys(sink, SINK_KEYS, `${path}.`, errors);
+            validateShape(sink.shape, `${path}.shape`, errors);
+        });
+    }
+    
+    // Obstacles
+    if (!Array.isArray(result.obstacles)) {
+        errors.push('obstacles: expected an array of obstacles');
+    } else {
+        result.obstacles.forEach((obstacle, i) => {
+            const path = `obstacles[${i}]`;
+            if (!obstacle || typeof obstacle !== 'object' || Array.isArray(obstacle)) {
+                errors.push(`${path}: expected an object with a "shape"`);
+                return;
+            }
+            checkUnknownKeys(obstacle, OBSTACLE_KEYS, `${path}.`, errors);
+            validateShape(obstacle.shape, `${path}.shape`, errors);
+            if (obstacle.restitution !== undefined &&
+                (!isNumber(obstacle.restitution) || obstacle.restitution < 0 || obstacle.restitution > 1)) {
+                errors.push(`${path}.restitution: expected a number between 0 and 1`);
+            }
+        });
+    }
+    
+    if (errors.length > 0) {
+        throw new SceneValidationError(errors);
+    }
+    
+    // Bound the seeding cost by the number of lattice samples
+    const samples = countLatticeSamples(result);
+    if (samples > MAX_SCENE_SAMPLES) {
+        throw new SceneValidationError([
+            `liquids: volumes sample ${samples} lattice points (limit ${MAX_SCENE_SAMPLES}); increase the particle spacing`
+        ]);
+    }
+    
+    return result;
+}
+
+export function countLatticeSamples(scene, spacingScale = 1) {
+    // Number of lattice points seedScene() evaluates for a validated scene
+    let samples = 0;
+    for (const liquid of scene.liquids) {
+        const spacing = (liquid.spacing || scene.particleSpacing) * spacingScale;
+        const { counts } = samplingLattice(createShape(liquid.shape), spacing, scene.domain);
+        samples += counts[0] * counts[1] * counts[2];
+    }
+    return samples;
+}
+
+export function seedScene(scene, random = Math.random, spacingScale = 1, contains = null) {
+    // Fill the liquid volumes of a validated scene with particles on a
+    // (jittered) lattice at the requested spacing (times spacingScale).
+    // Samples already covered by an earlier volume are skipped so overlapping
+    // volumes keep one density. contains(x, y, z), if given, further limits
+    // the samples to a domain that is not a box (e.g. an imported mesh)
+    const { min: domainMin, max: domainMax } = scene.domain;
+    const positions = [];
+    const velocities = [];
+    const shapes = [];
+    
+    for (const liquid of scene.liquids) {
+        const shape = createShape(liquid.shape);
+        const spacing = (liquid.spacing || scene.particleSpacing) * spacingScale;
+        const jitter = liquid.jitter * spacing;
+        const { lo, counts } = samplingLattice(shape, spacing, scene.domain);
+        
+        for (let k = 0; k < counts[2]; k++) {
+            for (let j = 0; j < counts[1]; j++) {
+                for (let l = 0; l < counts[0]; l++) {
+                    const x = lo[0] + (l + 0.5) * spacing + (random() - 0.5) * jitter;
+                    const y = lo[1] + (j + 0.5) * spacing + (random() - 0.5) * jitter;
+                    const z = lo[2] + (k + 0.5) * spacing + (random() - 0.5) * jitter;
+                    
+                    if (x < domainMin[0] || x > domainMax[0] ||
+                        y < domainMin[1] || y > domainMax[1] ||
+                        z < domainMin[2] || z > domainMax[2]) {
+                        continue;
+                    }
+                    if (shape.distance(x, y, z) > 0 || shapes.some((s) => s.distance(x, y, z) <= 0)) {
+                        continue;
+                    }
+                    if (contains && !contains(x, y, z)) {
+                        continue;
+                    }
+                    
+                    positions.push(x, y, z);
+                    velocities.push(...liquid.velocity);
+                }
+            }
+        }
+        
+        shapes.push(shape);
+    }
+    
+    return {
+        positions: new Float32Array(positions),
+        velocities: new Float32Array(velocities),
+        count: positions.length / 3
+    };
+}
@@ -0,0 +1,538 @@
+/**
+ * Screen-space fluid rendering (van der Laan et al. 2009, with the
+ * narrow-range depth filter of Truong and Yuksel 2018)
+ *
+ *   1. depth      particles drawn as sphere sprites, keeping the nearest
+ *                 view-space depth per pixel
+ *   2. thickness  chord lengths of the same sprites summed additively,
+ *                 for particles in front of the scene
+ *   3. smoothing  separable bilateral filter of the depth, iterated: samples
+ *                 far behind the pixel belong to another layer and are
+ *                 dropped, samples in front are clamped (narrow range)
+ *   4. composite  normals from depth differences; the scene behind is
+ *                 refracted and absorbed through the thickness and mixed
+ *                 with a sky reflection by Fresnel, writing depth so later
+ *                 passes are occluded correctly
+ * The caller renders the opaque scene first; render() copies it as the
+ * background and composite() draws the liquid in the caller's next pass.
+ */
+
+// Uniforms shared by all passes: model-view and projection matrices,
+// viewport size in pixels, view-space particle radius (144 bytes)
+const UNIFORM_BYTES = 144;
+const UNIFORMS_WGSL = `
+    struct Uniforms {
+        modelView: mat4x4<f32>,
+        projection: mat4x4<f32>,
+        viewport: vec2<f32>,
+        radius: f32,
+    }
+    
+    @group(0) @binding(0) var<uniform> uniforms: Uniforms;
+`;
+
+// Full-screen triangle for the filter and composite passes
+const FULLSCREEN_WGSL = `
+    @vertex
+    fn fullscreenVertex(@builtin(vertex_index) vertex: u32) -> @builtin(position) vec4<f32> {
+        let uv = vec2<f32>(f32((vertex << 1u) & 2u), f32(vertex & 2u));
+        return vec4<f32>(uv * 2.0 - 1.0, 0.0, 1.0);
+    }
+`;
+
+const SPRITE_SHADER = UNIFORMS_WGSL + `
+    struct SpriteOutput {
+        @builtin(position) position: vec4<f32>,
+        @location(0) uv: vec2<f32>,
+        @location(1) center: vec3<f32>,
+    }
+    
+    struct DepthOutput {
+        @location(0) depth: f32,
+        @builtin(frag_depth) fragDepth: f32,
+    }
+    
+    @vertex
+    fn spriteVertex(@builtin(vertex_index) vertex: u32, @location(0) position: vec3<f32>) -> SpriteOutput {
+        // Camera-facing quad around the particle, two triangles
+        var corners = array<vec2<f32>, 6>(
+            vec2<f32>(-1.0, -1.0), vec2<f32>(1.0, -1.0), vec2<f32>(-1.0, 1.0),
+            vec2<f32>(-1.0, 1.0), vec2<f32>(1.0, -1.0), vec2<f32>(1.0, 1.0)
+        );
+        let corner = corners[vertex];
+        let center = (uniforms.modelView * vec4<f32>(position, 1.0)).xyz;
+        
+        var output: SpriteOutput;
+        output.position = uniforms.projection * vec4<f32>(center + vec3<f32>(corner * uniforms.radius, 0.0), 1.0);
+        output.uv = corner;
+        output.center = center;
+        return output;
+    }
+    
+    @fragment
+    fn depthMain(input: SpriteOutput) -> DepthOutput {
+        let r2 = dot(input.uv, input.uv);
+        if (r2 > 1.0) {
+            discard;
+        }
+        
+        // Front of the sphere (the camera looks down -z)
+        let surface = input.center + vec3<f32>(input.uv, sqrt(1.0 - r2)) * uniforms.radius;
+        let clip = uniforms.projection * vec4<f32>(surface, 1.0);
+        
+        var output: DepthOutput;
+        output.depth = -surface.z;
+        output.fragDepth = clip.z / clip.w;
+        return output;
+    }
+    
+    @fragment
+    fn thicknessMain(input: SpriteOutput) -> @location(0) f32 {
+        let r2 = dot(input.uv, input.uv);
+        if (r2 > 1.0) {
+            discard;
+        }
+        return 2.0 * sqrt(1.0 - r2) * uniforms.radius;
+    }
+`;
+
+const FILTER_SHADER = UNIFORMS_WGSL + FULLSCREEN_WGSL + `
+    struct Direction {
+        step: vec2<i32>,
+    }
+    
+    @group(0) @binding(1) var<uniform> direction: Direction;
+    @group(0) @binding(2) var source: texture_2d<f32>;
+    
+    // Kernel radius cap in pixels
+    const MAX_RADIUS = 12.0;
+    
+    @fragment
+    fn filterMain(@builtin(position) coord: vec4<f32>) -> @location(0) f32 {
+        let pixel = vec2<i32>(coord.xy);
+        let size = vec2<i32>(textureDimensions(source));
+        let depth = textureLoad(source, pixel, 0).r;
+        if (depth <= 0.0) {
+            return 0.0;
+        }
+        
+        // About one projected particle across, with depth differences
+        // measured in particle diameters
+        let projected = uniforms.radius * uniforms.projection[1][1] * 0.5 * uniforms.viewport.y / depth;
+        let radius = i32(min(projected, MAX_RADIUS));
+        let sigma = max(f32(radius) * 0.5, 1.0);
+        let threshold = 2.0 * uniforms.radius;
+        
+        var sum = 0.0;
+        var weightSum = 0.0;
+        for (var i = -radius; i <= radius; i++) {
+            let p = clamp(pixel + i * direction.step, vec2<i32>(0), size - 1);
+            var value = textureLoad(source, p, 0).r;
+            if (value <= 0.0 || value > depth + threshold) {
+                continue;
+            }
+            value = max(value, depth - threshold);
+            
+            let dz = (value - depth) / threshold;
+            let weight = exp(-f32(i * i) / (2.0 * sigma * sigma)) * exp(-dz * dz);
+            sum += weight * value;
+            weightSum += weight;
+        }
+        return sum / weightSum;
+    }
+`;
+
+const COMPOSITE_SHADER = UNIFORMS_WGSL + FULLSCREEN_WGSL + `
+    @group(0) @binding(1) var depthTexture: texture_2d<f32>;
+    @group(0) @binding(2) var thicknessTexture: texture_2d<f32>;
+    @group(0) @binding(3) var backgroundTexture: texture_2d<f32>;
+    
+    const FLUID_COLOR = vec3<f32>(0.15, 0.45, 0.85);
+    const ABSORPTION = vec3<f32>(1.6, 0.7, 0.3);    // per unit of thickness
+    const REFRACTION = 0.05;                        // viewport heights per unit of thickness
+    const F0 = 0.02;                                // water's reflectance head-on
+    const SKY = vec3<f32>(0.6, 0.7, 0.8);
+    const HORIZON = vec3<f32>(0.1, 0.1, 0.15);
+    const LIGHT = vec3<f32>(0.37, 0.74, 0.56);
+    
+    struct CompositeOutput {
+        @location(0) color: vec4<f32>,
+        @builtin(frag_depth) fragDepth: f32,
+    }
+    
+    fn viewPosition(pixel: vec2<i32>, depth: f32) -> vec3<f32> {
+        // Point at view depth through the pixel's center
+        let ndc = vec2<f32>(
+            (f32(pixel.x) + 0.5) / uniforms.viewport.x * 2.0 - 1.0,
+            1.0 - (f32(pixel.y) + 0.5) / uniforms.viewport.y * 2.0
+        );
+        return vec3<f32>(ndc.x / uniforms.projection[0][0] * depth, ndc.y / uniforms.projection[1][1] * depth, -depth);
+    }
+    
+    fn neighbourPosition(pixel: vec2<i32>, fallback: f32) -> vec3<f32> {
+        // View position at pixel, flat at fallback depth off the liquid
+        let size = vec2<i32>(textureDimensions(depthTexture));
+        let depth = textureLoad(depthTexture, clamp(pixel, vec2<i32>(0), size - 1), 0).r;
+        return viewPosition(pixel, select(fallback, depth, depth > 0.0));
+    }
+    
+    @fragment
+    fn compositeMain(@builtin(position) coord: vec4<f32>) -> CompositeOutput {
+        let pixel = vec2<i32>(coord.xy);
+        let depth = textureLoad(depthTexture, pixel, 0).r;
+        if (depth <= 0.0) {
+            discard;
+        }
+        
+        // Normal from the smaller one-sided differences, which keeps
+        // silhouettes from bending the surface
+        let center = viewPosition(pixel, depth);
+        var ddx = neighbourPosition(pixel + vec2<i32>(1, 0), depth) - center;
+        let ddx2 = center - neighbourPosition(pixel - vec2<i32>(1, 0), depth);
+        if (abs(ddx2.z) < abs(ddx.z)) {
+            ddx = ddx2;
+        }
+        var ddy = neighbourPosition(pixel + vec2<i32>(0, 1), depth) - center;
+        let ddy2 = center - neighbourPosition(pixel - vec2<i32>(0, 1), depth);
+        if (abs(ddy2.z) < abs(ddy.z)) {
+            ddy = ddy2;
+        }
+        let normal = normalize(cross(ddy, ddx));
+        let toEye = normalize(-center);
+        
+        // Background seen through the liquid: displaced along the normal,
+        // absorbed per channel and filled with scattered liquid colour
+        let thickness = textureLoad(thicknessTexture, pixel, 0).r;
+        let size = vec2<i32>(textureDimensions(backgroundTexture));
+        let offset = vec2<i32>(normal.xy * vec2<f32>(1.0, -1.0) * min(thickness, 1.0) * REFRACTION * uniforms.viewport.y);
+        let background = textureLoad(backgroundTexture, clamp(pixel + offset, vec2<i32>(0), size - 1), 0).rgb;
+        let transmission = exp(-ABSORPTION * thickness);
+        let diffuse = max(dot(normal, LIGHT), 0.0);
+        let refracted = mix(FLUID_COLOR * (0.35 + 0.65 * diffuse), background, transmission);
+        
+        // Sky reflection weighted by Schlick's Fresnel, plus a highlight
+        let fresnel = F0 + (1.0 - F0) * pow(1.0 - max(dot(normal, toEye), 0.0), 5.0);
+        let reflected = reflect(-toEye, normal);
+        let sky = mix(HORIZON, SKY, clamp(reflected.y * 0.5 + 0.5, 0.0, 1.0));
+        let specular = pow(max(dot(normal, normalize(LIGHT + toEye)), 0.0), 64.0);
+        
+        let clip = uniforms.projection * vec4<f32>(center, 1.0);
+        var output: CompositeOutput;
+        output.color = vec4<f32>(mix(refracted, sky, fresnel) + vec3<f32>(specular), 1.0);
+        output.fragDepth = clip.z / clip.w;
+        return output;
+    }
+`;
+
+export class ScreenSpaceFluid {
+    constructor(device, format) {
+        this.device = device;
+        this.format = format;
+        
+        // Bilateral filter iterations (horizontal + vertical each)
+        this.smoothing = 2;
+        
+        this.uniformBuffer = null;
+        this.directionBuffers = null;
+        this.width = 0;
+        this.height = 0;
+        this.textures = null;
+        this.bindGroups = null;
+    }
+    
+    async initialize() {
+        const device = this.device;
+        
+        this.uniformBuffer = device.createBuffer({
+            size: UNIFORM_BYTES,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.directionBuffers = [[1, 0], [0, 1]].map((step) => {
+            const buffer = device.createBuffer({
+                size: 8,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            });
+            device.queue.writeBuffer(buffer, 0, new Int32Array(step));
+            return buffer;
+        });
+        
+        // Explicit layouts: r32float depth only binds as unfilterable
+        const uniformEntry = {
+            binding: 0,
+            visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+            buffer: { type: 'uniform' }
+        };
+        const textureEntry = (binding) => ({
+            binding,
+            visibility: GPUShaderStage.FRAGMENT,
+            texture: { sampleType: 'unfilterable-float' }
+        });
+        this.spriteLayout = device.createBindGroupLayout({ entries: [uniformEntry] });
+        this.filterLayout = device.createBindGroupLayout({
+            entries: [uniformEntry, {
+                binding: 1,
+                visibility: GPUShaderStage.FRAGMENT,
+                buffer: { type: 'uniform' }
+            }, textureEntry(2)]
+        });
+        this.compositeLayout = device.createBindGroupLayout({
+            entries: [uniformEntry, textureEntry(1), textureEntry(2), textureEntry(3)]
+        });
+        
+        const spriteModule = device.createShaderModule({ code: SPRITE_SHADER });
+        const filterModule = device.createShaderModule({ code: FILTER_SHADER });
+        const compositeModule = device.createShaderModule({ code: COMPOSITE_SHADER });
+        
+        const spriteVertex = {
+            module: spriteModule,
+            entryPoint: 'spriteVertex',
+            buffers: [{
+                arrayStride: 12,
+                stepMode: 'instance',
+                attributes: [{
+                    shaderLocation: 0,
+                    offset: 0,
+                    format: 'float32x3'
+                }]
+            }]
+        };
+        
+        // Nearest sphere depth per pixel
+        this.depthPipeline = await device.createRenderPipelineAsync({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [this.spriteLayout] }),
+            vertex: spriteVertex,
+            fragment: {
+                module: spriteModule,
+                entryPoint: 'depthMain',
+                targets: [{ format: 'r32float' }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+        
+        // Summed chord lengths, tested against the scene's depth
+        this.thicknessPipeline = await device.createRenderPipelineAsync({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [this.spriteLayout] }),
+            vertex: spriteVertex,
+            fragment: {
+                module: spriteModule,
+                entryPoint: 'thicknessMain',
+                targets: [{
+                    format: 'r16float',
+                    blend: {
+                        color: { srcFactor: 'one', dstFactor: 'one', operation: 'add' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one', operation: 'add' }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            depthStencil: {
+                depthWriteEnabled: false,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+        
+        this.filterPipeline = await device.createRenderPipelineAsync({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [this.filterLayout] }),
+            vertex: {
+                module: filterModule,
+                entryPoint: 'fullscreenVertex'
+            },
+            fragment: {
+                module: filterModule,
+                entryPoint: 'filterMain',
+                targets: [{ format: 'r32float' }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+        
+        this.compositePipeline = await device.createRenderPipelineAsync({
+            layout: device.createPipelineLayout({ bindGroupLayouts: [this.compositeLayout] }),
+            vertex: {
+                module: compositeModule,
+                entryPoint: 'fullscreenVertex'
+            },
+            fragment: {
+                module: compositeModule,
+                entryPoint: 'compositeMain',
+                targets: [{ format: this.format }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth24plus'
+            }
+        });
+    }
+    
+    resize(width, height) {
+        // (Re)create the screen-sized textures and the bind groups using them
+        if (this.textures) {
+            for (const texture of Object.values(this.textures)) {
+                texture.destroy();
+            }
+        }
+        this.width = width;
+        this.height = height;
+        
+        const target = (format) => this.device.createTexture({
+            size: [width, height],
+            format,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+        });
+        this.textures = {
+            depth: target('r32float'),
+            smoothA: target('r32float'),
+            smoothB: target('r32float'),
+            thickness: target('r16float'),
+            spriteDepth: this.device.createTexture({
+                size: [width, height],
+                format: 'depth24plus',
+                usage: GPUTextureUsage.RENDER_ATTACHMENT
+            }),
+            background: this.device.createTexture({
+                size: [width, height],
+                format: this.format,
+                usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.TEXTURE_BINDING
+            })
+        };
+        
+        const filterGroup = (direction, source) => this.device.createBindGroup({
+            layout: this.filterLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.uniformBuffer } },
+                { binding: 1, resource: { buffer: this.directionBuffers[direction] } },
+                { binding: 2, resource: this.textures[source].createView() }
+            ]
+        });
+        const compositeGroup = (depth) => this.device.createBindGroup({
+            layout: this.compositeLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.uniformBuffer } },
+                { binding: 1, resource: this.textures[depth].createView() },
+                { binding: 2, resource: this.textures.thickness.createView() },
+                { binding: 3, resource: this.textures.background.createView() }
+            ]
+        });
+        
+        this.bindGroups = {
+            sprite: this.device.createBindGroup({
+                layout: this.spriteLayout,
+                entries: [{ binding: 0, resource: { buffer: this.uniformBuffer } }]
+            }),
+            // Ping-pong: depth → A → B, then B → A → B for further iterations
+            filterFirst: filterGroup(0, 'depth'),
+            filterNext: filterGroup(0, 'smoothB'),
+            filterVertical: filterGroup(1, 'smoothA'),
+            compositeRaw: compositeGroup('depth'),
+            compositeSmooth: compositeGroup('smoothB')
+        };
+    }
+    
+    render(commandEncoder, { positions, count, colorTexture, depthTexture, modelView, projection, radius }) {
+        // Depth, thickness and smoothing passes for count particles (vertex
+        // buffer positions); colorTexture and depthTexture hold the scene
+        // drawn so far, copied as the background
+        if (colorTexture.width !== this.width || colorTexture.height !== this.height) {
+            this.resize(colorTexture.width, colorTexture.height);
+        }
+        
+        const uniforms = new Float32Array(UNIFORM_BYTES / 4);
+        uniforms.set(modelView, 0);
+        uniforms.set(projection, 16);
+        uniforms[32] = this.width;
+        uniforms[33] = this.height;
+        uniforms[34] = radius;
+        this.device.queue.writeBuffer(this.uniformBuffer, 0, uniforms);
+        
+        commandEncoder.copyTextureToTexture(
+            { texture: colorTexture },
+            { texture: this.textures.background },
+            [this.width, this.height]
+        );
+        
+        const depthPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.textures.depth.createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                loadOp: 'clear',
+                storeOp: 'store'
+            }],
+            depthStencilAttachment: {
+                view: this.textures.spriteDepth.createView(),
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'discard'
+            }
+        });
+        depthPass.setPipeline(this.depthPipeline);
+        depthPass.setBindGroup(0, this.bindGroups.sprite);
+        depthPass.setVertexBuffer(0, positions);
+        depthPass.draw(6, count, 0, 0);
+        depthPass.end();
+        
+        const thicknessPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.textures.thickness.createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                loadOp: 'clear',
+                storeOp: 'store'
+            }],
+            depthStencilAttachment: {
+                view: depthTexture.createView(),
+                depthReadOnly: true
+            }
+        });
+        thicknessPass.setPipeline(this.thicknessPipeline);
+        thicknessPass.setBindGroup(0, this.bindGroups.sprite);
+        thicknessPass.setVertexBuffer(0, positions);
+        thicknessPass.draw(6, count, 0, 0);
+        thicknessPass.end();
+        
+        for (let i = 0; i < this.smoothing; i++) {
+            this.filterPass(commandEncoder, i === 0 ? this.bindGroups.filterFirst : this.bindGroups.filterNext, 'smoothA');
+            this.filterPass(commandEncoder, this.bindGroups.filterVertical, 'smoothB');
+        }
+    }
+    
+    filterPass(commandEncoder, bindGroup, target) {
+        const pass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.textures[target].createView(),
+                clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                loadOp: 'clear',
+                storeOp: 'store'
+            }]
+        });
+        pass.setPipeline(this.filterPipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.draw(3, 1, 0, 0);
+        pass.end();
+    }
+    
+    composite(passEncoder) {
+        // Shade the liquid into passEncoder, a pass over the scene's colour
+        // and depth that follows render()
+        passEncoder.setPipeline(this.compositePipeline);
+        passEncoder.setBindGroup(0, this.smoothing > 0 ? this.bindGroups.compositeSmooth : this.bindGroups.compositeRaw);
+        passEncoder.draw(3, 1, 0, 0);
+    }
+    
+    setSmoothing(iterations) {
+        this.smoothing = Math.max(0, Math.round(iterations));
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Signed distance field primitives and CSG combinations
+ * Shapes are described by plain JSON objects ({ type: 'box', ... }) so they can
+ * be used in scene files; createShape() turns a description into
+ * { distance(x, y, z), bounds: { min, max } }
+ */
+
+import { TriangleMeshSDF } from './mesh_sdf.js';
+
+const AXES = { x: 0, y: 1, z: 2 };
+
+export const SHAPE_TYPES = [
+    'box', 'sphere', 'cylinder', 'capsule', 'plane', 'mesh', 'union', 'intersection', 'difference'
+];
+
+function isVec3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every((v) => typeof v === 'number' && Number.isFinite(v));
+}
+
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+export function validateShape(shape, path, errors) {
+    // Append "path: message" strings to errors for every problem found
+    if (!shape || typeof shape !== 'object' || Array.isArray(shape)) {
+        errors.push(`${path}: expected a shape object`);
+        return;
+    }
+    if (!SHAPE_TYPES.includes(shape.type)) {
+        errors.push(`${path}.type: expected one of ${SHAPE_TYPES.join(', ')} (got ${JSON.stringify(shape.type)})`);
+        return;
+    }
+    
+    const requireVec3 = (key) => {
+        if (!isVec3(shape[key])) {
+            errors.push(`${path}.${key}: expected an array of 3 numbers`);
+            return false;
+        }
+        return true;
+    };
+    const requirePositive = (key) => {
+        if (!isPositive(shape[key])) {
+            errors.push(`${path}.${key}: expected a positive number`);
+        }
+    };
+    const optionalAxis = () => {
+        if (shape.axis !== undefined && !(shape.axis in AXES)) {
+            errors.push(`${path}.axis: expected "x", "y" or "z"`);
+        }
+    };
+    
+    switch (shape.type) {
+        case 'box':
+            if (shape.center !== undefined || shape.size !== undefined) {
+                requireVec3('center');
+                if (requireVec3('size') && shape.size.some((s) => s <= 0)) {
+                    errors.push(`${path}.size: all components must be positive`);
+                }
+            } else if (requireVec3('min') & requireVec3('max')) {
+                for (let a = 0; a < 3; a++) {
+                    if (shape.min[a] >= shape.max[a]) {
+                        errors.push(`${path}: min[${a}] must be less than max[${a}]`);
+                    }
+                }
+            }
+            break;
+        case 'sphere':
+            requireVec3('center');
+            requirePositive('radius');
+            break;
+        case 'cylinder':
+            requireVec3('center');
+            requirePositive('radius');
+            requirePositive('height');
+            optionalAxis();
+            break;
+        case 'capsule':
+            requireVec3('a');
+            requireVec3('b');
+            requirePositive('radius');
+            break;
+        case 'plane':
+            // Half-space { x : dot(normal, x) <= offset }
+            if (requireVec3('normal') && shape.normal.every((v) => v === 0)) {
+                errors.push(`${path}.normal: must not be zero`);
+            }
+            if (typeof shape.offset !== 'number' || !Number.isFinite(shape.offset)) {
+                errors.push(`${path}.offset: expected a number`);
+            }
+            break;
+        case 'mesh': {
+            // Closed triangle mesh: vertices [[x, y, z], ...], triangles [[i, j, k], ...]
+            const vertexCount = Array.isArray(shape.vertices) ? shape.vertices.length : 0;
+            if (vertexCount < 4 || !shape.vertices.every(isVec3)) {
+                errors.push(`${path}.vertices: expected an array of at least 4 [x, y, z] points`);
+            }
+            if (!Array.isArray(shape.triangles) || shape.triangles.length < 4 ||
+                !shape.triangles.every((t) => Array.isArray(t) && t.length === 3 &&
+                    t.every((i) => Number.isInteger(i) && i >= 0 && i < vertexCount))) {
+                errors.push(`${path}.triangles: expected an array of at least 4 [i, j, k] vertex index triples`);
+            }
+            if (shape.resolution !== undefined &&
+                !(Number.isInteger(shape.resolution) && shape.resolution >= 8 && shape.resolution <= 128)) {
+                errors.push(`${path}.resolution: expected an integer between 8 and 128`);
+            }
+            break;
+        }
+        default:
+            // CSG nodes
+            if (!Array.isArray(shape.children) || shape.children.length === 0) {
+                errors.push(`${path}.children: expected a non-empty array of shapes`);
+            } else {
+                shape.children.forEach((child, i) => validateShape(child, `${path}.children[${i}]`, errors));
+            }
+    }
+}
+
+export function createShape(shape) {
+    // Build { distance, bounds } from a validated shape description
+    switch (shape.type) {
+        case 'box': {
+            const center = shape.center || shape.min.map((m, a) => 0.5 * (m + shape.max[a]));
+            const half = shape.size
+                ? shape.size.map((s) => 0.5 * s)
+                : shape.min.map((m, a) => 0.5 * (shape.max[a] - m));
+            return {
+                distance: (x, y, z) => {
+                    const qx = Math.abs(x - center[0]) - half[0];
+                    const qy = Math.abs(y - center[1]) - half[1];
+                    const qz = Math.abs(z - center[2]) - half[2];
+                    const outside = Math.hypot(Math.max(qx, 0), Math.max(qy, 0), Math.max(qz, 0));
+                    return outside + Math.min(Math.max(qx, qy, qz), 0);
+                },
+                bounds: {
+                    min: center.map((c, a) => c - half[a]),
+                    max: center.map((c, a) => c + half[a])
+                }
+            };
+        }
+        case 'sphere': {
+            const [cx, cy, cz] = shape.center;
+            const r = shape.radius;
+            return {
+                distance: (x, y, z) => Math.hypot(x - cx, y - cy, z - cz) - r,
+                bounds: {
+                    min: shape.center.map((c) => c - r),
+                    max: shape.center.map((c) => c + r)
+                }
+            };
+        }
+        case 'cylinder': {
+            // Capped cylinder along axis (default y)
+            const axis = AXES[shape.axis || 'y'];
+            const r = shape.radius;
+            const halfHeight = 0.5 * shape.height;
+            const center = shape.center;
+            return {
+                distance: (x, y, z) => {
+                    const d = [x - center[0], y - center[1], z - center[2]];
+                    const along = d[axis];
+                    d[axis] = 0;
+                    const radial = Math.hypot(d[0], d[1], d[2]) - r;
+                    const axial = Math.abs(along) - halfHeight;
+                    const outside = Math.hypot(Math.max(radial, 0), Math.max(axial, 0));
+                    return outside + Math.min(Math.max(radial, axial), 0);
+                },
+                bounds: {
+                    min: center.map((c, a) => c - (a === axis ? halfHeight : r)),
+                    max: center.map((c, a) => c + (a === axis ? halfHeight : r))
+                }
+            };
+        }
+        case 'capsule': {
+            const { a, b, radius } = shape;
+            const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const abLengthSq = ab[0] * ab[0] + ab[1] * ab[1] + ab[2] * ab[2];
+            return {
+                distance: (x, y, z) => {
+                    const ap = [x - a[0], y - a[1], z - a[2]];
+                    const t = abLengthSq > 0
+                        ? Math.min(1, Math.max(0, (ap[0] * ab[0] + ap[1] * ab[1] + ap[2] * ab[2]) / abLengthSq))
+                        : 0;
+                    return Math.hypot(ap[0] - t * ab[0], ap[1] - t * ab[1], ap[2] - t * ab[2]) - radius;
+                },
+                bounds: {
+                    min: a.map((v, i) => Math.min(v, b[i]) - radius),
+                    max: a.map((v, i) => Math.max(v, b[i]) + radius)
+                }
+            };
+        }
+        case 'plane': {
+            const length = Math.hypot(...shape.normal);
+            const n = shape.normal.map((v) => v / length);
+            const offset = shape.offset / length;
+            return {
+                distance: (x, y, z) => n[0] * x + n[1] * y + n[2] * z - offset,
+                bounds: {
+                    min: [-Infinity, -Infinity, -Infinity],
+                    max: [Infinity, Infinity, Infinity]
+                }
+            };
+        }
+        case 'mesh': {
+            const sdf = new TriangleMeshSDF(
+                new Float64Array(shape.vertices.flat()),
+                new Uint32Array(shape.triangles.flat()),
+                shape.resolution || 32
+            );
+            return {
+                distance: (x, y, z) => sdf.distance(x, y, z),
+                bounds: sdf.bounds
+            };
+        }
+        case 'union': {
+            const children = shape.children.map(createShape);
+            return {
+                distance: (x, y, z) => Math.min(...children.map((c) => c.distance(x, y, z))),
+                bounds: {
+                    min: [0, 1, 2].map((a) => Math.min(...children.map((c) => c.bounds.min[a]))),
+                    max: [0, 1, 2].map((a) => Math.max(...children.map((c) => c.bounds.max[a])))
+                }
+            };
+        }
+        case 'intersection': {
+            const children = shape.children.map(createShape);
+            return {
+                distance: (x, y, z) => Math.max(...children.map((c) => c.distance(x, y, z))),
+                bounds: {
+                    min: [0, 1, 2].map((a) => Math.max(...children.map((c) => c.bounds.min[a]))),
+                    max: [0, 1, 2].map((a) => Math.min(...children.map((c) => c.bounds.max[a])))
+                }
+            };
+        }
+        case 'difference': {
+            // First child minus all the others
+            const [first, ...rest] = shape.children.map(createShape);
+            return {
+                distance: (x, y, z) => Math.max(first.distance(x, y, z), ...rest.map((c) => -c.distance(x, y, z))),
+                bounds: first.bounds
+            };
+        }
+        default:
+            throw new Error(`Unknown shape type: ${shape.type}`);
+    }
+}
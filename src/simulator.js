@@ -7,123 +7,530 @@
 import { TetrahedralMesh } from './mesh.js';
 import { ParticleSystem } from './particles.js';
 import { PressureSolver } from './pressure_solver.js';
+import { ViscositySolver } from './viscosity_solver.js';
+import { SurfaceTensionForce } from './surface_tension.js';
+import { LIQUID, classifyMesh, extrapolateVelocities } from './fluid_classification.js';
+import { ADVECTION_SCHEMES, advectParticles } from './advection.js';
+import { MeshAdaptor } from './mesh_adaptor.js';
+import { ParticleEmitter } from './particle_emitter.js';
+import { ParticleSink } from './particle_sink.js';
+import { Obstacle } from './obstacle.js';
+import { SurfaceReconstructor } from './surface_reconstruction.js';
+import { CheckpointError, encodeCheckpoint, decodeCheckpoint } from './checkpoint.js';
+import { SeededRandom, DEFAULT_SEED, isValidSeed } from './random.js';
+import { MeshImportError, prepareImportedMesh } from './mesh_import.js';
+import {
+    DEFAULT_SCENE, MAX_SCENE_SAMPLES, TRANSFER_MODES, validateScene, seedScene, countLatticeSamples
+} from './scene.js';
+
+// CFL-limited steps never drop below this fraction of the maximum time step
+const MIN_TIME_STEP_FRACTION = 1e-3;
+
+// A substep may exceed the computed step by this fraction to finish a frame
+const SUBSTEP_STRETCH = 0.1;
+
+// Particles pushed back onto an imported mesh's boundary end up this far
+// (relative to the domain size) inside it
+const BOUNDARY_INSET = 1e-5;
 
 export class TetFlipSimulator {
-    constructor(device) {
+    constructor(device = null) {
+        // Optional WebGPU device. All simulation math runs on the CPU, so the
+        // simulator works headless (e.g. under Node) without one
         this.device = device;
         
-        // Simulation parameters
-        this.timeStep = 0.016; // ~60 FPS
-        this.gravity = -9.8;
+        // Simulation parameters (timeStep, gravity and domain are overridden
+        // by the scene, see loadScene)
+        this.timeStep = 0.016; // ~60 FPS; the largest step CFL control may take
+        this.dt = this.timeStep; // Size of the latest step
+        this.gravity = [0, -9.8, 0];
         this.viscosity = 0.001;
+        this.surfaceTension = 0; // Surface tension coefficient σ (0 = off)
+        this.advectionScheme = 'rk2'; // 'euler', 'rk2', 'rk3' or 'rk4' (see advection.js)
+        this.transferMode = 'flip';   // 'flip' (FLIP/PIC blend) or 'apic'
+        
+        // Every random draw (lattice jitter, emitters) comes from one seeded
+        // generator, restarted from `seed` by reset()
+        this.seed = DEFAULT_SEED;
+        this.random = new SeededRandom(this.seed);
         this.simulationTime = 0;
+        this.stepCount = 0;
+        
+        // CFL time step control: a step moves no particle further than
+        // `courant` times the height of its tetrahedron; advance() takes at
+        // most `maxSubsteps` steps per frame
+        this.cfl = {
+            enabled: true,
+            courant: 1.0,
+            maxSubsteps: 8
+        };
+        this.lastSubsteps = 0;
+        
+        // Mesh adaptation: run every `interval` steps, driven by the sizing
+        // function parameters (see MeshAdaptor)
+        this.adaptivity = {
+            enabled: true,
+            interval: 10,
+            sizing: {
+                minEdgeLength: 0.15,
+                maxEdgeLength: 0.45,
+                surfaceBandWidth: 0.15,
+                gradingDistance: 0.5,
+                vorticityThreshold: 10.0
+            }
+        };
         
         // Domain size
         this.domainMin = [-1.0, -1.0, -1.0];
         this.domainMax = [1.0, 1.0, 1.0];
         
+        // Imported domain mesh (see mesh_import.js) used instead of the
+        // scene's regular grid; its bounds replace the scene's domain
+        this.importedMesh = null;
+        
+        // Coefficient of restitution for domain walls (and obstacles by default)
+        this.restitution = 0.3;
+        
+        // Validated scene description (see scene.js)
+        this.scene = null;
+        
+        // Number of particles to seed on reset (null = the scene's own spacing)
+        this.targetParticleCount = null;
+        
         // Components
         this.mesh = null;
         this.particles = null;
+        this.emitters = [];
+        this.sinks = [];
+        this.obstacles = [];
+        this.solidNodes = null;        // { version, nodes, normals }, see getSolidNodes
         this.pressureSolver = null;
+        this.lastPressureSolve = null; // { iterations, residual, converged }
+        this.viscositySolver = new ViscositySolver();
+        this.lastViscositySolve = null; // null when the viscosity is zero
+        this.surfaceTensionForce = new SurfaceTensionForce();
+        this.classification = null;    // Liquid/air/solid nodes and tets, see classifyFluid
+        this.extrapolationLayers = 3;  // Rings of air nodes receiving liquid velocities
+        this.meshAdaptor = new MeshAdaptor(this.adaptivity.sizing);
+        this.lastAdaptation = null;    // { splits, collapses, flips, nodeCount, tetCount }
+        
+        // Liquid surface, reconstructed on demand at most once per step
+        this.surfaceReconstructor = new SurfaceReconstructor();
+        this.surface = null;
+        this.surfaceStep = -1;
         
         // FLIP/PIC ratio (1.0 = pure FLIP, 0.0 = pure PIC)
         this.flipRatio = 0.95;
+        
+        // Node velocities right after the particle-to-mesh transfer, used for
+        // the FLIP delta in meshToParticles
+        this.nodeVelocitiesOld = null;
+    }
+    
+    async initialize(scene = null) {
+        // Load the given scene description, or the default dam break
+        this.loadScene(scene || DEFAULT_SCENE);
+        await this.createComponents();
     }
     
-    async initialize() {
+    loadScene(scene) {
+        // Validate a scene description (throws SceneValidationError) and apply
+        // its parameters. The mesh and particles are rebuilt by reset()
+        const validated = validateScene(scene);
+        
+        this.scene = validated;
+        this.targetParticleCount = null;
+        this.importedMesh = null;
+        this.domainMin = validated.domain.min.slice();
+        this.domainMax = validated.domain.max.slice();
+        this.timeStep = validated.timeStep;
+        this.gravity = validated.gravity.slice();
+        this.restitution = validated.restitution;
+        this.advectionScheme = validated.advection;
+        this.transferMode = validated.transfer;
+        this.seed = validated.seed;
+        if (validated.viscosity !== undefined) this.viscosity = validated.viscosity;
+        if (validated.surfaceTension !== undefined) this.surfaceTension = validated.surfaceTension;
+        if (validated.flipRatio !== undefined) this.flipRatio = validated.flipRatio;
+        
+        return validated;
+    }
+    
+    async createComponents() {
+        // Build mesh, solver, particles, emitters and sinks from the current scene
+        this.random = new SeededRandom(this.seed);
+        
         // Initialize tetrahedral mesh
-        this.mesh = new TetrahedralMesh(this.device, this.domainMin, this.domainMax);
-        await this.mesh.initialize();
+        const domain = this.importedMesh ? this.importedMesh.bounds : this.scene.domain;
+        this.domainMin = domain.min.slice();
+        this.domainMax = domain.max.slice();
+        this.mesh = new TetrahedralMesh(this.domainMin, this.domainMax);
+        await this.mesh.initialize(this.scene.mesh.resolution, this.importedMesh);
+        
+        const seeded = this.seedParticles();
         
         // Initialize particle system
-        this.particles = new ParticleSystem(this.device, 1000);
+        this.particles = new ParticleSystem(Math.max(seeded.count, 1));
         await this.particles.initialize();
+        this.particles.setPositions(seeded.positions);
+        this.particles.setVelocities(seeded.velocities);
+        
+        await this.createSceneObjects();
+    }
+    
+    async createSceneObjects() {
+        // Emitters, sinks, obstacles and solvers for the current scene and
+        // mesh, with no state carried over from earlier steps
+        this.emitters = this.scene.emitters.map((options) => new ParticleEmitter(options));
+        this.sinks = this.scene.sinks.map((options) => new ParticleSink(options));
+        this.obstacles = this.scene.obstacles.map((options) => new Obstacle(options, this.restitution));
+        this.solidNodes = null;
         
         // Initialize pressure solver
-        this.pressureSolver = new PressureSolver(this.device, this.mesh);
+        this.pressureSolver = new PressureSolver(this.mesh);
         await this.pressureSolver.initialize();
         
-        // Create initial configuration (dam break scenario)
-        this.setupDamBreak();
+        // Solver caches are keyed on the topology version of the mesh they
+        // were built for, which a new mesh may repeat
+        this.viscositySolver = new ViscositySolver();
+        
+        this.nodeVelocitiesOld = null;
+        this.lastPressureSolve = null;
+        this.lastViscositySolve = null;
+        this.lastAdaptation = null;
+        this.classification = null;
+        this.surface = null;
     }
     
-    setupDamBreak() {
-        // Create a column of water on the left side of the domain
-        const particlePositions = [];
-        const particleVelocities = [];
+    seedParticles() {
+        // Fill the scene's liquid volumes. With a target particle count the
+        // lattice spacing is rescaled; the count goes with spacing^-3, so two
+        // corrections land close to the target. In an imported mesh only
+        // samples inside its tetrahedra are kept
+        const random = () => this.random.next();
+        const scene = this.importedMesh ? { ...this.scene, domain: this.importedMesh.bounds } : this.scene;
+        const contains = this.importedMesh
+            ? (x, y, z) => this.mesh.findContainingTetrahedron(x, y, z) >= 0
+            : null;
+        let seeded = seedScene(scene, random, 1, contains);
+        let scale = 1;
         
-        const numParticles = 1000;
-        
-        for (let i = 0; i < numParticles; i++) {
-            // Random position in left portion of domain
-            const x = -0.8 + Math.random() * 0.4; // -0.8 to -0.4
-            const y = -0.8 + Math.random() * 1.2; // -0.8 to 0.4
-            const z = -0.3 + Math.random() * 0.6; // -0.3 to 0.3
+        if (this.targetParticleCount && seeded.count > 0) {
+            const minScale = Math.cbrt(countLatticeSamples(scene) / MAX_SCENE_SAMPLES);
             
-            particlePositions.push(x, y, z);
-            particleVelocities.push(0, 0, 0);
+            for (let pass = 0; pass < 2 && seeded.count > 0; pass++) {
+                scale = Math.max(minScale, scale * Math.cbrt(seeded.count / this.targetParticleCount));
+                seeded = seedScene(scene, random, scale, contains);
+            }
         }
         
-        this.particles.setPositions(particlePositions);
-        this.particles.setVelocities(particleVelocities);
+        // Surface particles are spheres of half the particle spacing; the
+        // surface tension interface is as wide as one particle
+        const particleRadius = 0.5 * this.scene.particleSpacing * scale;
+        this.surfaceReconstructor.setParticleRadius(particleRadius);
+        this.surfaceTensionForce.setInterfaceWidth(particleRadius);
+        
+        return seeded;
     }
     
-    async reset() {
+    async reset(scene = null) {
+        // Restart the current scene, or switch to a new one. An invalid scene
+        // throws before any state is touched
+        if (scene) {
+            this.loadScene(scene);
+        }
+        
         this.simulationTime = 0;
-        this.setupDamBreak();
+        this.stepCount = 0;
+        this.dt = this.timeStep;
+        this.lastSubsteps = 0;
+        await this.createComponents();
+    }
+    
+    saveCheckpoint() {
+        // Complete simulation state as a binary checkpoint (see checkpoint.js):
+        // parameters, scene, time, mesh and particles. Returns an ArrayBuffer
+        const count = this.particles.count;
+        const particles = this.particles.getParticles();
+        
+        const header = {
+            scene: this.scene,
+            parameters: {
+                timeStep: this.timeStep,
+                gravity: this.gravity,
+                viscosity: this.viscosity,
+                surfaceTension: this.surfaceTension,
+                flipRatio: this.flipRatio,
+                advection: this.advectionScheme,
+                transfer: this.transferMode,
+                seed: this.seed,
+                cfl: this.cfl,
+                adaptivity: this.adaptivity,
+                targetParticleCount: this.targetParticleCount,
+                particleRadius: this.surfaceReconstructor.particleRadius
+            },
+            simulationTime: this.simulationTime,
+            stepCount: this.stepCount,
+            dt: this.dt,
+            lastSubsteps: this.lastSubsteps,
+            randomState: this.random.getState(),
+            emitters: this.emitters.map((emitter) => ({ pending: emitter.pending })),
+            particleCount: count
+        };
+        
+        const arrays = {
+            nodes: this.mesh.nodes,
+            tetrahedra: this.mesh.tetrahedra,
+            nodeVelocities: this.mesh.nodeVelocities,
+            positions: particles.positions.subarray(0, count * 3),
+            velocities: particles.velocities.subarray(0, count * 3),
+            tetIndices: particles.tetIndices.subarray(0, count),
+            affine: particles.affine.subarray(0, count * 9),
+            birthTimes: particles.birthTimes.subarray(0, count)
+        };
+        
+        // The imported mesh as loaded, for reset() after a restore
+        if (this.importedMesh) {
+            arrays.importedNodes = this.importedMesh.nodes;
+            arrays.importedTetrahedra = this.importedMesh.tetrahedra;
+        }
+        
+        return encodeCheckpoint(header, arrays);
     }
     
-    step() {
-        // Main TETFLIP simulation loop
+    async loadCheckpoint(data) {
+        // Restore a checkpoint written by saveCheckpoint; stepping on from it
+        // reproduces the original run. Throws CheckpointError (or
+        // SceneValidationError) before any state is touched
+        const { header, arrays } = decodeCheckpoint(data);
+        const { parameters, particleCount: count } = header;
+        
+        const expected = {
+            nodes: arrays.nodes && arrays.nodes.length,
+            tetrahedra: arrays.tetrahedra && arrays.tetrahedra.length,
+            nodeVelocities: arrays.nodes && arrays.nodes.length,
+            positions: count * 3,
+            velocities: count * 3,
+            tetIndices: count,
+            affine: count * 9
+        };
+        for (const [name, length] of Object.entries(expected)) {
+            if (!arrays[name] || arrays[name].length !== length) {
+                throw new CheckpointError(`${name}: missing or of the wrong length`);
+            }
+        }
+        if (!Number.isInteger(count) || arrays.nodes.length % 3 !== 0 || arrays.tetrahedra.length % 4 !== 0 ||
+            arrays.tetrahedra.some((n) => n >= arrays.nodes.length / 3)) {
+            throw new CheckpointError('inconsistent mesh or particle data');
+        }
+        validateCheckpointHeader(header);
+        // Birth times are optional too; older checkpoints date every particle to t = 0
+        if (arrays.birthTimes && arrays.birthTimes.length !== count) {
+            throw new CheckpointError('birthTimes: of the wrong length');
+        }
+        
+        let importedMesh = null;
+        if (arrays.importedNodes || arrays.importedTetrahedra) {
+            try {
+                importedMesh = prepareImportedMesh({
+                    nodes: arrays.importedNodes || [],
+                    tetrahedra: arrays.importedTetrahedra || []
+                });
+            } catch (error) {
+                if (!(error instanceof MeshImportError)) throw error;
+                throw new CheckpointError(`imported mesh: ${error.message}`);
+            }
+        }
+        
+        this.loadScene(header.scene);
+        this.importedMesh = importedMesh;
+        if (importedMesh) {
+            this.domainMin = importedMesh.bounds.min.slice();
+            this.domainMax = importedMesh.bounds.max.slice();
+        }
+        
+        this.timeStep = parameters.timeStep;
+        this.gravity = parameters.gravity.slice();
+        this.viscosity = parameters.viscosity;
+        this.surfaceTension = parameters.surfaceTension;
+        this.flipRatio = parameters.flipRatio;
+        this.advectionScheme = parameters.advection;
+        this.transferMode = parameters.transfer;
+        this.seed = parameters.seed ?? this.seed;
+        this.setCfl(parameters.cfl);
+        this.setAdaptivity(parameters.adaptivity);
+        this.targetParticleCount = parameters.targetParticleCount;
+        this.surfaceReconstructor.setParticleRadius(parameters.particleRadius);
+        this.surfaceTensionForce.setInterfaceWidth(parameters.particleRadius);
         
-        // 1. Transfer particle velocities to mesh (P2G - Particle to Grid)
+        this.simulationTime = header.simulationTime;
+        this.stepCount = header.stepCount;
+        this.dt = header.dt;
+        this.lastSubsteps = header.lastSubsteps;
+        this.random = new SeededRandom(this.seed);
+        this.random.setState(header.randomState ?? this.seed);
+        
+        this.mesh = new TetrahedralMesh(this.domainMin, this.domainMax);
+        this.mesh.setMeshData(arrays.nodes, arrays.tetrahedra, arrays.nodeVelocities);
+        
+        this.particles = new ParticleSystem(Math.max(count, 1));
+        await this.particles.initialize();
+        this.particles.setPositions(arrays.positions);
+        this.particles.setVelocities(arrays.velocities);
+        this.particles.tetIndices.set(arrays.tetIndices);
+        this.particles.affine.set(arrays.affine);
+        if (arrays.birthTimes) {
+            this.particles.birthTimes.set(arrays.birthTimes);
+        }
+        
+        await this.createSceneObjects();
+        this.emitters.forEach((emitter, i) => {
+            emitter.pending = header.emitters[i] ? header.emitters[i].pending : 0;
+        });
+    }
+    
+    advance(frameTime) {
+        // Cover frameTime with CFL-limited substeps (at most cfl.maxSubsteps;
+        // the simulation falls behind rather than taking unstable steps).
+        // Returns the number of substeps taken
+        let remaining = frameTime;
+        let substeps = 0;
+        
+        while (remaining > 1e-9 && substeps < this.cfl.maxSubsteps) {
+            let dt = this.computeTimeStep();
+            
+            // Stretch the step slightly, or split what is left evenly, rather
+            // than leaving a sliver of a step for the end of the frame
+            if (remaining <= dt * (1 + SUBSTEP_STRETCH)) {
+                dt = remaining;
+            } else if (remaining < 2 * dt) {
+                dt = remaining / 2;
+            }
+            
+            this.step(dt);
+            remaining -= dt;
+            substeps++;
+        }
+        
+        this.lastSubsteps = substeps;
+        return substeps;
+    }
+    
+    computeTimeStep() {
+        // min(timeStep, courant * h / speed) over the particles, with h the
+        // smallest height of the particle's tetrahedron and the speed it can
+        // reach within a full step under gravity
+        if (!this.cfl.enabled || !this.mesh) return this.timeStep;
+        
+        const particles = this.particles.getParticles();
+        const { gradients } = this.mesh.getTetGeometry();
+        const gravitySpeed = Math.hypot(...this.gravity) * this.timeStep;
+        let dt = this.timeStep;
+        
+        for (let p = 0; p < particles.count; p++) {
+            const tetIndex = this.mesh.findContainingTetrahedron(
+                particles.positions[p * 3],
+                particles.positions[p * 3 + 1],
+                particles.positions[p * 3 + 2],
+                particles.tetIndices[p]
+            );
+            particles.tetIndices[p] = tetIndex;
+            if (tetIndex < 0) continue;
+            
+            // Height over the face opposite corner k is 1 / |∇λ_k|
+            let maxGradient = 0;
+            for (let k = 0; k < 4; k++) {
+                const g = tetIndex * 12 + k * 3;
+                maxGradient = Math.max(maxGradient, Math.hypot(gradients[g], gradients[g + 1], gradients[g + 2]));
+            }
+            
+            const speed = Math.hypot(
+                particles.velocities[p * 3],
+                particles.velocities[p * 3 + 1],
+                particles.velocities[p * 3 + 2]
+            ) + gravitySpeed;
+            if (speed * maxGradient > 0) {
+                dt = Math.min(dt, this.cfl.courant / (speed * maxGradient));
+            }
+        }
+        
+        // Guard against a stalled simulation from a single runaway particle
+        return Math.max(dt, MIN_TIME_STEP_FRACTION * this.timeStep);
+    }
+    
+    step(dt = null) {
+        // Main TETFLIP simulation loop. Without dt the step size comes from
+        // computeTimeStep (CFL-limited if enabled)
+        this.dt = dt ?? this.computeTimeStep();
+        
+        // 1. Transfer particle velocities to mesh (P2G - Particle to Grid),
+        // then classify the mesh into liquid, air and solid and carry the
+        // liquid velocities into the air next to the surface
         this.particlesToMesh();
+        this.classifyFluid();
+        this.extrapolateVelocities();
+        
+        // Snapshot the transferred velocities for the FLIP update. Taken before
+        // body forces so that gravity is part of the grid velocity change
+        // that FLIP particles receive
+        this.nodeVelocitiesOld = new Float32Array(this.mesh.getNodeVelocities());
         
         // 2. Apply body forces (gravity)
         this.applyBodyForces();
         
-        // 3. Solve for pressure and enforce incompressibility
-        this.pressureSolver.solve(this.mesh, this.timeStep);
+        // 3. Diffuse velocities implicitly (viscosity)
+        this.applyViscosity();
         
-        // 4. Update mesh velocities based on pressure
+        // 4. Solve for pressure and enforce incompressibility, with surface
+        // tension applied inside the projection and p = 0 in the air
+        this.lastPressureSolve = this.pressureSolver.solve(
+            this.mesh, this.dt, this.getSolidNodes(), this.computeSurfaceTension(), this.classification);
+        
+        // 5. Update mesh velocities based on pressure, and extrapolate the
+        // projected velocities so particles near the surface sample them
         this.applyPressureGradient();
+        this.extrapolateVelocities();
         
-        // 5. Transfer velocities back to particles (G2P - Grid to Particle)
+        // 6. Transfer velocities back to particles (G2P - Grid to Particle)
         // Using FLIP method: blend between FLIP and PIC
         this.meshToParticles();
         
-        // 6. Advect particles
+        // 7. Advect particles
         this.advectParticles();
         
-        // 7. Handle collisions with domain boundaries
+        // 8. Handle collisions with obstacles and domain boundaries
         this.handleCollisions();
         
-        // 8. (Optional) Adapt mesh based on flow features
-        // For initial implementation, we use a static mesh
-        // this.adaptMesh();
+        // 9. Spawn particles from emitters and delete those inside sinks
+        this.emitParticles();
+        this.applySinks();
+        
+        // 10. Adapt mesh based on flow features
+        this.stepCount++;
+        if (this.adaptivity.enabled && this.stepCount % this.adaptivity.interval === 0) {
+            this.adaptMesh();
+        }
         
-        this.simulationTime += this.timeStep;
+        this.simulationTime += this.dt;
     }
     
     particlesToMesh() {
         // Transfer particle velocities to mesh nodes
-        // This is a weighted average based on particle proximity to nodes
+        // This is a weighted average based on particle proximity to nodes.
+        // With APIC each particle contributes its affine velocity at the node,
+        // v_p + C_p (x_i - x_p), which conserves angular momentum
         
         const particles = this.particles.getParticles();
-        const meshNodes = this.mesh.getNodes();
+        const nodeCount = this.mesh.nodeCount;
+        const nodes = this.mesh.nodes;
+        const affine = this.transferMode === 'apic' ? particles.affine : null;
         
-        // Reset node velocities and weights
-        for (let i = 0; i < meshNodes.length; i += 3) {
-            meshNodes[i + 0] = 0; // vx
-            meshNodes[i + 1] = 0; // vy
-            meshNodes[i + 2] = 0; // vz
-        }
-        
-        const weights = new Float32Array(meshNodes.length / 3).fill(0);
+        // Accumulate into a fresh velocity array (node positions stay untouched)
+        const nodeVelocities = new Float32Array(nodeCount * 3);
+        const weights = new Float32Array(nodeCount).fill(0);
         
         // For each particle, contribute to nearby nodes
-        for (let p = 0; p < particles.positions.length; p += 3) {
+        for (let p = 0; p < particles.count * 3; p += 3) {
             const px = particles.positions[p + 0];
             const py = particles.positions[p + 1];
             const pz = particles.positions[p + 2];
@@ -132,8 +539,10 @@ export class TetFlipSimulator {
             const vy = particles.velocities[p + 1];
             const vz = particles.velocities[p + 2];
             
-            // Find containing tetrahedron and compute barycentric weights
-            const tetIndex = this.mesh.findContainingTetrahedron(px, py, pz);
+            // Find containing tetrahedron, starting from the particle's previous one
+            const tetIndex = this.mesh.findContainingTetrahedron(px, py, pz, particles.tetIndices[p / 3]);
+            particles.tetIndices[p / 3] = tetIndex;
+            
             if (tetIndex >= 0) {
                 const tet = this.mesh.getTetrahedron(tetIndex);
                 const bary = this.mesh.computeBarycentricCoordinates(tetIndex, px, py, pz);
@@ -143,38 +552,95 @@ export class TetFlipSimulator {
                     const nodeIdx = tet[i] * 3;
                     const w = bary[i];
                     
-                    meshNodes[nodeIdx + 0] += w * vx;
-                    meshNodes[nodeIdx + 1] += w * vy;
-                    meshNodes[nodeIdx + 2] += w * vz;
+                    let ux = vx, uy = vy, uz = vz;
+                    if (affine) {
+                        const c = p * 3;
+                        const dx = nodes[nodeIdx] - px;
+                        const dy = nodes[nodeIdx + 1] - py;
+                        const dz = nodes[nodeIdx + 2] - pz;
+                        ux += affine[c + 0] * dx + affine[c + 1] * dy + affine[c + 2] * dz;
+                        uy += affine[c + 3] * dx + affine[c + 4] * dy + affine[c + 5] * dz;
+                        uz += affine[c + 6] * dx + affine[c + 7] * dy + affine[c + 8] * dz;
+                    }
+                    
+                    nodeVelocities[nodeIdx + 0] += w * ux;
+                    nodeVelocities[nodeIdx + 1] += w * uy;
+                    nodeVelocities[nodeIdx + 2] += w * uz;
                     weights[tet[i]] += w;
                 }
             }
         }
         
         // Normalize by weights
-        for (let i = 0; i < meshNodes.length / 3; i++) {
+        for (let i = 0; i < nodeCount; i++) {
             if (weights[i] > 0) {
-                meshNodes[i * 3 + 0] /= weights[i];
-                meshNodes[i * 3 + 1] /= weights[i];
-                meshNodes[i * 3 + 2] /= weights[i];
+                nodeVelocities[i * 3 + 0] /= weights[i];
+                nodeVelocities[i * 3 + 1] /= weights[i];
+                nodeVelocities[i * 3 + 2] /= weights[i];
             }
         }
         
-        this.mesh.setNodeVelocities(meshNodes);
+        this.mesh.setNodeVelocities(nodeVelocities);
     }
     
     applyBodyForces() {
         // Apply gravity to all mesh nodes
-        const meshNodes = this.mesh.getNodes();
         const velocities = this.mesh.getNodeVelocities();
+        const [gx, gy, gz] = this.gravity;
         
         for (let i = 0; i < velocities.length; i += 3) {
-            velocities[i + 1] += this.gravity * this.timeStep; // y-component
+            velocities[i + 0] += gx * this.dt;
+            velocities[i + 1] += gy * this.dt;
+            velocities[i + 2] += gz * this.dt;
         }
         
         this.mesh.setNodeVelocities(velocities);
     }
     
+    classifyFluid() {
+        // Liquid/air/solid classification by particle occupancy; the
+        // particles' tet indices are current after particlesToMesh. φ is left
+        // open at the domain walls so no interface is placed along them
+        const particles = this.particles.getParticles();
+        const phi = this.surfaceReconstructor.computeNodeField(
+            this.mesh, particles.positions, particles.count, false);
+        this.classification = classifyMesh(this.mesh, particles, phi, this.getSolidNodes());
+        return this.classification;
+    }
+    
+    extrapolateVelocities() {
+        // Fill the air nodes around the liquid with nearby liquid velocities
+        const velocities = this.mesh.getNodeVelocities();
+        extrapolateVelocities(this.mesh, velocities, this.classification.nodes, this.extrapolationLayers);
+        this.mesh.setNodeVelocities(velocities);
+    }
+    
+    applyViscosity() {
+        // Implicit diffusion over the tetrahedra that hold particles
+        if (!(this.viscosity > 0)) {
+            this.lastViscositySolve = null;
+            return;
+        }
+        
+        const tets = this.classification.tets;
+        const liquidTets = new Uint8Array(tets.length);
+        for (let t = 0; t < tets.length; t++) {
+            liquidTets[t] = tets[t] === LIQUID ? 1 : 0;
+        }
+        
+        this.lastViscositySolve = this.viscositySolver.solve(
+            this.mesh, this.dt, this.viscosity, liquidTets, this.getSolidNodes());
+    }
+    
+    computeSurfaceTension() {
+        // Per-tet surface tension accelerations from the curvature of the
+        // particles' implicit surface, or null when σ is zero
+        if (!(this.surfaceTension > 0)) return null;
+        
+        this.surfaceTensionForce.setCoefficient(this.surfaceTension);
+        return this.surfaceTensionForce.computeForces(this.mesh, this.classification.phi);
+    }
+    
     applyPressureGradient() {
         // Update velocities based on pressure gradient
         // This is handled by the pressure solver
@@ -183,24 +649,35 @@ export class TetFlipSimulator {
     
     meshToParticles() {
         // Transfer velocities from mesh back to particles
-        // Using FLIP method: v_new = v_old + flip_ratio * (v_grid_new - v_grid_old)
+        // Blend of PIC (interpolated grid velocity) and FLIP (particle velocity
+        // plus interpolated grid velocity change):
+        //   v = (1 - flipRatio) * v_pic + flipRatio * (v_p + (v_new - v_old))
+        // APIC takes v_pic and keeps the velocity gradient of the containing
+        // tetrahedron as the particle's affine matrix:
+        //   C_p = Σ_k v_k ⊗ ∇λ_k   (exact for the P1 field)
         
         const particles = this.particles.getParticles();
         const meshVelocitiesNew = this.mesh.getNodeVelocities();
+        const meshVelocitiesOld = this.nodeVelocitiesOld || meshVelocitiesNew;
+        const flipRatio = this.flipRatio;
+        const apic = this.transferMode === 'apic';
+        const { gradients } = this.mesh.getTetGeometry();
         
-        for (let p = 0; p < particles.positions.length; p += 3) {
+        for (let p = 0; p < particles.count * 3; p += 3) {
             const px = particles.positions[p + 0];
             const py = particles.positions[p + 1];
             const pz = particles.positions[p + 2];
             
             // Find containing tetrahedron
-            const tetIndex = this.mesh.findContainingTetrahedron(px, py, pz);
+            const tetIndex = this.mesh.findContainingTetrahedron(px, py, pz, particles.tetIndices[p / 3]);
+            particles.tetIndices[p / 3] = tetIndex;
             if (tetIndex >= 0) {
                 const tet = this.mesh.getTetrahedron(tetIndex);
                 const bary = this.mesh.computeBarycentricCoordinates(tetIndex, px, py, pz);
                 
-                // Interpolate grid velocity
+                // Interpolate new grid velocity and its change over the step
                 let vx_new = 0, vy_new = 0, vz_new = 0;
+                let dvx = 0, dvy = 0, dvz = 0;
                 
                 for (let i = 0; i < 4; i++) {
                     const nodeIdx = tet[i] * 3;
@@ -209,12 +686,34 @@ export class TetFlipSimulator {
                     vx_new += w * meshVelocitiesNew[nodeIdx + 0];
                     vy_new += w * meshVelocitiesNew[nodeIdx + 1];
                     vz_new += w * meshVelocitiesNew[nodeIdx + 2];
+                    
+                    dvx += w * (meshVelocitiesNew[nodeIdx + 0] - meshVelocitiesOld[nodeIdx + 0]);
+                    dvy += w * (meshVelocitiesNew[nodeIdx + 1] - meshVelocitiesOld[nodeIdx + 1]);
+                    dvz += w * (meshVelocitiesNew[nodeIdx + 2] - meshVelocitiesOld[nodeIdx + 2]);
                 }
                 
-                // FLIP update: mostly use change in grid velocity
-                particles.velocities[p + 0] = vx_new;
-                particles.velocities[p + 1] = vy_new;
-                particles.velocities[p + 2] = vz_new;
+                if (apic) {
+                    particles.velocities[p + 0] = vx_new;
+                    particles.velocities[p + 1] = vy_new;
+                    particles.velocities[p + 2] = vz_new;
+                    
+                    const c = particles.affine.subarray(p * 3, p * 3 + 9);
+                    c.fill(0);
+                    for (let k = 0; k < 4; k++) {
+                        const v = tet[k] * 3;
+                        const g = tetIndex * 12 + k * 3;
+                        for (let row = 0; row < 3; row++) {
+                            const vk = meshVelocitiesNew[v + row];
+                            c[row * 3 + 0] += vk * gradients[g];
+                            c[row * 3 + 1] += vk * gradients[g + 1];
+                            c[row * 3 + 2] += vk * gradients[g + 2];
+                        }
+                    }
+                } else {
+                    particles.velocities[p + 0] = (1 - flipRatio) * vx_new + flipRatio * (particles.velocities[p + 0] + dvx);
+                    particles.velocities[p + 1] = (1 - flipRatio) * vy_new + flipRatio * (particles.velocities[p + 1] + dvy);
+                    particles.velocities[p + 2] = (1 - flipRatio) * vz_new + flipRatio * (particles.velocities[p + 2] + dvz);
+                }
             }
         }
         
@@ -222,24 +721,42 @@ export class TetFlipSimulator {
     }
     
     advectParticles() {
-        // Move particles based on their velocities
-        const particles = this.particles.getParticles();
-        
-        for (let p = 0; p < particles.positions.length; p += 3) {
-            particles.positions[p + 0] += particles.velocities[p + 0] * this.timeStep;
-            particles.positions[p + 1] += particles.velocities[p + 1] * this.timeStep;
-            particles.positions[p + 2] += particles.velocities[p + 2] * this.timeStep;
-        }
-        
-        this.particles.setPositions(particles.positions);
+        // Move particles with their own velocity (euler) or along the
+        // projected mesh velocity field (Runge-Kutta schemes)
+        advectParticles(this.mesh, this.particles.getParticles(), this.dt, this.advectionScheme);
     }
     
     handleCollisions() {
-        // Handle particle collisions with domain boundaries
+        // Handle particle collisions with obstacles and domain boundaries
         const particles = this.particles.getParticles();
-        const restitution = 0.3; // Coefficient of restitution
+        const restitution = this.restitution;
         
-        for (let p = 0; p < particles.positions.length; p += 3) {
+        for (let p = 0; p < particles.count * 3; p += 3) {
+            // Obstacles: project penetrating particles out along the SDF
+            // gradient and reflect the inward normal velocity
+            for (const obstacle of this.obstacles) {
+                const x = particles.positions[p + 0];
+                const y = particles.positions[p + 1];
+                const z = particles.positions[p + 2];
+                const d = obstacle.distance(x, y, z);
+                if (d >= 0) continue;
+                
+                const n = obstacle.normal(x, y, z);
+                particles.positions[p + 0] = x - d * n[0];
+                particles.positions[p + 1] = y - d * n[1];
+                particles.positions[p + 2] = z - d * n[2];
+                
+                const vn = particles.velocities[p + 0] * n[0] +
+                           particles.velocities[p + 1] * n[1] +
+                           particles.velocities[p + 2] * n[2];
+                if (vn < 0) {
+                    const change = -(1 + obstacle.restitution) * vn;
+                    particles.velocities[p + 0] += change * n[0];
+                    particles.velocities[p + 1] += change * n[1];
+                    particles.velocities[p + 2] += change * n[2];
+                }
+            }
+            
             // X boundaries
             if (particles.positions[p + 0] < this.domainMin[0]) {
                 particles.positions[p + 0] = this.domainMin[0];
@@ -268,8 +785,141 @@ export class TetFlipSimulator {
             }
         }
         
-        this.particles.setPositions(particles.positions);
-        this.particles.setVelocities(particles.velocities);
+        if (this.importedMesh) {
+            this.collideWithMeshBoundary();
+        }
+    }
+    
+    collideWithMeshBoundary() {
+        // An imported mesh need not fill its bounding box: particles outside
+        // every tetrahedron go back onto the closest boundary face, and their
+        // outward normal velocity is reflected like at the box walls
+        const particles = this.particles.getParticles();
+        const size = Math.max(...[0, 1, 2].map((a) => this.domainMax[a] - this.domainMin[a]));
+        const inset = BOUNDARY_INSET * size;
+        const point = [0, 0, 0];
+        
+        for (let p = 0; p < particles.count; p++) {
+            const x = particles.positions[p * 3];
+            const y = particles.positions[p * 3 + 1];
+            const z = particles.positions[p * 3 + 2];
+            if (this.mesh.findContainingTetrahedron(x, y, z, particles.tetIndices[p]) >= 0) continue;
+            
+            const n = this.mesh.projectToBoundary(x, y, z, point);
+            if (!n) continue;
+            
+            for (let a = 0; a < 3; a++) {
+                particles.positions[p * 3 + a] = point[a] - inset * n[a];
+            }
+            const vn = particles.velocities[p * 3] * n[0] +
+                       particles.velocities[p * 3 + 1] * n[1] +
+                       particles.velocities[p * 3 + 2] * n[2];
+            if (vn > 0) {
+                const change = -(1 + this.restitution) * vn;
+                for (let a = 0; a < 3; a++) {
+                    particles.velocities[p * 3 + a] += change * n[a];
+                }
+            }
+        }
+    }
+    
+    getSolidNodes() {
+        // Mesh nodes inside obstacles with the obstacle's outward normal,
+        // recomputed whenever the mesh changes. null without obstacles
+        if (this.obstacles.length === 0) return null;
+        if (this.solidNodes && this.solidNodes.version === this.mesh.topologyVersion) {
+            return this.solidNodes;
+        }
+        
+        const nodeCount = this.mesh.nodeCount;
+        const nodes = this.mesh.nodes;
+        const solid = new Uint8Array(nodeCount);
+        const normals = new Float32Array(nodeCount * 3);
+        
+        for (let i = 0; i < nodeCount; i++) {
+            const x = nodes[i * 3], y = nodes[i * 3 + 1], z = nodes[i * 3 + 2];
+            let deepest = null;
+            let minDistance = 0;
+            
+            for (const obstacle of this.obstacles) {
+                const d = obstacle.distance(x, y, z);
+                if (d < minDistance) {
+                    minDistance = d;
+                    deepest = obstacle;
+                }
+            }
+            
+            if (deepest) {
+                solid[i] = 1;
+                normals.set(deepest.normal(x, y, z), i * 3);
+            }
+        }
+        
+        this.solidNodes = { version: this.mesh.topologyVersion, nodes: solid, normals };
+        return this.solidNodes;
+    }
+    
+    getObstacleSurfaces() {
+        // Triangle meshes of the obstacles for rendering
+        return this.obstacles.map((obstacle) => obstacle.getSurface(this.domainMin, this.domainMax));
+    }
+    
+    emitParticles() {
+        // New particles start without a tetrahedron hint
+        for (const emitter of this.emitters) {
+            const emitted = emitter.emit(this.simulationTime, this.dt, () => this.random.next());
+            if (emitted.count > 0) {
+                this.particles.addParticles(emitted.positions, emitted.velocities, this.simulationTime);
+            }
+        }
+    }
+    
+    applySinks() {
+        if (this.sinks.length === 0) return;
+        
+        const particles = this.particles.getParticles();
+        const remove = new Uint8Array(particles.count);
+        let flagged = 0;
+        
+        for (const sink of this.sinks) {
+            flagged += sink.markParticles(particles.positions, particles.count, remove);
+        }
+        
+        if (flagged > 0) {
+            this.particles.removeParticles(remove);
+        }
+    }
+    
+    adaptMesh() {
+        // Refine near the liquid surface and in vortical regions, coarsen deep
+        // liquid and empty air
+        
+        const particles = this.particles.getParticles();
+        const liquidNodes = new Uint8Array(this.mesh.nodeCount);
+        
+        for (let p = 0; p < particles.count; p++) {
+            const tetIndex = this.mesh.findContainingTetrahedron(
+                particles.positions[p * 3],
+                particles.positions[p * 3 + 1],
+                particles.positions[p * 3 + 2],
+                particles.tetIndices[p]
+            );
+            particles.tetIndices[p] = tetIndex;
+            
+            if (tetIndex >= 0) {
+                for (const n of this.mesh.getTetrahedron(tetIndex)) {
+                    liquidNodes[n] = 1;
+                }
+            }
+        }
+        
+        const vorticity = this.mesh.computeNodeVorticity();
+        const sizing = this.meshAdaptor.computeSizing(this.mesh, liquidNodes, vorticity);
+        
+        // Particle tet indices now refer to the old mesh; they remain valid as
+        // walk hints because point location verifies every candidate
+        this.lastAdaptation = this.meshAdaptor.adapt(this.mesh, sizing);
+        return this.lastAdaptation;
     }
     
     // Getters for rendering
@@ -278,13 +928,43 @@ export class TetFlipSimulator {
     }
     
     getMesh() {
-        return this.mesh ? this.mesh.getMeshData() : null;
+        // The live mesh: nodes, tetrahedra and counts for the wireframe, and
+        // the point location the velocity glyphs interpolate with
+        return this.mesh;
+    }
+    
+    getSurface() {
+        // Watertight liquid surface { positions, normals, indices, field }
+        if (!this.mesh || !this.particles) return null;
+        
+        if (!this.surface || this.surfaceStep !== this.stepCount) {
+            this.surface = this.surfaceReconstructor.reconstruct(this.mesh, this.particles.getParticles());
+            this.surfaceStep = this.stepCount;
+        }
+        return this.surface;
     }
     
     getVelocityField() {
         return this.mesh ? this.mesh.getNodeVelocities() : null;
     }
     
+    getParticleRadius() {
+        // Half the particle spacing, as used for the liquid surface
+        return this.surfaceReconstructor.particleRadius;
+    }
+    
+    getPressureField() {
+        // Node pressures of the last solve, or null if the mesh has been
+        // adapted since (or nothing was solved yet)
+        const solver = this.pressureSolver;
+        if (!this.mesh || !solver || !solver.pressure ||
+            solver.laplacianVersion !== this.mesh.topologyVersion ||
+            solver.pressure.length !== this.mesh.nodeCount) {
+            return null;
+        }
+        return solver.pressure;
+    }
+    
     getParticleCount() {
         return this.particles ? this.particles.getCount() : 0;
     }
@@ -297,16 +977,195 @@ export class TetFlipSimulator {
         return this.simulationTime;
     }
     
+    getScene() {
+        return this.scene;
+    }
+    
+    getPressureSolveStats() {
+        return this.lastPressureSolve;
+    }
+    
+    getViscositySolveStats() {
+        return this.lastViscositySolve;
+    }
+    
+    getClassification() {
+        // { nodes, tets, phi, liquidNodeCount, liquidTetCount } from the last
+        // step (see fluid_classification.js), or null before the first step
+        return this.classification;
+    }
+    
+    getStatistics() {
+        // Per-step diagnostics shared by the UI and the headless runner
+        const particles = this.getParticles();
+        let maxSpeed = 0;
+        
+        if (particles) {
+            for (let p = 0; p < particles.count; p++) {
+                const vx = particles.velocities[p * 3];
+                const vy = particles.velocities[p * 3 + 1];
+                const vz = particles.velocities[p * 3 + 2];
+                maxSpeed = Math.max(maxSpeed, Math.sqrt(vx * vx + vy * vy + vz * vz));
+            }
+        }
+        
+        return {
+            step: this.stepCount,
+            time: this.simulationTime,
+            particleCount: this.getParticleCount(),
+            nodeCount: this.mesh ? this.mesh.nodeCount : 0,
+            tetCount: this.getTetrahedraCount(),
+            maxSpeed,
+            dt: this.dt,
+            substeps: this.lastSubsteps,
+            pressureIterations: this.lastPressureSolve ? this.lastPressureSolve.iterations : 0,
+            pressureResidual: this.lastPressureSolve ? this.lastPressureSolve.residual : 0,
+            pressureDivergence: this.lastPressureSolve ? this.lastPressureSolve.divergence : 0,
+            viscosityIterations: this.lastViscositySolve ? this.lastViscositySolve.iterations : 0,
+            liquidNodes: this.classification ? this.classification.liquidNodeCount : 0
+        };
+    }
+    
     // Setters for parameters
     setTimeStep(dt) {
         this.timeStep = dt;
     }
     
     setGravity(g) {
-        this.gravity = g;
+        // A vector replaces the gravity vector; a number sets its vertical (y)
+        // component, which is what the UI slider controls
+        if (Array.isArray(g)) {
+            this.gravity = g.slice(0, 3);
+        } else {
+            this.gravity[1] = g;
+        }
     }
     
     setViscosity(v) {
         this.viscosity = v;
     }
+    
+    setSurfaceTension(sigma) {
+        this.surfaceTension = sigma;
+    }
+    
+    setTransferMode(mode) {
+        // Switching modes starts APIC particles from zero affine matrices
+        if (!TRANSFER_MODES.includes(mode)) {
+            throw new Error(`Unknown transfer mode: ${mode}`);
+        }
+        if (mode !== this.transferMode && this.particles) {
+            this.particles.affine.fill(0);
+        }
+        this.transferMode = mode;
+    }
+    
+    setAdvectionScheme(scheme) {
+        if (!ADVECTION_SCHEMES.includes(scheme)) {
+            throw new Error(`Unknown advection scheme: ${scheme}`);
+        }
+        this.advectionScheme = scheme;
+    }
+    
+    setParticleCount(count) {
+        // Seeded particle count for the next reset(); null restores the
+        // scene's particle spacing
+        this.targetParticleCount = count ? Math.max(1, Math.round(count)) : null;
+    }
+    
+    setSeed(seed) {
+        // Random seed for the next reset()
+        if (!isValidSeed(seed)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        this.seed = seed;
+    }
+    
+    setImportedMesh(imported) {
+        // Domain mesh for the next reset(): a mesh prepared by
+        // mesh_import.js, or null for the scene's regular grid. Loading a
+        // scene goes back to its grid. An imported mesh comes with its own
+        // resolution, which the default sizing (meant for the scenes' unit
+        // boxes) would refine several times over, so it switches mesh
+        // adaptation off; setAdaptivity turns it back on
+        this.importedMesh = imported;
+        if (imported) {
+            this.adaptivity.enabled = false;
+        }
+    }
+    
+    setFlipRatio(ratio) {
+        this.flipRatio = Math.min(1, Math.max(0, ratio));
+    }
+    
+    setCfl(options) {
+        // options: { enabled, courant, maxSubsteps }
+        if (options.enabled !== undefined) {
+            this.cfl.enabled = options.enabled;
+        }
+        if (options.courant !== undefined) {
+            this.cfl.courant = options.courant;
+        }
+        if (options.maxSubsteps !== undefined) {
+            this.cfl.maxSubsteps = Math.max(1, Math.round(options.maxSubsteps));
+        }
+    }
+    
+    setAdaptivity(options) {
+        // options: { enabled, interval, sizing: { minEdgeLength, maxEdgeLength, ... } }
+        if (options.enabled !== undefined) {
+            this.adaptivity.enabled = options.enabled;
+        }
+        if (options.interval !== undefined) {
+            this.adaptivity.interval = Math.max(1, Math.round(options.interval));
+        }
+        if (options.sizing) {
+            Object.assign(this.adaptivity.sizing, options.sizing);
+            this.meshAdaptor.setSizing(this.adaptivity.sizing);
+        }
+    }
+}
+
+function validateCheckpointHeader(header) {
+    // Type and range of every header field loadCheckpoint applies (the
+    // scene is checked by loadScene); throws CheckpointError
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const check = (valid, field) => {
+        if (!valid) throw new CheckpointError(`missing or invalid ${field}`);
+    };
+    
+    const { parameters } = header;
+    check(isObject(parameters), 'parameters');
+    check(isNumber(parameters.timeStep) && parameters.timeStep > 0, 'parameters.timeStep');
+    check(Array.isArray(parameters.gravity) && parameters.gravity.length === 3 && parameters.gravity.every(isNumber),
+        'parameters.gravity');
+    check(isNumber(parameters.viscosity) && parameters.viscosity >= 0, 'parameters.viscosity');
+    check(isNumber(parameters.surfaceTension) && parameters.surfaceTension >= 0, 'parameters.surfaceTension');
+    check(isNumber(parameters.flipRatio) && parameters.flipRatio >= 0 && parameters.flipRatio <= 1, 'parameters.flipRatio');
+    check(ADVECTION_SCHEMES.includes(parameters.advection), 'parameters.advection');
+    check(TRANSFER_MODES.includes(parameters.transfer), 'parameters.transfer');
+    check(parameters.targetParticleCount === null ||
+        (Number.isInteger(parameters.targetParticleCount) && parameters.targetParticleCount > 0), 'parameters.targetParticleCount');
+    check(isNumber(parameters.particleRadius) && parameters.particleRadius > 0, 'parameters.particleRadius');
+    
+    const { cfl, adaptivity } = parameters;
+    check(isObject(cfl) && typeof cfl.enabled === 'boolean' && isNumber(cfl.courant) && cfl.courant > 0 &&
+        isNumber(cfl.maxSubsteps) && cfl.maxSubsteps >= 1, 'parameters.cfl');
+    check(isObject(adaptivity) && typeof adaptivity.enabled === 'boolean' && isNumber(adaptivity.interval) &&
+        adaptivity.interval >= 1 && isObject(adaptivity.sizing) && Object.values(adaptivity.sizing).every(isNumber),
+        'parameters.adaptivity');
+    
+    // Checkpoints written before seeding was added carry neither seed nor
+    // generator state; they restart the generator from the scene's seed
+    check(parameters.seed === undefined || isValidSeed(parameters.seed), 'parameters.seed');
+    check(header.randomState === undefined || isValidSeed(header.randomState), 'randomState');
+    
+    check(isNumber(header.simulationTime) && header.simulationTime >= 0, 'simulationTime');
+    check(isCount(header.stepCount), 'stepCount');
+    check(isNumber(header.dt) && header.dt > 0, 'dt');
+    check(isCount(header.lastSubsteps), 'lastSubsteps');
+    check(Array.isArray(header.emitters) &&
+        header.emitters.every((emitter) => isObject(emitter) && isNumber(emitter.pending) && emitter.pending >= 0), 'emitters');
 }
@@ -0,0 +1,95 @@
+/**
+ * SparseMatrix - Square matrix in compressed sparse row (CSR) form
+ * The sparsity pattern is fixed at construction; values are assembled with add()
+ */
+
+export class SparseMatrix {
+    constructor(rowOffsets, columns) {
+        this.size = rowOffsets.length - 1;
+        this.rowOffsets = rowOffsets;  // Start of each row in columns/values [size + 1]
+        this.columns = columns;        // Column index of each entry, sorted within a row
+        this.values = new Float64Array(columns.length);
+    }
+    
+    static fromNodeAdjacency(offsets, indices, nodeCount) {
+        // Pattern of a mesh operator: each node couples to itself and to the
+        // nodes it shares a tetrahedron with
+        const rowOffsets = new Uint32Array(nodeCount + 1);
+        for (let i = 0; i < nodeCount; i++) {
+            rowOffsets[i + 1] = rowOffsets[i] + (offsets[i + 1] - offsets[i]) + 1;
+        }
+        
+        const columns = new Uint32Array(rowOffsets[nodeCount]);
+        for (let i = 0; i < nodeCount; i++) {
+            let e = rowOffsets[i];
+            let diagonalPlaced = false;
+            
+            // Neighbor lists are sorted, so the diagonal is merged in order
+            for (let s = offsets[i]; s < offsets[i + 1]; s++) {
+                if (!diagonalPlaced && indices[s] > i) {
+                    columns[e++] = i;
+                    diagonalPlaced = true;
+                }
+                columns[e++] = indices[s];
+            }
+            if (!diagonalPlaced) {
+                columns[e++] = i;
+            }
+        }
+        
+        return new SparseMatrix(rowOffsets, columns);
+    }
+    
+    clear() {
+        this.values.fill(0);
+    }
+    
+    entryIndex(row, col) {
+        // Binary search within the row; returns -1 if (row, col) is not in the pattern
+        let lo = this.rowOffsets[row];
+        let hi = this.rowOffsets[row + 1] - 1;
+        
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            const c = this.columns[mid];
+            if (c === col) return mid;
+            if (c < col) lo = mid + 1;
+            else hi = mid - 1;
+        }
+        
+        return -1;
+    }
+    
+    add(row, col, value) {
+        const e = this.entryIndex(row, col);
+        if (e < 0) {
+            throw new Error(`SparseMatrix: entry (${row}, ${col}) is not in the sparsity pattern`);
+        }
+        this.values[e] += value;
+    }
+    
+    get(row, col) {
+        const e = this.entryIndex(row, col);
+        return e < 0 ? 0 : this.values[e];
+    }
+    
+    multiply(x, y) {
+        // y = A x
+        for (let i = 0; i < this.size; i++) {
+            let sum = 0;
+            for (let e = this.rowOffsets[i]; e < this.rowOffsets[i + 1]; e++) {
+                sum += this.values[e] * x[this.columns[e]];
+            }
+            y[i] = sum;
+        }
+        return y;
+    }
+    
+    getDiagonal() {
+        const diagonal = new Float64Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            diagonal[i] = this.get(i, i);
+        }
+        return diagonal;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * TetSpatialGrid - Uniform bucket grid over tetrahedron bounding boxes
+ * Used by TetrahedralMesh for fast point location
+ */
+
+export class TetSpatialGrid {
+    constructor(targetTetsPerCell = 4) {
+        this.targetTetsPerCell = targetTetsPerCell;
+        
+        this.origin = [0, 0, 0];
+        this.cellSize = 1;
+        this.resolution = [1, 1, 1];
+        
+        this.cellStart = null; // CSR offsets into cellTets [cellCount + 1]
+        this.cellTets = null;  // Tetrahedron indices, ascending within each cell
+    }
+    
+    build(nodes, tetrahedra, tetCount) {
+        // Compute per-tet bounding boxes and the overall bounds
+        const bounds = new Float64Array(tetCount * 6);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        let extentSum = 0;
+        
+        for (let t = 0; t < tetCount; t++) {
+            const b = t * 6;
+            bounds[b + 0] = bounds[b + 1] = bounds[b + 2] = Infinity;
+            bounds[b + 3] = bounds[b + 4] = bounds[b + 5] = -Infinity;
+            
+            for (let i = 0; i < 4; i++) {
+                const n = tetrahedra[t * 4 + i] * 3;
+                for (let a = 0; a < 3; a++) {
+                    bounds[b + a] = Math.min(bounds[b + a], nodes[n + a]);
+                    bounds[b + 3 + a] = Math.max(bounds[b + 3 + a], nodes[n + a]);
+                }
+            }
+            
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], bounds[b + a]);
+                max[a] = Math.max(max[a], bounds[b + 3 + a]);
+                extentSum += bounds[b + 3 + a] - bounds[b + a];
+            }
+        }
+        
+        if (tetCount === 0) {
+            this.cellStart = new Uint32Array(2);
+            this.cellTets = new Uint32Array(0);
+            this.resolution = [1, 1, 1];
+            return;
+        }
+        
+        // Cell size follows the average tet extent, scaled so that each cell
+        // holds roughly targetTetsPerCell tetrahedra
+        const meanExtent = extentSum / (tetCount * 3);
+        let cellSize = meanExtent * Math.cbrt(this.targetTetsPerCell / 5) || 1;
+        
+        // Keep the grid from exploding on meshes with a few tiny elements
+        const maxCells = Math.max(64, tetCount * 4);
+        const size = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const cellsFor = (h) => size.reduce((acc, s) => acc * Math.max(1, Math.ceil(s / h)), 1);
+        while (cellsFor(cellSize) > maxCells) {
+            cellSize *= 1.25;
+        }
+        
+        this.origin = min;
+        this.cellSize = cellSize;
+        this.resolution = size.map((s) => Math.max(1, Math.ceil(s / cellSize)));
+        
+        const [rx, ry, rz] = this.resolution;
+        const cellCount = rx * ry * rz;
+        const counts = new Uint32Array(cellCount + 1);
+        
+        // Two passes: count, then fill. Tets are visited in ascending order,
+        // so each cell's list stays sorted
+        for (let pass = 0; pass < 2; pass++) {
+            for (let t = 0; t < tetCount; t++) {
+                const b = t * 6;
+                const i0 = this.cellCoord(bounds[b + 0], 0);
+                const j0 = this.cellCoord(bounds[b + 1], 1);
+                const k0 = this.cellCoord(bounds[b + 2], 2);
+                const i1 = this.cellCoord(bounds[b + 3], 0);
+                const j1 = this.cellCoord(bounds[b + 4], 1);
+                const k1 = this.cellCoord(bounds[b + 5], 2);
+                
+                for (let k = k0; k <= k1; k++) {
+                    for (let j = j0; j <= j1; j++) {
+                        for (let i = i0; i <= i1; i++) {
+                            const cell = i + rx * (j + ry * k);
+                            if (pass === 0) {
+                                counts[cell + 1]++;
+                            } else {
+                                this.cellTets[counts[cell]++] = t;
+                            }
+                        }
+                    }
+                }
+            }
+            
+            if (pass === 0) {
+                for (let c = 0; c < cellCount; c++) {
+                    counts[c + 1] += counts[c];
+                }
+                this.cellStart = new Uint32Array(counts);
+                this.cellTets = new Uint32Array(counts[cellCount]);
+            }
+        }
+    }
+    
+    cellCoord(value, axis) {
+        const c = Math.floor((value - this.origin[axis]) / this.cellSize);
+        return Math.min(this.resolution[axis] - 1, Math.max(0, c));
+    }
+    
+    getCandidates(x, y, z) {
+        // Return [start, end) range into cellTets for the cell containing the point,
+        // or null if the point lies outside the grid bounds
+        const p = [x, y, z];
+        for (let a = 0; a < 3; a++) {
+            const local = p[a] - this.origin[a];
+            if (local < 0 || local > this.resolution[a] * this.cellSize) {
+                return null;
+            }
+        }
+        
+        const [rx, ry] = this.resolution;
+        const cell = this.cellCoord(x, 0) + rx * (this.cellCoord(y, 1) + ry * this.cellCoord(z, 2));
+        return [this.cellStart[cell], this.cellStart[cell + 1]];
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * SurfaceReconstructor - Liquid surface from particles
+ *
+ * Builds the Zhu-Bridson implicit function
+ *   φ(x) = |x - x̄(x)| - r̄(x),   x̄ = Σ w_i x_i / Σ w_i,   r̄ = Σ w_i r / Σ w_i
+ *   w_i = k(|x - x_i| / R),       k(s) = max(0, 1 - s²)³
+ * (Zhu & Bridson, "Animating Sand as a Fluid", 2005), samples it at the
+ * nodes of the tetrahedral mesh and extracts φ = 0 with marching tetrahedra.
+ * Nodes on the domain boundary are kept outside the liquid so the surface is
+ * closed where the liquid touches the walls.
+ */
+
+import { marchingTetrahedra } from './marching_tetrahedra.js';
+
+// Floor for φ at boundary nodes, relative to the domain size
+const BOUNDARY_EPSILON = 1e-6;
+
+export class SurfaceReconstructor {
+    constructor(options = {}) {
+        this.particleRadius = options.particleRadius ?? 0.035;
+        this.kernelScale = options.kernelScale ?? 4.0; // R = kernelScale * particleRadius
+        this.closeAtBoundary = options.closeAtBoundary ?? true;
+    }
+    
+    setParticleRadius(radius) {
+        this.particleRadius = radius;
+    }
+    
+    computeNodeField(mesh, positions, count, closeAtBoundary = this.closeAtBoundary) {
+        // φ at every mesh node; R (outside) where no particle is within reach
+        const R = this.kernelScale * this.particleRadius;
+        const grid = buildParticleGrid(positions, count, R);
+        const nodes = mesh.nodes;
+        const values = new Float32Array(mesh.nodeCount);
+        
+        const size = Math.max(...[0, 1, 2].map((a) => mesh.domainMax[a] - mesh.domainMin[a]));
+        const eps = BOUNDARY_EPSILON * size;
+        const boundaryNodes = closeAtBoundary ? mesh.getBoundary().nodes : null;
+        
+        for (let n = 0; n < mesh.nodeCount; n++) {
+            const x = nodes[n * 3], y = nodes[n * 3 + 1], z = nodes[n * 3 + 2];
+            let weightSum = 0;
+            let cx = 0, cy = 0, cz = 0;
+            
+            grid.forEachNeighbor(x, y, z, (p) => {
+                const dx = x - positions[p * 3];
+                const dy = y - positions[p * 3 + 1];
+                const dz = z - positions[p * 3 + 2];
+                const s2 = (dx * dx + dy * dy + dz * dz) / (R * R);
+                if (s2 >= 1) return;
+                
+                const w = (1 - s2) * (1 - s2) * (1 - s2);
+                weightSum += w;
+                cx += w * positions[p * 3];
+                cy += w * positions[p * 3 + 1];
+                cz += w * positions[p * 3 + 2];
+            });
+            
+            let phi = R;
+            if (weightSum > 0) {
+                phi = Math.hypot(x - cx / weightSum, y - cy / weightSum, z - cz / weightSum) - this.particleRadius;
+            }
+            
+            if (boundaryNodes && boundaryNodes[n]) {
+                phi = Math.max(phi, eps);
+            }
+            
+            values[n] = phi;
+        }
+        
+        return values;
+    }
+    
+    reconstruct(mesh, particles) {
+        // Returns { positions, normals, indices, field }
+        const field = this.computeNodeField(mesh, particles.positions, particles.count);
+        const surface = marchingTetrahedra(mesh.nodes, mesh.tetrahedra, mesh.tetCount, field, mesh.nodeCount);
+        surface.field = field;
+        return surface;
+    }
+}
+
+function buildParticleGrid(positions, count, cellSize) {
+    // Uniform hash grid over the particles (counting sort into CSR buckets)
+    const TABLE_SIZE = Math.max(1024, count * 2);
+    const hash = (i, j, k) => {
+        const h = (Math.imul(i, 73856093) ^ Math.imul(j, 19349663) ^ Math.imul(k, 83492791)) >>> 0;
+        return h % TABLE_SIZE;
+    };
+    const cell = (v) => Math.floor(v / cellSize);
+    
+    const cellStart = new Uint32Array(TABLE_SIZE + 1);
+    const particleCells = new Uint32Array(count);
+    for (let p = 0; p < count; p++) {
+        const h = hash(cell(positions[p * 3]), cell(positions[p * 3 + 1]), cell(positions[p * 3 + 2]));
+        particleCells[p] = h;
+        cellStart[h + 1]++;
+    }
+    for (let h = 0; h < TABLE_SIZE; h++) {
+        cellStart[h + 1] += cellStart[h];
+    }
+    
+    const fill = cellStart.slice(0, TABLE_SIZE);
+    const cellParticles = new Uint32Array(count);
+    for (let p = 0; p < count; p++) {
+        cellParticles[fill[particleCells[p]]++] = p;
+    }
+    
+    const visited = new Int32Array(27);
+    
+    return {
+        forEachNeighbor(x, y, z, callback) {
+            // Particles in the 27 cells around (x, y, z). Hash collisions may
+            // add far-away particles, which the kernel support rejects; buckets
+            // shared by two of the cells are visited once
+            const ci = cell(x), cj = cell(y), ck = cell(z);
+            let visitedCount = 0;
+            
+            for (let k = ck - 1; k <= ck + 1; k++) {
+                for (let j = cj - 1; j <= cj + 1; j++) {
+                    for (let i = ci - 1; i <= ci + 1; i++) {
+                        const h = hash(i, j, k);
+                        let seen = false;
+                        for (let v = 0; v < visitedCount && !seen; v++) {
+                            seen = visited[v] === h;
+                        }
+                        if (seen) continue;
+                        visited[visitedCount++] = h;
+                        
+                        for (let s = cellStart[h]; s < cellStart[h + 1]; s++) {
+                            callback(cellParticles[s]);
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
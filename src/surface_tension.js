@@ -0,0 +1,159 @@
+/**
+ * SurfaceTensionForce - Continuum surface force (Brackbill et al. 1992) on
+ * the tetrahedral mesh
+ *
+ * From the liquid's implicit function φ at the mesh nodes (φ < 0 inside, see
+ * SurfaceReconstructor):
+ *   n_i = normalized volume average of ∇φ over the tets around node i
+ *   κ_T = ∇·n = Σ_k ∇λ_k · n_k           (constant per P1 tetrahedron)
+ *   κ_T ← smoothed `smoothingPasses` times through the shared nodes of the
+ *         interface tets (P1 curvature is noisy on coarse meshes)
+ *   H_i = clamp(1/2 - φ_i / 2ε, 0, 1)    (smoothed liquid indicator)
+ *   f_T = σ κ_T ∇H_T                     (force per unit volume, unit density)
+ * f is non-zero only in the tets the interface passes through. It is handed
+ * to the pressure solve, which spreads it to the nodes like the pressure
+ * gradient so that the pressure jump σκ across a drop balances it.
+ */
+
+export class SurfaceTensionForce {
+    constructor(options = {}) {
+        this.coefficient = options.coefficient ?? 0;       // σ
+        this.interfaceWidth = options.interfaceWidth ?? 0.035; // ε, half width of the H ramp
+        this.maxCurvature = options.maxCurvature ?? null;  // |κ| clamp, default 1 / ε
+        this.smoothingPasses = options.smoothingPasses ?? 2;
+        
+        // Curvature per tet from the last evaluation (for diagnostics)
+        this.curvature = null;
+    }
+    
+    setCoefficient(coefficient) {
+        this.coefficient = coefficient;
+    }
+    
+    setInterfaceWidth(width) {
+        this.interfaceWidth = width;
+    }
+    
+    computeForces(mesh, phi) {
+        // Per-tet accelerations [fx, fy, fz, ...], or null when σ is zero
+        if (!(this.coefficient > 0)) return null;
+        
+        const { volumes, gradients } = mesh.getTetGeometry();
+        const tetrahedra = mesh.getTetrahedra();
+        const tetCount = mesh.getTetrahedraCount();
+        const nodeCount = mesh.nodeCount;
+        const eps = this.interfaceWidth;
+        const maxCurvature = this.maxCurvature ?? 1 / eps;
+        
+        // Smoothed indicator; tets where it is constant carry no force
+        const indicator = new Float64Array(nodeCount);
+        for (let i = 0; i < nodeCount; i++) {
+            indicator[i] = Math.min(1, Math.max(0, 0.5 - phi[i] / (2 * eps)));
+        }
+        
+        const interfaceTets = [];
+        for (let t = 0; t < tetCount; t++) {
+            const h0 = indicator[tetrahedra[t * 4]];
+            for (let k = 1; k < 4; k++) {
+                if (indicator[tetrahedra[t * 4 + k]] !== h0) {
+                    interfaceTets.push(t);
+                    break;
+                }
+            }
+        }
+        
+        const forces = new Float64Array(tetCount * 3);
+        this.curvature = new Float64Array(tetCount);
+        if (interfaceTets.length === 0) return forces;
+        
+        // Node normals: volume-weighted ∇φ around the nodes of interface tets
+        const normals = new Float64Array(nodeCount * 3);
+        const needed = new Uint8Array(nodeCount);
+        for (const t of interfaceTets) {
+            for (let k = 0; k < 4; k++) {
+                needed[tetrahedra[t * 4 + k]] = 1;
+            }
+        }
+        
+        const { offsets, indices } = mesh.getAdjacency().nodeTets;
+        for (let i = 0; i < nodeCount; i++) {
+            if (!needed[i]) continue;
+            
+            let nx = 0, ny = 0, nz = 0;
+            for (let s = offsets[i]; s < offsets[i + 1]; s++) {
+                const t = indices[s];
+                const [gx, gy, gz] = tetGradient(t, phi, tetrahedra, gradients);
+                nx += volumes[t] * gx;
+                ny += volumes[t] * gy;
+                nz += volumes[t] * gz;
+            }
+            
+            const length = Math.hypot(nx, ny, nz);
+            if (length > 0) {
+                normals[i * 3 + 0] = nx / length;
+                normals[i * 3 + 1] = ny / length;
+                normals[i * 3 + 2] = nz / length;
+            }
+        }
+        
+        const curvature = this.curvature;
+        for (const t of interfaceTets) {
+            let kappa = 0;
+            for (let k = 0; k < 4; k++) {
+                const n = tetrahedra[t * 4 + k] * 3;
+                const g = t * 12 + k * 3;
+                kappa += gradients[g] * normals[n] +
+                         gradients[g + 1] * normals[n + 1] +
+                         gradients[g + 2] * normals[n + 2];
+            }
+            curvature[t] = Math.max(-maxCurvature, Math.min(maxCurvature, kappa));
+        }
+        
+        // Smoothing: volume-weighted node averages of κ over interface tets,
+        // then each tet takes the mean of its nodes
+        const nodeCurvature = new Float64Array(nodeCount);
+        const nodeVolume = new Float64Array(nodeCount);
+        for (let pass = 0; pass < this.smoothingPasses; pass++) {
+            nodeCurvature.fill(0);
+            nodeVolume.fill(0);
+            for (const t of interfaceTets) {
+                for (let k = 0; k < 4; k++) {
+                    const n = tetrahedra[t * 4 + k];
+                    nodeCurvature[n] += volumes[t] * curvature[t];
+                    nodeVolume[n] += volumes[t];
+                }
+            }
+            for (const t of interfaceTets) {
+                let sum = 0;
+                for (let k = 0; k < 4; k++) {
+                    const n = tetrahedra[t * 4 + k];
+                    sum += nodeCurvature[n] / nodeVolume[n];
+                }
+                curvature[t] = sum / 4;
+            }
+        }
+        
+        for (const t of interfaceTets) {
+            const [hx, hy, hz] = tetGradient(t, indicator, tetrahedra, gradients);
+            const scale = this.coefficient * curvature[t];
+            forces[t * 3 + 0] = scale * hx;
+            forces[t * 3 + 1] = scale * hy;
+            forces[t * 3 + 2] = scale * hz;
+        }
+        
+        return forces;
+    }
+}
+
+function tetGradient(t, values, tetrahedra, gradients) {
+    // Constant gradient of a P1 nodal field on tetrahedron t
+    let gx = 0, gy = 0, gz = 0;
+    for (let k = 0; k < 4; k++) {
+        const v = values[tetrahedra[t * 4 + k]];
+        const g = t * 12 + k * 3;
+        gx += v * gradients[g];
+        gy += v * gradients[g + 1];
+        gz += v * gradients[g + 2];
+    }
+    return [gx, gy, gz];
+}
@@ -0,0 +1,188 @@
+/**
+ * Velocity glyphs - Arrow geometry for the renderer's velocity field view
+ *
+ * One arrow per sample point: a shaft along the velocity v with length
+ * |v| · scale (scale in seconds, so arrows are the distance travelled in that
+ * time) and a four-stroke pyramid tip. Samples are the mesh nodes, or the
+ * cell centers of a lattice over the domain with `density` cells along its
+ * longest side, where v is interpolated from the nodes (lattice points
+ * outside an imported mesh are skipped). The lattice's containing tets and
+ * barycentric weights are cached per mesh until its topology changes.
+ * Colours run from blue (still) to red (fastest sample of the frame) on the
+ * rainbow colour map. The result is a line list of interleaved x, y, z,
+ * r, g, b vertices.
+ */
+
+import { sampleColormap } from './colormaps.js';
+
+export const GLYPH_SAMPLINGS = ['nodes', 'lattice'];
+
+// Lines per arrow (shaft and tip) and floats per vertex (position, colour)
+const LINES_PER_GLYPH = 5;
+const VERTEX_FLOATS = 6;
+
+// Tip length and half width as fractions of the arrow length
+const TIP_LENGTH = 0.25;
+const TIP_WIDTH = 0.1;
+
+// mesh → { version, density, points, tets, weights } of its last lattice
+const latticeCache = new WeakMap();
+
+export function buildVelocityGlyphs(mesh, velocities, options = {}) {
+    // options: { sampling: 'nodes' | 'lattice', scale, density }.
+    // Returns { vertices, vertexCount, maxSpeed }
+    const sampling = options.sampling ?? 'nodes';
+    const scale = options.scale ?? 0.05;
+    const density = options.density ?? 12;
+    if (!GLYPH_SAMPLINGS.includes(sampling)) {
+        throw new Error(`Unknown glyph sampling: ${sampling}`);
+    }
+    
+    const { points, vectors } = sampling === 'lattice'
+        ? sampleLattice(mesh, velocities, density)
+        : { points: mesh.getNodes(), vectors: velocities };
+    const count = Math.min(points.length, vectors.length) / 3;
+    
+    let maxSpeed = 0;
+    for (let i = 0; i < count; i++) {
+        maxSpeed = Math.max(maxSpeed, Math.hypot(vectors[i * 3], vectors[i * 3 + 1], vectors[i * 3 + 2]));
+    }
+    
+    const vertices = new Float32Array(count * LINES_PER_GLYPH * 2 * VERTEX_FLOATS);
+    const color = [0, 0, 0];
+    const u = [0, 0, 0];
+    let offset = 0;
+    
+    const vertex = (x, y, z) => {
+        vertices[offset++] = x;
+        vertices[offset++] = y;
+        vertices[offset++] = z;
+        vertices[offset++] = color[0];
+        vertices[offset++] = color[1];
+        vertices[offset++] = color[2];
+    };
+    
+    for (let i = 0; i < count; i++) {
+        const vx = vectors[i * 3], vy = vectors[i * 3 + 1], vz = vectors[i * 3 + 2];
+        const speed = Math.hypot(vx, vy, vz);
+        if (speed === 0) continue;
+        
+        sampleColormap('rainbow', speed / maxSpeed, color);
+        const x = points[i * 3], y = points[i * 3 + 1], z = points[i * 3 + 2];
+        const tx = x + vx * scale, ty = y + vy * scale, tz = z + vz * scale;
+        
+        // Two unit vectors u, w across the arrow span the tip
+        const dx = vx / speed, dy = vy / speed, dz = vz / speed;
+        perpendicular(dx, dy, dz, u);
+        const wx = dy * u[2] - dz * u[1], wy = dz * u[0] - dx * u[2], wz = dx * u[1] - dy * u[0];
+        const length = speed * scale;
+        const bx = tx - dx * length * TIP_LENGTH, by = ty - dy * length * TIP_LENGTH, bz = tz - dz * length * TIP_LENGTH;
+        const width = length * TIP_WIDTH;
+        
+        vertex(x, y, z);
+        vertex(tx, ty, tz);
+        for (const sign of [1, -1]) {
+            vertex(tx, ty, tz);
+            vertex(bx + sign * width * u[0], by + sign * width * u[1], bz + sign * width * u[2]);
+            vertex(tx, ty, tz);
+            vertex(bx + sign * width * wx, by + sign * width * wy, bz + sign * width * wz);
+        }
+    }
+    
+    return {
+        vertices: vertices.subarray(0, offset),
+        vertexCount: offset / VERTEX_FLOATS,
+        maxSpeed
+    };
+}
+
+function sampleLattice(mesh, velocities, density) {
+    // Lattice points inside the mesh and the velocity interpolated there
+    let lattice = latticeCache.get(mesh);
+    if (!lattice || lattice.version !== mesh.topologyVersion || lattice.density !== density) {
+        lattice = buildLattice(mesh, density);
+        latticeCache.set(mesh, lattice);
+    }
+    
+    const { points, tets, weights } = lattice;
+    const tetrahedra = mesh.getTetrahedra();
+    const vectors = new Float32Array(points.length);
+    for (let s = 0; s < tets.length; s++) {
+        for (let k = 0; k < 4; k++) {
+            const n = tetrahedra[tets[s] * 4 + k] * 3;
+            const w = weights[s * 4 + k];
+            vectors[s * 3] += w * velocities[n];
+            vectors[s * 3 + 1] += w * velocities[n + 1];
+            vectors[s * 3 + 2] += w * velocities[n + 2];
+        }
+    }
+    
+    return { points, vectors };
+}
+
+function buildLattice(mesh, density) {
+    // Cell centers of a lattice with `density` cells along the domain's
+    // longest side that lie inside the mesh, with their containing tets
+    // and barycentric weights
+    const { domainMin, domainMax } = mesh;
+    const extent = [0, 1, 2].map((a) => domainMax[a] - domainMin[a]);
+    const spacing = Math.max(...extent) / Math.max(1, Math.round(density));
+    const counts = extent.map((e) => Math.max(1, Math.round(e / spacing)));
+    
+    const points = [];
+    const tets = [];
+    const weights = [];
+    let hint = -1;
+    
+    for (let k = 0; k < counts[2]; k++) {
+        const z = domainMin[2] + (k + 0.5) * extent[2] / counts[2];
+        for (let j = 0; j < counts[1]; j++) {
+            const y = domainMin[1] + (j + 0.5) * extent[1] / counts[1];
+            for (let i = 0; i < counts[0]; i++) {
+                const x = domainMin[0] + (i + 0.5) * extent[0] / counts[0];
+                const tet = mesh.findContainingTetrahedron(x, y, z, hint);
+                if (tet < 0) continue;
+                
+                hint = tet;
+                points.push(x, y, z);
+                tets.push(tet);
+                weights.push(...mesh.computeBarycentricCoordinates(tet, x, y, z));
+            }
+        }
+    }
+    
+    return {
+        version: mesh.topologyVersion,
+        density,
+        points: new Float32Array(points),
+        tets: new Uint32Array(tets),
+        weights: new Float32Array(weights)
+    };
+}
+
+function perpendicular(dx, dy, dz, out) {
+    // Unit vector orthogonal to the unit vector d, written to out: the cross
+    // product of d with the axis it is least aligned with
+    const ax = Math.abs(dx), ay = Math.abs(dy), az = Math.abs(dz);
+    if (ax <= ay && ax <= az) {
+        // d × x
+        out[0] = 0;
+        out[1] = dz;
+        out[2] = -dy;
+    } else if (ay <= az) {
+        // d × y
+        out[0] = -dz;
+        out[1] = 0;
+        out[2] = dx;
+    } else {
+        // d × z
+        out[0] = dy;
+        out[1] = -dx;
+        out[2] = 0;
+    }
+    const length = Math.hypot(out[0], out[1], out[2]);
+    out[0] /= length;
+    out[1] /= length;
+    out[2] /= length;
+}
+
@@ -0,0 +1,146 @@
+/**
+ * ViscositySolver - Implicit viscous diffusion of the node velocities
+ * Backward Euler step of ∂v/∂t = ν∇²v with P1 finite elements:
+ *   (M + dt ν K) v = M v*
+ * with the lumped mass matrix M and the cotangent Laplacian K assembled over
+ * the liquid tetrahedra only, solved once per velocity component with PCG.
+ * Being implicit, it stays stable for any viscosity and time step.
+ *
+ * Boundaries: the free surface (edge of the liquid tetrahedra) and the domain
+ * walls are traction free, i.e. natural boundaries of the weak form. Nodes
+ * inside obstacles are held at zero velocity (no slip).
+ */
+
+import { SparseMatrix } from './sparse_matrix.js';
+import { createPreconditioner, preconditionedConjugateGradient } from './pcg.js';
+
+export class ViscositySolver {
+    constructor() {
+        // Solver parameters
+        this.maxIterations = 100;
+        this.tolerance = 1e-5;
+        this.preconditioner = 'ic0'; // 'ic0', 'jacobi' or 'none'
+        
+        // Sparsity pattern, reused while the mesh topology is unchanged
+        this.matrix = null;
+        this.matrixVersion = -1;
+        
+        // Results of the last solve
+        this.lastResult = null;
+    }
+    
+    solve(mesh, dt, viscosity, liquidTets, solid = null) {
+        // liquidTets: Uint8Array, 1 for tetrahedra containing liquid
+        // solid: { nodes: Uint8Array, normals: Float32Array } or null
+        // Returns { iterations, residual, converged } summed / maxed over the
+        // three components, or null when there is nothing to do
+        
+        if (!(viscosity > 0) || !(dt > 0)) {
+            this.lastResult = null;
+            return null;
+        }
+        
+        const nodeCount = mesh.nodeCount;
+        const { matrix, mass, unknown } = this.assemble(mesh, dt * viscosity, liquidTets, solid);
+        const precondition = createPreconditioner(matrix, this.preconditioner);
+        
+        const velocities = mesh.getNodeVelocities();
+        const rhs = new Float64Array(nodeCount);
+        const component = new Float64Array(nodeCount);
+        const result = { iterations: 0, residual: 0, converged: true };
+        
+        for (let c = 0; c < 3; c++) {
+            // The identity rows of the other nodes are decoupled and their
+            // velocities are kept; solving them as 0 = 0 keeps them out of
+            // |b|, where they would swamp the relative tolerance (M v is
+            // tiny next to v on fine meshes)
+            for (let i = 0; i < nodeCount; i++) {
+                const v = unknown[i] ? velocities[i * 3 + c] : 0;
+                rhs[i] = mass[i] * v;
+                component[i] = v;
+            }
+            
+            const componentResult = preconditionedConjugateGradient(matrix, rhs, component, {
+                tolerance: this.tolerance,
+                maxIterations: this.maxIterations,
+                preconditioner: precondition
+            });
+            result.iterations += componentResult.iterations;
+            result.residual = Math.max(result.residual, componentResult.residual);
+            result.converged = result.converged && componentResult.converged;
+            
+            for (let i = 0; i < nodeCount; i++) {
+                if (unknown[i]) {
+                    velocities[i * 3 + c] = component[i];
+                }
+            }
+        }
+        
+        mesh.setNodeVelocities(velocities);
+        
+        this.lastResult = result;
+        return result;
+    }
+    
+    assemble(mesh, diffusion, liquidTets, solid) {
+        // M + diffusion * K on the unknown nodes (non-solid nodes of liquid
+        // tets). Solid nodes are known zero velocities, so their columns drop
+        // out; every other row is the identity, decoupled from the unknowns
+        
+        if (!this.matrix || this.matrixVersion !== mesh.topologyVersion) {
+            const { offsets, indices } = mesh.getAdjacency().nodeNeighbors;
+            this.matrix = SparseMatrix.fromNodeAdjacency(offsets, indices, mesh.nodeCount);
+            this.matrixVersion = mesh.topologyVersion;
+        }
+        
+        const matrix = this.matrix;
+        matrix.clear();
+        
+        const { volumes, gradients } = mesh.getTetGeometry();
+        const tetrahedra = mesh.getTetrahedra();
+        const tetCount = mesh.getTetrahedraCount();
+        const nodeCount = mesh.nodeCount;
+        
+        const mass = new Float64Array(nodeCount);
+        const unknown = new Uint8Array(nodeCount);
+        
+        for (let t = 0; t < tetCount; t++) {
+            if (!liquidTets[t]) continue;
+            
+            for (let i = 0; i < 4; i++) {
+                const n = tetrahedra[t * 4 + i];
+                mass[n] += volumes[t] / 4;
+                if (!solid || !solid.nodes[n]) {
+                    unknown[n] = 1;
+                }
+            }
+        }
+        
+        for (let t = 0; t < tetCount; t++) {
+            if (!liquidTets[t]) continue;
+            
+            const g = t * 12;
+            for (let i = 0; i < 4; i++) {
+                const row = tetrahedra[t * 4 + i];
+                if (!unknown[row]) continue;
+                
+                for (let j = 0; j < 4; j++) {
+                    const col = tetrahedra[t * 4 + j];
+                    if (!unknown[col]) continue;
+                    
+                    const dotGrad =
+                        gradients[g + i * 3] * gradients[g + j * 3] +
+                        gradients[g + i * 3 + 1] * gradients[g + j * 3 + 1] +
+                        gradients[g + i * 3 + 2] * gradients[g + j * 3 + 2];
+                    matrix.add(row, col, diffusion * volumes[t] * dotGrad);
+                }
+            }
+        }
+        
+        for (let i = 0; i < nodeCount; i++) {
+            matrix.add(i, i, unknown[i] ? mass[i] : 1);
+        }
+        
+        return { matrix, mass, unknown };
+    }
+}
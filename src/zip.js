@@ -0,0 +1,113 @@
+/**
+ * Minimal ZIP archive writer (stored entries, no compression)
+ *
+ * Enough to bundle exported frames into one browser download. Each entry is
+ * a local file header plus the raw bytes; the central directory and its end
+ * record follow. Names are UTF-8 (general purpose flag bit 11). Archives and
+ * entries are limited to 4 GiB (no ZIP64).
+ */
+
+const LOCAL_HEADER_BYTES = 30;
+const CENTRAL_HEADER_BYTES = 46;
+const END_RECORD_BYTES = 22;
+const VERSION = 20;        // 2.0: stored entries and directories
+const UTF8_NAMES = 0x0800;
+
+let crcTable = null;
+
+export function createZip(files, date = new Date()) {
+    // files: [{ name, data }], data a string or Uint8Array. Returns a Uint8Array
+    const encoder = new TextEncoder();
+    const entries = files.map(({ name, data }) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+    });
+    
+    let localBytes = 0;
+    let centralBytes = 0;
+    for (const entry of entries) {
+        entry.offset = localBytes;
+        localBytes += LOCAL_HEADER_BYTES + entry.name.length + entry.bytes.length;
+        centralBytes += CENTRAL_HEADER_BYTES + entry.name.length;
+    }
+    if (localBytes + centralBytes > 0xFFFFFFFF || entries.length > 0xFFFF) {
+        throw new Error('Archive too large for ZIP without ZIP64');
+    }
+    
+    const output = new Uint8Array(localBytes + centralBytes + END_RECORD_BYTES);
+    const view = new DataView(output.buffer);
+    const { time, day } = dosDateTime(date);
+    
+    let offset = 0;
+    for (const entry of entries) {
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, VERSION, true);
+        view.setUint16(offset + 6, UTF8_NAMES, true);
+        view.setUint16(offset + 8, 0, true); // stored
+        view.setUint16(offset + 10, time, true);
+        view.setUint16(offset + 12, day, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.bytes.length, true);
+        view.setUint32(offset + 22, entry.bytes.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        output.set(entry.name, offset + LOCAL_HEADER_BYTES);
+        output.set(entry.bytes, offset + LOCAL_HEADER_BYTES + entry.name.length);
+        offset += LOCAL_HEADER_BYTES + entry.name.length + entry.bytes.length;
+    }
+    
+    for (const entry of entries) {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, VERSION, true);
+        view.setUint16(offset + 6, VERSION, true);
+        view.setUint16(offset + 8, UTF8_NAMES, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, time, true);
+        view.setUint16(offset + 14, day, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.bytes.length, true);
+        view.setUint32(offset + 24, entry.bytes.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        // Extra field, comment, disk number, attributes: all zero
+        view.setUint32(offset + 42, entry.offset, true);
+        output.set(entry.name, offset + CENTRAL_HEADER_BYTES);
+        offset += CENTRAL_HEADER_BYTES + entry.name.length;
+    }
+    
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralBytes, true);
+    view.setUint32(offset + 16, localBytes, true);
+    
+    return output;
+}
+
+export function crc32(bytes) {
+    // CRC-32 (IEEE 802.3), as stored in ZIP headers
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    // MS-DOS local time (2-second resolution) and date, from 1980
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        day: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}